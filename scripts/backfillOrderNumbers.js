@@ -0,0 +1,55 @@
+// Give existing orders an order number
+//
+// Usage:
+//   npm run backfill:order-numbers
+//
+// Orders placed before order numbers existed have none, so they cannot be
+// found by number. This numbers them oldest first from the counter of the
+// year they were placed in (SW-YYYY-NNNNNN); where newer orders already use
+// that counter, the backfilled numbers come after theirs.
+// MONGO_URI is read from .env.
+import { config } from "dotenv";
+import mongoose from "mongoose";
+import connectDB from "../src/configs/db.config.js";
+import Order from "../src/models/order.model.js";
+
+config();
+
+const backfillOrderNumbers = async () => {
+  if (!process.env.MONGO_URI) {
+    throw new Error("MONGO_URI is not set");
+  }
+
+  await connectDB();
+  await Order.createIndexes();
+
+  let updatedOrders = 0;
+  const orders = Order.find({ orderNumber: { $exists: false } })
+    .select("_id createdAt")
+    .sort({ createdAt: 1 })
+    .cursor();
+
+  for await (const order of orders) {
+    const orderNumber = await Order.generateOrderNumber(
+      null,
+      order.createdAt || order._id.getTimestamp()
+    );
+
+    // Set directly so older orders are not re-validated against newer rules
+    const result = await Order.updateOne(
+      { _id: order._id, orderNumber: { $exists: false } },
+      { $set: { orderNumber } }
+    );
+    updatedOrders += result.modifiedCount;
+  }
+
+  console.log(`✅ Added order numbers to ${updatedOrders} orders`);
+};
+
+backfillOrderNumbers()
+  .then(() => mongoose.connection.close())
+  .catch(async (error) => {
+    console.error("❌ Failed to backfill order numbers:", error.message);
+    await mongoose.connection.close();
+    process.exitCode = 1;
+  });
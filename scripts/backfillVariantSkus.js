@@ -0,0 +1,43 @@
+// Give existing product variants a SKU
+//
+// Usage:
+//   npm run backfill:skus
+//
+// Variants created before SKUs existed get the default SKU (see the product
+// model) the next time their product is saved; this saves them all now so
+// they can be looked up by SKU. MONGO_URI is read from .env.
+import { config } from "dotenv";
+import mongoose from "mongoose";
+import connectDB from "../src/configs/db.config.js";
+import Product from "../src/models/product.model.js";
+
+config();
+
+const backfillVariantSkus = async () => {
+  if (!process.env.MONGO_URI) {
+    throw new Error("MONGO_URI is not set");
+  }
+
+  await connectDB();
+  await Product.createIndexes();
+
+  let updatedProducts = 0;
+  const products = Product.find({
+    variants: { $elemMatch: { sku: { $exists: false } } },
+  }).cursor();
+
+  for await (const product of products) {
+    await product.save({ validateModifiedOnly: true });
+    updatedProducts += 1;
+  }
+
+  console.log(`✅ Added SKUs to ${updatedProducts} products`);
+};
+
+backfillVariantSkus()
+  .then(() => mongoose.connection.close())
+  .catch(async (error) => {
+    console.error("❌ Failed to backfill SKUs:", error.message);
+    await mongoose.connection.close();
+    process.exitCode = 1;
+  });
@@ -0,0 +1,68 @@
+// Create the first admin account (or promote an existing user to admin)
+//
+// Usage:
+//   npm run create-admin -- --email admin@example.com --name "Admin" --password "Secret#123"
+//
+// The values can also be given as ADMIN_EMAIL, ADMIN_NAME and ADMIN_PASSWORD
+// environment variables. MONGO_URI is read from .env.
+import { parseArgs } from "util";
+import { config } from "dotenv";
+import mongoose from "mongoose";
+import connectDB from "../src/configs/db.config.js";
+import User from "../src/models/user.model.js";
+
+config();
+
+const { values } = parseArgs({
+  options: {
+    email: { type: "string", default: process.env.ADMIN_EMAIL },
+    name: { type: "string", default: process.env.ADMIN_NAME || "Admin" },
+    password: { type: "string", default: process.env.ADMIN_PASSWORD },
+  },
+});
+
+const createAdmin = async () => {
+  if (!values.email) {
+    throw new Error("An email is required (--email or ADMIN_EMAIL)");
+  }
+
+  if (!process.env.MONGO_URI) {
+    throw new Error("MONGO_URI is not set");
+  }
+
+  await connectDB();
+
+  const email = values.email.trim().toLowerCase();
+  const existingUser = await User.findOne({ email });
+
+  // Promote an existing account instead of creating a duplicate
+  if (existingUser) {
+    existingUser.role = "admin";
+    existingUser.status = "active";
+    await existingUser.save({ validateModifiedOnly: true });
+    console.log(`✅ Existing user ${email} is now an admin`);
+    return;
+  }
+
+  if (!values.password) {
+    throw new Error("A password is required (--password or ADMIN_PASSWORD)");
+  }
+
+  await User.create({
+    name: values.name,
+    email,
+    password: values.password,
+    role: "admin",
+    isEmailVerified: true,
+  });
+
+  console.log(`✅ Admin ${email} created`);
+};
+
+createAdmin()
+  .then(() => mongoose.connection.close())
+  .catch(async (error) => {
+    console.error("❌ Failed to create admin:", error.message);
+    await mongoose.connection.close();
+    process.exitCode = 1;
+  });
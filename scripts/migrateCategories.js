@@ -0,0 +1,96 @@
+// Move products and coupons from plain category names to Category documents
+//
+// Usage:
+//   npm run migrate:categories
+//
+// Creates a root category for every distinct name found on products and
+// coupons, then replaces the names with the category IDs. Safe to run more
+// than once: values that are already IDs are left alone. MONGO_URI is read
+// from .env.
+import { config } from "dotenv";
+import mongoose from "mongoose";
+import connectDB from "../src/configs/db.config.js";
+import Category, { slugify } from "../src/models/category.model.js";
+
+config();
+
+// Find or create the category for a legacy name (matched by slug)
+const categoryIdsByName = new Map();
+
+const getCategoryId = async (name) => {
+  const slug = slugify(name);
+  if (!slug) return null;
+
+  if (!categoryIdsByName.has(slug)) {
+    const category =
+      (await Category.findOne({ slug })) ||
+      (await Category.create({ name: String(name).trim(), slug }));
+    categoryIdsByName.set(slug, category._id);
+  }
+  return categoryIdsByName.get(slug);
+};
+
+const migrateCategories = async () => {
+  if (!process.env.MONGO_URI) {
+    throw new Error("MONGO_URI is not set");
+  }
+
+  await connectDB();
+
+  // Use the raw collections since the schemas now expect IDs
+  const products = mongoose.connection.collection("products");
+  const coupons = mongoose.connection.collection("coupons");
+
+  let migratedProducts = 0;
+  const legacyProducts = products.find(
+    { category: { $type: "string" } },
+    { projection: { category: 1 } }
+  );
+
+  for await (const product of legacyProducts) {
+    const categoryId = await getCategoryId(product.category);
+    if (!categoryId) {
+      console.warn(`⚠️ Product ${product._id} has an empty category`);
+      continue;
+    }
+
+    await products.updateOne(
+      { _id: product._id },
+      { $set: { category: categoryId } }
+    );
+    migratedProducts += 1;
+  }
+
+  let migratedCoupons = 0;
+  const legacyCoupons = coupons.find(
+    { applicableCategories: { $elemMatch: { $type: "string" } } },
+    { projection: { applicableCategories: 1 } }
+  );
+
+  for await (const coupon of legacyCoupons) {
+    const categoryIds = [];
+    for (const value of coupon.applicableCategories) {
+      const categoryId =
+        typeof value === "string" ? await getCategoryId(value) : value;
+      if (categoryId) categoryIds.push(categoryId);
+    }
+
+    await coupons.updateOne(
+      { _id: coupon._id },
+      { $set: { applicableCategories: categoryIds } }
+    );
+    migratedCoupons += 1;
+  }
+
+  console.log(
+    `✅ Migrated ${migratedProducts} products and ${migratedCoupons} coupons (${categoryIdsByName.size} categories)`
+  );
+};
+
+migrateCategories()
+  .then(() => mongoose.connection.close())
+  .catch(async (error) => {
+    console.error("❌ Failed to migrate categories:", error.message);
+    await mongoose.connection.close();
+    process.exitCode = 1;
+  });
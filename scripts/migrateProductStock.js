@@ -0,0 +1,40 @@
+// Recalculate the persisted product stock from the variant quantities
+//
+// Usage:
+//   npm run migrate:stock
+//
+// Product.stock used to be entered by hand and drifted away from the
+// variants. This sets it to the sum of the variant quantities on every
+// product where the two differ. MONGO_URI is read from .env.
+import { config } from "dotenv";
+import mongoose from "mongoose";
+import connectDB from "../src/configs/db.config.js";
+import Product from "../src/models/product.model.js";
+
+config();
+
+const migrateProductStock = async () => {
+  if (!process.env.MONGO_URI) {
+    throw new Error("MONGO_URI is not set");
+  }
+
+  await connectDB();
+
+  const variantTotal = { $sum: { $ifNull: ["$variants.quantity", []] } };
+
+  // Update with a pipeline so each product is fixed in one atomic write
+  const result = await Product.updateMany(
+    { $expr: { $ne: ["$stock", variantTotal] } },
+    [{ $set: { stock: variantTotal } }]
+  );
+
+  console.log(`✅ Fixed the stock of ${result.modifiedCount} products`);
+};
+
+migrateProductStock()
+  .then(() => mongoose.connection.close())
+  .catch(async (error) => {
+    console.error("❌ Failed to migrate product stock:", error.message);
+    await mongoose.connection.close();
+    process.exitCode = 1;
+  });
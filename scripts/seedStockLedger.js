@@ -0,0 +1,56 @@
+// Record opening balances in the stock ledger
+//
+// Usage:
+//   npm run seed:stock-ledger
+//
+// Variants that existed before the stock ledger have no movements, so the
+// reconciliation check reports them. This records their current quantity
+// as an "import" movement. Variants that already have movements are left
+// alone. MONGO_URI is read from .env.
+import { config } from "dotenv";
+import mongoose from "mongoose";
+import connectDB from "../src/configs/db.config.js";
+import Product from "../src/models/product.model.js";
+import StockMovement from "../src/models/stockMovement.model.js";
+
+config();
+
+const seedStockLedger = async () => {
+  if (!process.env.MONGO_URI) {
+    throw new Error("MONGO_URI is not set");
+  }
+
+  await connectDB();
+
+  const trackedVariants = new Set(
+    (await StockMovement.distinct("variant")).map((id) => id.toString())
+  );
+
+  let seededVariants = 0;
+  const products = Product.find().select("name variants").cursor();
+
+  for await (const product of products) {
+    for (const variant of product.variants) {
+      if (trackedVariants.has(variant._id.toString()) || !variant.quantity) {
+        continue;
+      }
+
+      await StockMovement.record(product, variant, {
+        delta: variant.quantity,
+        reason: "import",
+        note: "Opening balance",
+      });
+      seededVariants += 1;
+    }
+  }
+
+  console.log(`✅ Recorded opening balances for ${seededVariants} variants`);
+};
+
+seedStockLedger()
+  .then(() => mongoose.connection.close())
+  .catch(async (error) => {
+    console.error("❌ Failed to seed the stock ledger:", error.message);
+    await mongoose.connection.close();
+    process.exitCode = 1;
+  });
@@ -0,0 +1,39 @@
+// Mark accounts created before email verification existed as verified
+//
+// Usage:
+//   npm run migrate:verify-users
+//
+// Accounts created before sign-up sent a verification email have no
+// isEmailVerified field stored and would otherwise be treated as unverified
+// (and locked out of checkout when REQUIRE_EMAIL_VERIFICATION_FOR_ORDERS is
+// on). This marks them verified; accounts created since keep their state.
+// MONGO_URI is read from .env.
+import { config } from "dotenv";
+import mongoose from "mongoose";
+import connectDB from "../src/configs/db.config.js";
+import User from "../src/models/user.model.js";
+
+config();
+
+const verifyExistingUsers = async () => {
+  if (!process.env.MONGO_URI) {
+    throw new Error("MONGO_URI is not set");
+  }
+
+  await connectDB();
+
+  const result = await User.updateMany(
+    { isEmailVerified: { $exists: false } },
+    { $set: { isEmailVerified: true } }
+  );
+
+  console.log(`✅ Marked ${result.modifiedCount} existing users as verified`);
+};
+
+verifyExistingUsers()
+  .then(() => mongoose.connection.close())
+  .catch(async (error) => {
+    console.error("❌ Failed to verify existing users:", error.message);
+    await mongoose.connection.close();
+    process.exitCode = 1;
+  });
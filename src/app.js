@@ -9,6 +9,9 @@ import { generalLimiter } from "./middlewares/rateLimiter.middleware.js";
 import cartRouter from "./routes/cart.route.js";
 import wishlistRouter from "./routes/wishList.route.js";
 import reviewRouter from "./routes/review.route.js";
+import couponRouter from "./routes/coupon.route.js";
+import categoryRouter from "./routes/category.route.js";
+import paymentRouter from "./routes/payment.route.js";
 
 const app = express();
 
@@ -37,6 +40,9 @@ app.use(
   })
 );
 
+// Payment webhooks are verified against the raw body, so keep it unparsed
+app.use("/api/payment/webhook", express.raw({ type: "application/json" }));
+
 // Body parsing middleware
 app.use(express.json({ limit: "16kb" }));
 app.use(express.urlencoded({ extended: true, limit: "16kb" }));
@@ -55,6 +61,9 @@ app.use("/api/product", productRouter);
 // Order routes
 app.use("/api/order", orderRouter);
 
+// Category routes
+app.use("/api/category", categoryRouter);
+
 // Cart routes
 app.use("/api/cart", cartRouter);
 
@@ -64,6 +73,12 @@ app.use("/api/wishlist", wishlistRouter);
 // Review routes
 app.use("/api/review", reviewRouter);
 
+// Coupon routes
+app.use("/api/coupon", couponRouter);
+
+// Payment routes
+app.use("/api/payment", paymentRouter);
+
 // Health check endpoint
 app.get("/health", (req, res) => {
   res.status(200).json({
@@ -0,0 +1,23 @@
+// Parse a threshold from the environment. Unlike `|| fallback` this keeps an
+// explicit 0 (alert only once sold out); unset or invalid values use the
+// fallback
+const parseThreshold = (value, fallback) => {
+  const threshold = value?.trim() ? Number(value) : NaN;
+  return Number.isInteger(threshold) && threshold >= 0 ? threshold : fallback;
+};
+
+// Inventory configuration
+// A variant is low on stock when its quantity is at or below its threshold:
+// the variant's own `lowStockThreshold`, else the product's, else
+// `defaultLowStockThreshold`. Sales velocity is the average units sold per
+// day over the last `salesVelocityDays` days.
+const inventoryConfig = {
+  defaultLowStockThreshold: parseThreshold(process.env.LOW_STOCK_THRESHOLD, 5),
+  salesVelocityDays: Number(process.env.SALES_VELOCITY_DAYS) || 30,
+  // Low-stock alerts: LOW_STOCK_NOTIFIER selects "log" (local stand-in),
+  // "email" (sent to LOW_STOCK_ALERT_EMAIL) or "webhook" (posted to
+  // LOW_STOCK_WEBHOOK_URL, signed with LOW_STOCK_WEBHOOK_SECRET)
+  notifier: process.env.LOW_STOCK_NOTIFIER || "log",
+};
+
+export default inventoryConfig;
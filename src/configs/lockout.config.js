@@ -0,0 +1,11 @@
+// Account lockout configuration
+// After `maxFailedAttempts` wrong passwords in a row the account is locked.
+// Each lockout since the last successful login doubles the lock period,
+// starting at `baseLockMinutes` and capped at `maxLockMinutes`.
+const lockoutConfig = {
+  maxFailedAttempts: Number(process.env.LOGIN_MAX_FAILED_ATTEMPTS) || 5,
+  baseLockMinutes: Number(process.env.LOGIN_LOCK_BASE_MINUTES) || 15,
+  maxLockMinutes: Number(process.env.LOGIN_LOCK_MAX_MINUTES) || 24 * 60,
+};
+
+export default lockoutConfig;
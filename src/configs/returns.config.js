@@ -0,0 +1,7 @@
+// Returns configuration
+const returnsConfig = {
+  // Number of days after delivery during which a return can be requested
+  returnWindowDays: Number(process.env.RETURN_WINDOW_DAYS) || 14,
+};
+
+export default returnsConfig;
@@ -0,0 +1,40 @@
+// Roles and permissions configuration
+// Every route that is not open to all logged in users is guarded by a
+// permission (see requirePermission). Roles are granted permissions here;
+// "admin" has all of them.
+
+export const PERMISSIONS = [
+  "products:write", // create, update and delete products
+  "categories:manage", // create, update and delete categories
+  "orders:read", // view every customer's orders
+  "orders:manage", // change order status, cancel any order
+  "orders:refund", // issue refunds
+  "returns:manage", // approve, reject and receive return requests
+  "coupons:manage", // create, update and delete coupons
+  "reviews:moderate", // delete any review
+  "analytics:read", // view sales analytics
+  "users:read", // list and view customer accounts
+  "users:manage", // change roles, suspend and reactivate accounts
+];
+
+// Staff roles sit between a customer ("user") and "admin"
+export const ROLES = ["user", "support", "inventory", "admin"];
+
+const rolePermissions = {
+  user: [],
+  support: [
+    "orders:read",
+    "orders:manage",
+    "returns:manage",
+    "reviews:moderate",
+    "users:read",
+  ],
+  inventory: ["products:write", "categories:manage", "orders:read"],
+  admin: PERMISSIONS,
+};
+
+// Check whether a role has been granted a permission
+export const roleHasPermission = (role, permission) =>
+  (rolePermissions[role] || []).includes(permission);
+
+export default rolePermissions;
@@ -0,0 +1,92 @@
+// Shipping rules configuration
+// Zones are matched against the shipping address. A zone with `cities` only
+// matches those cities, and "*" in `countries` matches every country. The
+// most specific matching zone wins (city > country > wildcard).
+// Each method prices the order by tiers on either total item quantity or
+// total weight (kg): the first tier whose `upTo` covers the order is used,
+// and a tier with `upTo: null` covers everything above the previous one.
+
+export const SHIPPING_METHODS = ["standard", "express"];
+
+const shippingConfig = {
+  currency: "USD",
+  defaultItemWeight: 0.5, // kg, used when an item has no weight of its own
+  zones: [
+    {
+      name: "Local",
+      countries: ["Pakistan"],
+      cities: ["Lahore", "Islamabad", "Rawalpindi"],
+      freeShippingThreshold: 50, // standard shipping is free at/above this subtotal
+      methods: {
+        standard: {
+          basis: "quantity",
+          estimatedDays: "1-2",
+          tiers: [
+            { upTo: 3, rate: 2 },
+            { upTo: null, rate: 4 },
+          ],
+        },
+        express: {
+          basis: "quantity",
+          estimatedDays: "Same day",
+          tiers: [
+            { upTo: 3, rate: 6 },
+            { upTo: null, rate: 9 },
+          ],
+        },
+      },
+    },
+    {
+      name: "Domestic",
+      countries: ["Pakistan"],
+      freeShippingThreshold: 100,
+      methods: {
+        standard: {
+          basis: "quantity",
+          estimatedDays: "3-5",
+          tiers: [
+            { upTo: 3, rate: 4 },
+            { upTo: 10, rate: 7 },
+            { upTo: null, rate: 10 },
+          ],
+        },
+        express: {
+          basis: "quantity",
+          estimatedDays: "1-2",
+          tiers: [
+            { upTo: 3, rate: 10 },
+            { upTo: 10, rate: 15 },
+            { upTo: null, rate: 20 },
+          ],
+        },
+      },
+    },
+    {
+      name: "International",
+      countries: ["*"],
+      freeShippingThreshold: null, // no free shipping
+      methods: {
+        standard: {
+          basis: "weight",
+          estimatedDays: "7-14",
+          tiers: [
+            { upTo: 1, rate: 15 },
+            { upTo: 5, rate: 30 },
+            { upTo: null, rate: 50 },
+          ],
+        },
+        express: {
+          basis: "weight",
+          estimatedDays: "3-5",
+          tiers: [
+            { upTo: 1, rate: 35 },
+            { upTo: 5, rate: 60 },
+            { upTo: null, rate: 95 },
+          ],
+        },
+      },
+    },
+  ],
+};
+
+export default shippingConfig;
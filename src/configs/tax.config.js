@@ -0,0 +1,45 @@
+// Tax rates configuration
+// Rates are fractions (0.17 = 17%). For each item the most specific rate is
+// used: region category rate > region rate > country category rate >
+// country rate > default rate. Category rates are keyed by category name
+// and apply to subcategories too. Regions are matched against the shipping
+// address city. Tax is charged on item prices after the order discount and
+// not on shipping.
+
+const taxConfig = {
+  defaultRate: 0,
+  // Destination used for cart estimates when no address is known yet
+  defaultCountry: "Pakistan",
+  countries: {
+    Pakistan: {
+      rate: 0.17,
+      categoryRates: {
+        Kids: 0.1,
+      },
+      regions: {
+        Islamabad: {
+          rate: 0.16,
+        },
+      },
+    },
+    "United Kingdom": {
+      rate: 0.2,
+      categoryRates: {
+        Kids: 0,
+      },
+    },
+    "United States": {
+      rate: 0,
+      regions: {
+        "New York": {
+          rate: 0.08875,
+          categoryRates: {
+            Shoes: 0.045,
+          },
+        },
+      },
+    },
+  },
+};
+
+export default taxConfig;
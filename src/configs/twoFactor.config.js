@@ -0,0 +1,16 @@
+// Two-factor authentication configuration
+// Set TWO_FACTOR_REQUIRED_FOR_ADMINS=true to make 2FA mandatory for admins:
+// they can still log in to enroll, but staff permissions are refused until
+// 2FA is enabled.
+const twoFactorConfig = {
+  issuer: process.env.TWO_FACTOR_ISSUER || "StallionWear",
+  requiredRoles:
+    process.env.TWO_FACTOR_REQUIRED_FOR_ADMINS === "true" ? ["admin"] : [],
+  // Allowed clock drift in 30 second steps
+  window: 1,
+  recoveryCodeCount: 10,
+  // Lifetime of the login challenge token issued after the password step
+  challengeExpiry: process.env.TWO_FACTOR_CHALLENGE_EXPIRY || "5m",
+};
+
+export default twoFactorConfig;
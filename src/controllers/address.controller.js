@@ -0,0 +1,122 @@
+import { MAX_SAVED_ADDRESSES } from "../models/user.model.js";
+import asyncHandler from "../utils/asyncHandler.js";
+import ApiError from "../utils/ApiError.js";
+import ApiResponse from "../utils/ApiResponse.js";
+
+// Address fields that can be set from the request body
+const ADDRESS_FIELDS = [
+  "label",
+  "fullName",
+  "address",
+  "city",
+  "postalCode",
+  "country",
+  "phone",
+];
+
+const pickAddressFields = (body) =>
+  Object.fromEntries(
+    ADDRESS_FIELDS.filter((field) => body[field] !== undefined).map((field) => [
+      field,
+      body[field],
+    ])
+  );
+
+// Find a saved address of the logged in user
+const findAddress = (user, addressId) => {
+  const address = user.addresses.id(addressId);
+  if (!address) {
+    throw new ApiError(404, "Address not found");
+  }
+  return address;
+};
+
+// Function to get the saved addresses of the logged in user
+export const getAddresses = asyncHandler(async (req, res) => {
+  res
+    .status(200)
+    .json(
+      new ApiResponse(
+        200,
+        "Addresses retrieved successfully",
+        req.user.addresses
+      )
+    );
+});
+
+// Function to save a new address
+export const addAddress = asyncHandler(async (req, res) => {
+  const user = req.user;
+
+  if (user.addresses.length >= MAX_SAVED_ADDRESSES) {
+    throw new ApiError(
+      400,
+      `You can save at most ${MAX_SAVED_ADDRESSES} addresses`
+    );
+  }
+
+  user.addresses.push(pickAddressFields(req.body));
+  const address = user.addresses[user.addresses.length - 1];
+
+  // The first address is always the default
+  if (req.body.isDefault === true || user.addresses.length === 1) {
+    user.setDefaultAddress(address._id);
+  }
+
+  await user.save({ validateModifiedOnly: true });
+
+  res
+    .status(201)
+    .json(new ApiResponse(201, "Address added successfully", address));
+});
+
+// Function to update a saved address
+export const updateAddress = asyncHandler(async (req, res) => {
+  const user = req.user;
+  const address = findAddress(user, req.params.addressId);
+
+  address.set(pickAddressFields(req.body));
+
+  if (req.body.isDefault === true) {
+    user.setDefaultAddress(address._id);
+  }
+
+  await user.save({ validateModifiedOnly: true });
+
+  res
+    .status(200)
+    .json(new ApiResponse(200, "Address updated successfully", address));
+});
+
+// Function to make a saved address the default one
+export const setDefaultAddress = asyncHandler(async (req, res) => {
+  const user = req.user;
+  const address = findAddress(user, req.params.addressId);
+
+  user.setDefaultAddress(address._id);
+  await user.save({ validateModifiedOnly: true });
+
+  res
+    .status(200)
+    .json(new ApiResponse(200, "Default address updated", user.addresses));
+});
+
+// Function to delete a saved address
+export const deleteAddress = asyncHandler(async (req, res) => {
+  const user = req.user;
+  const address = findAddress(user, req.params.addressId);
+  const wasDefault = address.isDefault;
+
+  user.addresses.pull(address._id);
+
+  // Promote another address so there is still a default
+  if (wasDefault && user.addresses.length > 0) {
+    user.setDefaultAddress(user.addresses[0]._id);
+  }
+
+  await user.save({ validateModifiedOnly: true });
+
+  res
+    .status(200)
+    .json(new ApiResponse(200, "Address deleted successfully", user.addresses));
+});
@@ -1,7 +1,56 @@
 import asyncHandler from "../utils/asyncHandler.js";
 import Product from "../models/product.model.js";
+import Category from "../models/category.model.js";
 import ApiError from "../utils/ApiError.js";
 import ApiResponse from "../utils/ApiResponse.js";
+import evaluateCoupon from "../utils/coupon.js";
+import { getShippingOptions as quoteShipping } from "../utils/shipping.js";
+import calculateTax from "../utils/tax.js";
+import taxConfig from "../configs/tax.config.js";
+import { assertVariantAvailable } from "../services/inventory.service.js";
+
+// Function to estimate the tax on the cart for a destination
+// (falls back to the store's default country when none is given)
+// The discount only lowers the tax of the items the coupon covers
+const estimateCartTax = async (
+  cart,
+  { country, city } = {},
+  discount = 0,
+  coupon = null
+) => {
+  const items = cart
+    .filter((item) => item.product)
+    .map((item) => ({
+      subtotal: item.priceAtTime * item.quantity,
+      category: item.product.category,
+      brand: item.product.brand,
+    }));
+  await Category.attachLineage(items);
+  items.forEach((item) => {
+    item.discountable = coupon ? coupon.appliesToItem(item) : true;
+  });
+
+  const { taxAmount } = calculateTax({
+    address: { country: country || taxConfig.defaultCountry, city },
+    items,
+    discount,
+  });
+  return taxAmount;
+};
+
+// Function to build the coupon line items of a populated cart
+const getCouponItems = async (cart) => {
+  const items = cart
+    .filter((item) => item.product)
+    .map((item) => ({
+      price: item.priceAtTime,
+      quantity: item.quantity,
+      category: item.product.category,
+      brand: item.product.brand,
+    }));
+  await Category.attachLineage(items);
+  return items;
+};
 
 // Function to add an item to the cart
 export const addToCart = asyncHandler(async (req, res) => {
@@ -48,16 +97,20 @@ export const addToCart = asyncHandler(async (req, res) => {
     );
   }
 
-  // Check if product variant exists and is in stock
-  const isValidVariant = product.isInStock
-    ? product.isInStock(size, color, quantity)
-    : true;
-  if (!isValidVariant) {
-    throw new ApiError(
-      400,
-      `Product variant (Size: ${size}, Color: ${color}) is not available or insufficient stock`
-    );
-  }
+  // Check if product variant exists and has enough stock for the new total
+  const inCart =
+    user.cart.find(
+      (item) =>
+        item.product.toString() === productId.toString() &&
+        item.size === size &&
+        item.color === color
+    )?.quantity || 0;
+  const variant = assertVariantAvailable(
+    product,
+    size,
+    color,
+    inCart + Number(quantity)
+  );
 
   // Check if user has addToCart method
   if (!user.addToCart || typeof user.addToCart !== "function") {
@@ -66,7 +119,7 @@ export const addToCart = asyncHandler(async (req, res) => {
 
   try {
     // Add item to user's cart
-    await user.addToCart(productId, size, color, price, quantity);
+    await user.addToCart(productId, size, color, price, quantity, variant.sku);
     await user.save({ validateBeforeSave: false });
 
     // Get updated cart with populated product details
@@ -208,6 +261,7 @@ export const clearCart = asyncHandler(async (req, res) => {
   const user = req.user;
 
   user.cart = [];
+  user.appliedCoupon = null;
   await user.save({ validateBeforeSave: false });
 
   res.status(200).json(
@@ -250,6 +304,30 @@ export const getCartDetails = asyncHandler(async (req, res) => {
     const cartTotal = user.getCartTotal ? user.getCartTotal() : 0;
     const cartItemCount = user.cart ? user.cart.length : 0;
 
+    // Estimate the tax after the applied coupon's discount. A coupon that
+    // no longer applies to the cart is left out (checkout rejects it)
+    let coupon = null;
+    let discount = 0;
+
+    if (user.appliedCoupon) {
+      try {
+        ({ coupon, discount } = await evaluateCoupon({
+          code: user.appliedCoupon,
+          userId: user._id,
+          items: await getCouponItems(user.cart),
+        }));
+      } catch (error) {
+        if (!(error instanceof ApiError)) throw error;
+      }
+    }
+
+    const estimatedTax = await estimateCartTax(
+      user.cart,
+      req.query,
+      discount,
+      coupon
+    );
+
     // Send response with cart details
     res.status(200).json(
       new ApiResponse(200, "Cart details retrieved successfully", {
@@ -257,8 +335,11 @@ export const getCartDetails = asyncHandler(async (req, res) => {
         cartSummary: {
           totalItems: cartItemCount,
           totalAmount: cartTotal,
+          discount,
+          estimatedTax,
           currency: "USD",
         },
+        appliedCoupon: user.appliedCoupon,
       })
     );
 
@@ -375,11 +456,17 @@ export const incrementCartItem = asyncHandler(async (req, res) => {
     throw new ApiError(400, "Maximum quantity per item is 100");
   }
 
-  // Optional: Check product stock availability
+  // Check the variant has stock for one more
   const product = await Product.findById(productId);
-  if (product && product.stock && user.cart[cartItemIndex].quantity >= product.stock) {
-    throw new ApiError(400, "Cannot add more items. Insufficient stock available.");
+  if (!product) {
+    throw new ApiError(404, "Product not found");
   }
+  assertVariantAvailable(
+    product,
+    size,
+    color,
+    user.cart[cartItemIndex].quantity + 1
+  );
 
   // Increment the quantity and update subtotal
   user.cart[cartItemIndex].quantity += 1;
@@ -410,4 +497,110 @@ export const incrementCartItem = asyncHandler(async (req, res) => {
       }
     })
   );
-});
\ No newline at end of file
+});
+
+// Function to apply a coupon code to the cart
+export const applyCoupon = asyncHandler(async (req, res) => {
+  const { code } = req.body;
+
+  if (!code) {
+    throw new ApiError(400, "Coupon code is required");
+  }
+
+  const user = req.user;
+
+  // Validate that cart exists
+  if (!user.cart || user.cart.length === 0) {
+    throw new ApiError(400, "Cart is empty");
+  }
+
+  // Populate product details needed for coupon restrictions
+  await user.populate({
+    path: "cart.product",
+    select: "name images brand category",
+  });
+
+  // Validate the coupon against the cart (throws if not applicable)
+  const { coupon, discount, subtotal } = await evaluateCoupon({
+    code,
+    userId: user._id,
+    items: await getCouponItems(user.cart),
+  });
+
+  const estimatedTax = await estimateCartTax(
+    user.cart,
+    req.body,
+    discount,
+    coupon
+  );
+
+  // Remember the coupon so checkout can apply it
+  user.appliedCoupon = coupon.code;
+  await user.save({ validateBeforeSave: false });
+
+  res.status(200).json(
+    new ApiResponse(200, "Coupon applied successfully", {
+      cart: user.cart,
+      cartSummary: {
+        totalItems: user.cart.length,
+        totalAmount: subtotal,
+        discount,
+        amountAfterDiscount: Math.round((subtotal - discount) * 100) / 100,
+        estimatedTax,
+        currency: "USD",
+      },
+      appliedCoupon: {
+        code: coupon.code,
+        description: coupon.description,
+        discountType: coupon.discountType,
+        discountValue: coupon.discountValue,
+      },
+    })
+  );
+});
+
+// Function to remove the applied coupon from the cart
+export const removeCoupon = asyncHandler(async (req, res) => {
+  const user = req.user;
+
+  user.appliedCoupon = null;
+  await user.save({ validateBeforeSave: false });
+
+  res
+    .status(200)
+    .json(new ApiResponse(200, "Coupon removed successfully", null));
+});
+
+// Function to quote the available shipping options for the cart
+export const getShippingOptions = asyncHandler(async (req, res) => {
+  const { country, city } = req.query;
+
+  if (!country) {
+    throw new ApiError(400, "Country is required to quote shipping");
+  }
+
+  const user = req.user;
+
+  // Validate that cart exists
+  if (!user.cart || user.cart.length === 0) {
+    throw new ApiError(400, "Cart is empty");
+  }
+
+  // Use each variant's own weight where one is set
+  await user.populate({ path: "cart.product", select: "variants" });
+
+  const quote = quoteShipping({
+    address: { country, city },
+    items: user.cart.map((item) => ({
+      quantity: item.quantity,
+      weight: item.product?.getVariant(item.size, item.color)?.weight,
+    })),
+    subtotal: user.getCartTotal(),
+  });
+
+  res
+    .status(200)
+    .json(
+      new ApiResponse(200, "Shipping options retrieved successfully", quote)
+    );
+});
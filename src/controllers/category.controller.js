@@ -0,0 +1,286 @@
+import mongoose from "mongoose";
+import Category, { slugify } from "../models/category.model.js";
+import Product from "../models/product.model.js";
+import Coupon from "../models/coupon.model.js";
+import asyncHandler from "../utils/asyncHandler.js";
+import ApiError from "../utils/ApiError.js";
+import ApiResponse from "../utils/ApiResponse.js";
+import uploadOnCloudinary, {
+  deleteFromCloudinary,
+} from "../utils/cloudinary.js";
+
+// Fields an admin is allowed to set directly on a category
+const categoryFields = ["name", "description", "sortOrder", "isActive"];
+
+// Pick the allowed category fields from the request body
+const pickCategoryFields = (body) => {
+  const data = {};
+  categoryFields.forEach((field) => {
+    if (body[field] !== undefined) {
+      data[field] = body[field];
+    }
+  });
+  return data;
+};
+
+// Find the parent category for a request (empty value = root category)
+const findParentCategory = async (parentId, session = null) => {
+  if (!parentId || parentId === "null") return null;
+
+  const parent = mongoose.isValidObjectId(parentId)
+    ? await Category.findById(parentId).session(session)
+    : null;
+  if (!parent) {
+    throw new ApiError(400, "Parent category not found");
+  }
+  return parent;
+};
+
+// Make sure no other category uses the slug
+const assertSlugAvailable = async (slug, categoryId = null) => {
+  const existingCategory = await Category.findOne({
+    slug,
+    _id: { $ne: categoryId },
+  });
+  if (existingCategory) {
+    throw new ApiError(400, "Category already exists with this slug");
+  }
+};
+
+// Upload the category image if one was sent
+const uploadCategoryImage = async (req) => {
+  if (!req.file) return null;
+
+  const result = await uploadOnCloudinary(req.file.path);
+  if (!result) {
+    throw new ApiError(500, "Failed to upload category image");
+  }
+  return { image: result.secure_url, imagePublicId: result.public_id };
+};
+
+// Load categories and nest them; subcategories of a filtered out parent are
+// left out as well
+const loadCategoryTree = async (query) => {
+  const categories = await Category.find(query).select(
+    "name slug description parent image sortOrder isActive"
+  );
+  return Category.buildTree(categories).filter((node) => !node.parent);
+};
+
+// Function to get the tree of active categories
+export const getCategoryTree = asyncHandler(async (req, res) => {
+  const tree = await loadCategoryTree({ isActive: true });
+
+  res
+    .status(200)
+    .json(new ApiResponse(200, "Category tree retrieved successfully", tree));
+});
+
+// Admin function to get the full category tree, including inactive ones
+export const getAllCategories = asyncHandler(async (req, res) => {
+  const tree = await loadCategoryTree({});
+
+  res
+    .status(200)
+    .json(new ApiResponse(200, "Categories retrieved successfully", tree));
+});
+
+// Function to get a category by slug with its breadcrumb and subcategories
+export const getCategoryBySlug = asyncHandler(async (req, res) => {
+  const category = await Category.findOne({
+    slug: req.params.slug.toLowerCase(),
+    isActive: true,
+  }).populate("ancestors", "name slug");
+
+  if (!category) {
+    throw new ApiError(404, "Category not found");
+  }
+
+  const children = await Category.find({
+    parent: category._id,
+    isActive: true,
+  })
+    .select("name slug image sortOrder")
+    .sort({ sortOrder: 1, name: 1 });
+
+  res.status(200).json(
+    new ApiResponse(200, "Category retrieved successfully", {
+      ...category.toObject(),
+      children,
+    })
+  );
+});
+
+// Admin function to create a category
+export const createCategory = asyncHandler(async (req, res) => {
+  const data = pickCategoryFields(req.body);
+  const slug = slugify(req.body.slug || data.name);
+
+  if (!slug) {
+    throw new ApiError(400, "Category name must contain letters or numbers");
+  }
+  await assertSlugAvailable(slug);
+
+  const parent = await findParentCategory(req.body.parent);
+  const category = new Category({ ...data, slug });
+  category.setParent(parent);
+
+  const image = await uploadCategoryImage(req);
+  if (image) {
+    Object.assign(category, image);
+  }
+
+  await category.save();
+
+  res
+    .status(201)
+    .json(new ApiResponse(201, "Category created successfully", category));
+});
+
+// Admin function to update a category, including moving it to a new parent
+export const updateCategory = asyncHandler(async (req, res) => {
+  const { categoryId } = req.params;
+
+  if (!mongoose.isValidObjectId(categoryId)) {
+    throw new ApiError(400, "Invalid category ID");
+  }
+
+  if (!(await Category.exists({ _id: categoryId }))) {
+    throw new ApiError(404, "Category not found");
+  }
+
+  // Upload before the transaction so a retried transaction does not upload
+  // the image again
+  const image = await uploadCategoryImage(req);
+
+  // Save the category and rewrite the paths of its subtree together, so a
+  // failed or concurrent move cannot leave descendants with stale ancestors
+  const session = await mongoose.startSession();
+  let category;
+  let oldImagePublicId;
+
+  try {
+    await session.withTransaction(async () => {
+      category = await Category.findById(categoryId).session(session);
+      if (!category) {
+        throw new ApiError(404, "Category not found");
+      }
+
+      Object.assign(category, pickCategoryFields(req.body));
+
+      if (req.body.slug !== undefined) {
+        const slug = slugify(req.body.slug);
+        if (!slug) {
+          throw new ApiError(400, "Slug must contain letters or numbers");
+        }
+        await assertSlugAvailable(slug, category._id);
+        category.slug = slug;
+      }
+
+      // Move the category when a new parent is given
+      let move = null;
+      if (req.body.parent !== undefined) {
+        const parent = await findParentCategory(req.body.parent, session);
+        if (!category.canMoveUnder(parent)) {
+          throw new ApiError(
+            409,
+            "A category cannot be moved under itself or its subcategories"
+          );
+        }
+        move = category.setParent(parent);
+      }
+
+      oldImagePublicId = category.imagePublicId;
+      if (image) {
+        Object.assign(category, image);
+      }
+
+      await category.save({ session });
+
+      if (move) {
+        await Category.updateSubtreePaths(
+          category._id,
+          move.oldPath,
+          move.newPath,
+          session
+        );
+      }
+    });
+  } catch (error) {
+    // Nothing was saved, so the new image is not used anywhere
+    if (image) {
+      try {
+        await deleteFromCloudinary(image.imagePublicId);
+      } catch (deleteError) {
+        console.error("Failed to delete unused category image:", deleteError);
+      }
+    }
+    throw error;
+  } finally {
+    await session.endSession();
+  }
+
+  // Remove the replaced image once the new one is saved
+  if (image && oldImagePublicId) {
+    try {
+      await deleteFromCloudinary(oldImagePublicId);
+    } catch (error) {
+      console.error("Failed to delete old category image:", error);
+    }
+  }
+
+  res
+    .status(200)
+    .json(new ApiResponse(200, "Category updated successfully", category));
+});
+
+// Admin function to delete a category
+// Only unused categories (no subcategories, products or coupons) can be deleted
+export const deleteCategory = asyncHandler(async (req, res) => {
+  const { categoryId } = req.params;
+
+  if (!mongoose.isValidObjectId(categoryId)) {
+    throw new ApiError(400, "Invalid category ID");
+  }
+
+  const category = await Category.findById(categoryId);
+  if (!category) {
+    throw new ApiError(404, "Category not found");
+  }
+
+  if (await Category.exists({ parent: category._id })) {
+    throw new ApiError(
+      409,
+      "Move or delete the subcategories before deleting this category"
+    );
+  }
+
+  if (await Product.exists({ category: category._id })) {
+    throw new ApiError(
+      409,
+      "Move the products to another category before deleting this one"
+    );
+  }
+
+  // Removing the category from a coupon would widen it to every product
+  if (await Coupon.exists({ applicableCategories: category._id })) {
+    throw new ApiError(
+      409,
+      "Remove this category from its coupons before deleting it"
+    );
+  }
+
+  await category.deleteOne();
+
+  if (category.imagePublicId) {
+    try {
+      await deleteFromCloudinary(category.imagePublicId);
+    } catch (error) {
+      console.error("Failed to delete category image:", error);
+    }
+  }
+
+  res
+    .status(200)
+    .json(new ApiResponse(200, "Category deleted successfully", category));
+});
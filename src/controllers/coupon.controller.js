@@ -0,0 +1,131 @@
+import Coupon from "../models/coupon.model.js";
+import asyncHandler from "../utils/asyncHandler.js";
+import ApiError from "../utils/ApiError.js";
+import ApiResponse from "../utils/ApiResponse.js";
+
+// Fields an admin is allowed to set on a coupon
+const couponFields = [
+  "code",
+  "description",
+  "discountType",
+  "discountValue",
+  "maxDiscountAmount",
+  "minOrderValue",
+  "startsAt",
+  "expiresAt",
+  "usageLimit",
+  "usageLimitPerUser",
+  "applicableCategories",
+  "applicableBrands",
+  "isActive",
+];
+
+// Pick the allowed coupon fields from the request body
+const pickCouponFields = (body) => {
+  const data = {};
+  couponFields.forEach((field) => {
+    if (body[field] !== undefined) {
+      data[field] = body[field];
+    }
+  });
+  return data;
+};
+
+// Admin function to create a coupon
+export const createCoupon = asyncHandler(async (req, res) => {
+  const data = pickCouponFields(req.body);
+
+  // Check if a coupon with this code already exists
+  const existingCoupon = await Coupon.findOne({
+    code: String(data.code).trim().toUpperCase(),
+  });
+  if (existingCoupon) {
+    throw new ApiError(400, "Coupon already exists with this code");
+  }
+
+  const coupon = await Coupon.create({ ...data, createdBy: req.user._id });
+
+  res
+    .status(201)
+    .json(new ApiResponse(201, "Coupon created successfully", coupon));
+});
+
+// Admin function to get all coupons with filtering and pagination
+export const getAllCoupons = asyncHandler(async (req, res) => {
+  const { page = 1, limit = 10, isActive, search } = req.query;
+
+  // Build query
+  let query = {};
+
+  if (isActive !== undefined) {
+    query.isActive = isActive === "true";
+  }
+
+  if (search) {
+    query.code = { $regex: search, $options: "i" };
+  }
+
+  // Execute query with pagination
+  const coupons = await Coupon.find(query)
+    .populate("createdBy", "name email")
+    .sort({ createdAt: -1 })
+    .limit(limit * 1)
+    .skip((page - 1) * limit);
+
+  const totalCoupons = await Coupon.countDocuments(query);
+
+  res.status(200).json(
+    new ApiResponse(200, "Coupons retrieved successfully", {
+      coupons,
+      totalCoupons,
+      totalPages: Math.ceil(totalCoupons / limit),
+      currentPage: page,
+    })
+  );
+});
+
+// Admin function to get a coupon by ID
+export const getCouponById = asyncHandler(async (req, res) => {
+  const coupon = await Coupon.findById(req.params.couponId).populate(
+    "createdBy",
+    "name email"
+  );
+
+  if (!coupon) {
+    throw new ApiError(404, "Coupon not found");
+  }
+
+  res
+    .status(200)
+    .json(new ApiResponse(200, "Coupon retrieved successfully", coupon));
+});
+
+// Admin function to update a coupon
+export const updateCoupon = asyncHandler(async (req, res) => {
+  const coupon = await Coupon.findById(req.params.couponId);
+
+  if (!coupon) {
+    throw new ApiError(404, "Coupon not found");
+  }
+
+  // Apply the updates on the document so that all validators run
+  coupon.set(pickCouponFields(req.body));
+  await coupon.save();
+
+  res
+    .status(200)
+    .json(new ApiResponse(200, "Coupon updated successfully", coupon));
+});
+
+// Admin function to delete a coupon
+export const deleteCoupon = asyncHandler(async (req, res) => {
+  const coupon = await Coupon.findByIdAndDelete(req.params.couponId);
+
+  if (!coupon) {
+    throw new ApiError(404, "Coupon not found");
+  }
+
+  res
+    .status(200)
+    .json(new ApiResponse(200, "Coupon deleted successfully", coupon));
+});
@@ -0,0 +1,157 @@
+import mongoose from "mongoose";
+import Product from "../models/product.model.js";
+import StockMovement from "../models/stockMovement.model.js";
+import asyncHandler from "../utils/asyncHandler.js";
+import ApiError from "../utils/ApiError.js";
+import ApiResponse from "../utils/ApiResponse.js";
+import { getLowStockReport } from "../services/lowStock.service.js";
+import inventoryConfig from "../configs/inventory.config.js";
+
+// Find the product and variant named in the URL
+const findVariantForRequest = async (req) => {
+  const { id, variantId } = req.params;
+
+  if (!mongoose.isValidObjectId(id) || !mongoose.isValidObjectId(variantId)) {
+    throw new ApiError(400, "Invalid product or variant ID");
+  }
+
+  const product = await Product.findById(id).select("name variants");
+  if (!product) {
+    throw new ApiError(404, "Product not found with this ID");
+  }
+
+  const variant = product.variants.id(variantId);
+  if (!variant) {
+    throw new ApiError(404, "Variant not found");
+  }
+
+  return { product, variant };
+};
+
+// Staff function to adjust a variant's stock (stock counts, damage, deliveries)
+export const adjustVariantStock = asyncHandler(async (req, res) => {
+  const { product, variant } = await findVariantForRequest(req);
+  const { delta, reason = "adjustment", note = "" } = req.body;
+
+  // Change the stock and write its ledger row together
+  let updatedVariant;
+  const session = await mongoose.startSession();
+
+  try {
+    await session.withTransaction(async () => {
+      updatedVariant = await Product.adjustVariantStock(
+        product._id,
+        variant._id,
+        Number(delta),
+        { reason, note, actor: req.user._id },
+        session
+      );
+    });
+  } finally {
+    await session.endSession();
+  }
+
+  if (!updatedVariant) {
+    throw new ApiError(
+      409,
+      `Cannot remove ${-delta} units, only ${variant.quantity} left in stock`
+    );
+  }
+
+  res.status(200).json(
+    new ApiResponse(200, "Stock adjusted successfully", {
+      product: product._id,
+      variant: updatedVariant,
+    })
+  );
+});
+
+// Staff function to get the stock movement history of a variant
+export const getVariantStockHistory = asyncHandler(async (req, res) => {
+  const { product, variant } = await findVariantForRequest(req);
+  const { page = 1, limit = 20 } = req.query;
+
+  if (page < 1 || limit < 1) {
+    throw new ApiError(400, "Page and limit must be greater than 0");
+  }
+
+  const query = { product: product._id, variant: variant._id };
+
+  const movements = await StockMovement.find(query)
+    .populate("actor", "name email role")
+    .sort({ createdAt: -1 })
+    .limit(limit * 1)
+    .skip((page - 1) * limit);
+
+  const totalMovements = await StockMovement.countDocuments(query);
+
+  res.status(200).json(
+    new ApiResponse(200, "Stock history retrieved successfully", {
+      variant,
+      movements,
+      totalMovements,
+      totalPages: Math.ceil(totalMovements / limit),
+      currentPage: page,
+    })
+  );
+});
+
+// Staff function to compare variant stock against the stock ledger
+// (?productId= limits the check to one product)
+export const getStockReconciliation = asyncHandler(async (req, res) => {
+  const { productId } = req.query;
+
+  if (productId && !mongoose.isValidObjectId(productId)) {
+    throw new ApiError(400, "Invalid product ID");
+  }
+
+  const { checkedVariants, mismatches } = await StockMovement.reconcile(
+    productId
+  );
+
+  res.status(200).json(
+    new ApiResponse(
+      200,
+      mismatches.length === 0
+        ? "Stock matches the ledger"
+        : `${mismatches.length} variants do not match the ledger`,
+      {
+        checkedVariants,
+        mismatchCount: mismatches.length,
+        mismatches,
+      }
+    )
+  );
+});
+
+// Staff function to list variants at or below their low-stock threshold
+// with their recent sales velocity (?days= sets the sales window)
+export const getLowStockVariants = asyncHandler(async (req, res) => {
+  const {
+    page = 1,
+    limit = 20,
+    days = inventoryConfig.salesVelocityDays,
+  } = req.query;
+
+  if (page < 1 || limit < 1) {
+    throw new ApiError(400, "Page and limit must be greater than 0");
+  }
+
+  const salesDays = Number(days);
+  if (!Number.isInteger(salesDays) || salesDays < 1 || salesDays > 365) {
+    throw new ApiError(400, "Days must be a whole number from 1 to 365");
+  }
+
+  const report = await getLowStockReport({ days: salesDays });
+  const start = (page - 1) * limit;
+
+  res.status(200).json(
+    new ApiResponse(200, "Low-stock variants retrieved successfully", {
+      variants: report.slice(start, start + limit * 1),
+      totalVariants: report.length,
+      totalPages: Math.ceil(report.length / limit),
+      currentPage: page,
+      salesVelocityDays: salesDays,
+    })
+  );
+});
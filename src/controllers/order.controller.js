@@ -1,9 +1,26 @@
-import Order from "../models/order.model.js";
+import mongoose from "mongoose";
+import Order, { ORDER_STATUSES } from "../models/order.model.js";
 import Product from "../models/product.model.js";
+import Category from "../models/category.model.js";
 import User from "../models/user.model.js";
 import asyncHandler from "../utils/asyncHandler.js";
 import ApiError from "../utils/ApiError.js";
 import ApiResponse from "../utils/ApiResponse.js";
+import evaluateCoupon, {
+  redeemCoupon,
+  releaseCoupon,
+} from "../utils/coupon.js";
+import calculateShipping from "../utils/shipping.js";
+import calculateTax from "../utils/tax.js";
+import issueRefund from "../services/refund.service.js";
+import { ONLINE_PAYMENT_METHODS } from "../services/payment.service.js";
+import { reserveStock, releaseStock } from "../services/inventory.service.js";
+import {
+  getLowStockCrossing,
+  notifyLowStock,
+} from "../services/lowStock.service.js";
+import generateInvoicePdf from "../utils/invoice.js";
+import { SHIPPING_METHODS } from "../configs/shipping.config.js";
 import { log } from "console";
 import { stat } from "fs";
 
@@ -15,10 +32,10 @@ export const createOrder = asyncHandler(async (req, res) => {
   // get the order data from the request body
   const {
     orderItems,
-    shippingAddress,
+    addressId,
     paymentMethod,
-    shippingCharge = 0,
-    discount = 0,
+    shippingMethod = "standard",
+    couponCode,
     notes,
   } = req.body;
   
@@ -31,6 +48,19 @@ export const createOrder = asyncHandler(async (req, res) => {
     throw new ApiError(400, "Order items are required");
   }
 
+  // Use the posted address, or snapshot a saved one (by id, else the default)
+  let { shippingAddress } = req.body;
+
+  if (addressId) {
+    const savedAddress = req.user.addresses.id(addressId);
+    if (!savedAddress) {
+      throw new ApiError(404, "Saved address not found");
+    }
+    shippingAddress = savedAddress.toShippingAddress();
+  } else if (!shippingAddress && req.user.getDefaultAddress()) {
+    shippingAddress = req.user.getDefaultAddress().toShippingAddress();
+  }
+
   if (
     !shippingAddress ||
     !shippingAddress.fullName ||
@@ -50,89 +80,193 @@ export const createOrder = asyncHandler(async (req, res) => {
     throw new ApiError(400, "Valid payment method is required");
   }
 
-  if (shippingCharge < 0) {
-    throw new ApiError(400, "Shipping charge cannot be negative");
+  if (!SHIPPING_METHODS.includes(shippingMethod)) {
+    throw new ApiError(400, "Valid shipping method is required");
   }
 
-  if (discount < 0) {
-    throw new ApiError(400, "Discount cannot be negative");
-  }
   
 
-  // Validate and process order items
-  const processedOrderItems = [];
-  let calculatedTotal = 0;
-
+  // Validate order item fields before touching the database
   for (const item of orderItems) {
-    // Validate required fields
     if (!item.product || !item.size || !item.color || !item.quantity) {
       throw new ApiError(
         400,
         "Each order item must have product, size, color, and quantity"
       );
     }
+  }
 
-    // Get product details
-    const product = await Product.findById(item.product);
-    if (!product) {
-      throw new ApiError(404, `Product with ID ${item.product} not found`);
-    }
+  // Reserve stock and create the order in a single transaction so that
+  // either everything commits or nothing does
+  const session = await mongoose.startSession();
+  let newOrder;
+  let lowStockAlerts;
 
-    // Check if variant exists and has sufficient stock
-    if (!product.isInStock(item.size, item.color, item.quantity)) {
-      throw new ApiError(
-        400,
-        `Insufficient stock for ${product.name} (${item.size}, ${item.color})`
-      );
-    }
+  try {
+    await session.withTransaction(async () => {
+      // Generate the order id up front so stock movements can reference it
+      const orderId = new mongoose.Types.ObjectId();
+      lowStockAlerts = [];
+
+      // Validate and process order items
+      const processedOrderItems = [];
+      const pricingItems = [];
+      let calculatedTotal = 0;
+
+      for (const item of orderItems) {
+        // Get product details
+        const product = await Product.findById(item.product).session(session);
+        if (!product) {
+          throw new ApiError(404, `Product with ID ${item.product} not found`);
+        }
 
-    // Get the current price (including any variant modifiers)
-    const currentPrice = product.getFinalPrice(item.size, item.color);
-    const subtotal = currentPrice * item.quantity;
-
-    // Process the order item
-    const processedItem = {
-      product: product._id,
-      productName: product.name, // Store product name for historical reference
-      size: item.size,
-      color: item.color,
-      quantity: item.quantity,
-      price: currentPrice,
-      subtotal: subtotal,
-    };
-
-    processedOrderItems.push(processedItem);
-    calculatedTotal += subtotal;
-  }
+        // Check the variant and atomically reserve its stock
+        const reservedVariant = await reserveStock(product, item, {
+          session,
+          movement: {
+            referenceModel: "Order",
+            reference: orderId,
+            actor: userId,
+          },
+        });
+        const variant = product.getLineVariant(item);
+
+        // Remember variants this sale takes below their low-stock threshold
+        const lowStockAlert = getLowStockCrossing(
+          product,
+          reservedVariant,
+          item.quantity
+        );
+        if (lowStockAlert) {
+          lowStockAlerts.push(lowStockAlert);
+        }
+
+        // Get the current price (including any variant modifiers)
+        const currentPrice = product.getFinalPrice(variant.size, variant.color);
+        const subtotal = currentPrice * item.quantity;
+
+        // Process the order item
+        const processedItem = {
+          product: product._id,
+          productName: product.name, // Store product name for historical reference
+          size: variant.size,
+          color: variant.color,
+          sku: variant.sku,
+          quantity: item.quantity,
+          price: currentPrice,
+          subtotal: subtotal,
+        };
+
+        processedOrderItems.push(processedItem);
+        pricingItems.push({
+          price: currentPrice,
+          quantity: item.quantity,
+          category: product.category,
+          brand: product.brand,
+          weight: variant.weight,
+        });
+        calculatedTotal += subtotal;
+      }
 
-  // Calculate final amount
-  const finalAmount = calculatedTotal + shippingCharge - discount;
+      // Resolve each item's category lineage for coupons and tax
+      await Category.attachLineage(pricingItems, session);
+
+      // Calculate the discount on the server from the applied coupon
+      let discount = 0;
+      let appliedCoupon;
+      let coupon = null;
+      const code = couponCode || req.user.appliedCoupon;
+
+      if (code) {
+        const evaluation = await evaluateCoupon({
+          code,
+          userId,
+          items: pricingItems,
+          session,
+        });
+        await redeemCoupon(evaluation.coupon, userId, session);
+
+        coupon = evaluation.coupon;
+        discount = evaluation.discount;
+        appliedCoupon = {
+          couponId: evaluation.coupon._id,
+          code: evaluation.coupon.code,
+          discountType: evaluation.coupon.discountType,
+          discountValue: evaluation.coupon.discountValue,
+        };
+      }
 
-  if (finalAmount <= 0) {
-    throw new ApiError(400, "Final order amount must be greater than 0");
-  }
+      // Calculate the shipping charge on the server for the chosen method
+      const { charge: shippingCharge } = calculateShipping({
+        address: shippingAddress,
+        items: pricingItems,
+        subtotal: calculatedTotal,
+        method: shippingMethod,
+      });
+
+      // Calculate tax by destination and category, after the discount
+      const tax = calculateTax({
+        address: shippingAddress,
+        items: processedOrderItems.map((item, index) => ({
+          subtotal: item.subtotal,
+          categoryNames: pricingItems[index].categoryNames,
+          discountable: coupon
+            ? coupon.appliesToItem(pricingItems[index])
+            : false,
+        })),
+        discount,
+      });
+
+      processedOrderItems.forEach((item, index) => {
+        item.taxRate = tax.items[index].taxRate;
+        item.taxAmount = tax.items[index].taxAmount;
+        item.discountAmount = tax.items[index].discountAmount;
+      });
+
+      // Calculate final amount
+      const finalAmount =
+        calculatedTotal + shippingCharge - discount + tax.taxAmount;
+
+      if (finalAmount <= 0) {
+        throw new ApiError(400, "Final order amount must be greater than 0");
+      }
 
-  // Create the order
-  const newOrder = await Order.create({
-    user: userId,
-    orderItems: processedOrderItems,
-    shippingAddress,
-    paymentMethod,
-    shippingCharge,
-    totalAmount: calculatedTotal,
-    finalAmount,
-    discount,
-    notes: notes || "",
-  });
+      // Create the order
+      [newOrder] = await Order.create(
+        [
+          {
+            _id: orderId,
+            user: userId,
+            orderItems: processedOrderItems,
+            shippingAddress,
+            paymentMethod,
+            shippingMethod,
+            shippingCharge,
+            totalAmount: calculatedTotal,
+            finalAmount,
+            discount,
+            taxAmount: tax.taxAmount,
+            coupon: appliedCoupon,
+            notes: notes || "",
+          },
+        ],
+        { session }
+      );
 
-  // Update product stock for each variant
-  for (const item of orderItems) {
-    const product = await Product.findById(item.product);
-    await product.updateVariantStock(item.size, item.color, item.quantity);
+      // Clear user's cart (optional - you might want to do this after payment confirmation)
+      await User.findByIdAndUpdate(
+        userId,
+        { $set: { cart: [], appliedCoupon: null } },
+        { session }
+      );
+    });
+  } finally {
+    await session.endSession();
   }
 
-  // Clear user's cart (optional - you might want to do this after payment confirmation)
-  await User.findByIdAndUpdate(userId, { $set: { cart: [] } });
+  // Alert staff about variants running low once the sale is committed
+  // (not awaited so a slow notifier does not delay the checkout)
+  notifyLowStock(lowStockAlerts);
 
   // Populate the order with product and user details
   const populatedOrder = await Order.findById(newOrder._id)
@@ -178,17 +312,18 @@ export const getUserOrders = asyncHandler(async (req, res) => {
 export const getOrderById = asyncHandler(async (req, res) => {
   const { orderId } = req.params;
   const userId = req.user._id;
-  const userRole = req.user.role;
 
-  // Build query - users can only see their own orders, admins can see all
+  // Build query - users can only see their own orders, staff with
+  // orders:read can see all
   let query = { _id: orderId };
-  if (userRole !== "admin") {
+  if (!req.user.hasPermission("orders:read")) {
     query.user = userId;
   }
 
   const order = await Order.findOne(query)
     .populate("user", "name email phone")
-    .populate("orderItems.product", "name images brand category");
+    .populate("orderItems.product", "name images brand category")
+    .populate("statusHistory.changedBy", "name role");
 
   if (!order) {
     throw new ApiError(404, "Order not found");
@@ -199,56 +334,174 @@ export const getOrderById = asyncHandler(async (req, res) => {
     .json(new ApiResponse(200, "Order retrieved successfully", order));
 });
 
+// Function to get a specific order by its order number
+export const getOrderByNumber = asyncHandler(async (req, res) => {
+  const orderNumber = req.params.orderNumber.trim().toUpperCase();
+
+  // Build query - users can only see their own orders, staff with
+  // orders:read can see all
+  let query = { orderNumber };
+  if (!req.user.hasPermission("orders:read")) {
+    query.user = req.user._id;
+  }
+
+  const order = await Order.findOne(query)
+    .populate("user", "name email phone")
+    .populate("orderItems.product", "name images brand category")
+    .populate("statusHistory.changedBy", "name role");
+
+  if (!order) {
+    throw new ApiError(404, "Order not found");
+  }
+
+  res
+    .status(200)
+    .json(new ApiResponse(200, "Order retrieved successfully", order));
+});
+
+// Function to download the PDF invoice of an order
+export const getOrderInvoice = asyncHandler(async (req, res) => {
+  const { orderId } = req.params;
+
+  // Build query - users can only download their own invoices, staff with
+  // orders:read can download all
+  let query = { _id: orderId };
+  if (!req.user.hasPermission("orders:read")) {
+    query.user = req.user._id;
+  }
+
+  const order = await Order.findOne(query).populate("user", "name email");
+
+  if (!order) {
+    throw new ApiError(404, "Order not found");
+  }
+
+  // Issue the invoice number on first download
+  if (!order.invoiceNumber && !order.canBeInvoiced()) {
+    throw new ApiError(
+      409,
+      "An invoice is only available once the order has been paid"
+    );
+  }
+  await order.assignInvoiceNumber();
+
+  const pdf = await generateInvoicePdf(order);
+
+  res
+    .status(200)
+    .set({
+      "Content-Type": "application/pdf",
+      "Content-Disposition": `attachment; filename="${order.invoiceNumber}.pdf"`,
+      "Content-Length": pdf.length,
+    })
+    .send(pdf);
+});
+
 // Function to cancel an order (user can cancel their own orders)
 export const cancelOrder = asyncHandler(async (req, res) => {
   const { orderId } = req.params;
   const userId = req.user._id;
-  const userRole = req.user.role;
 
-  // Build query - users can only cancel their own orders, admins can cancel any
+  // Build query - users can only cancel their own orders, staff with
+  // orders:manage can cancel any
   let query = { _id: orderId };
-  if (userRole !== "admin") {
+  if (!req.user.hasPermission("orders:manage")) {
     query.user = userId;
   }
 
-  const order = await Order.findOne(query);
+  let order = await Order.findOne(query);
 
   if (!order) {
     throw new ApiError(404, "Order not found");
   }
 
-  // Use the model method to cancel the order
+  if (!order.canBeCancelled()) {
+    throw new ApiError(
+      409,
+      `Order cannot be cancelled while it is ${order.orderStatus}`
+    );
+  }
+
+  // Cancel the order, restock its variants and give the coupon use back in
+  // one transaction, so a failed restock leaves the order as it was
+  const session = await mongoose.startSession();
+
   try {
-    await order.cancel();
-
-    // Restore product stock for each variant
-    for (const item of order.orderItems) {
-      const product = await Product.findById(item.product);
-      if (product) {
-        const variant = product.getVariant(item.size, item.color);
-        if (variant) {
-          variant.quantity += item.quantity;
-          await product.save();
-        }
+    await session.withTransaction(async () => {
+      order = await Order.findById(order._id).session(session);
+      await order.cancel(userId, req.body?.reason || "", session);
+
+      for (const item of order.orderItems) {
+        await releaseStock(item.product, item, {
+          session,
+          movement: {
+            reason: "cancellation",
+            referenceModel: "Order",
+            reference: order._id,
+            actor: userId,
+          },
+        });
       }
-    }
 
-    res
-      .status(200)
-      .json(new ApiResponse(200, "Order cancelled successfully", order));
+      if (order.coupon?.couponId) {
+        await releaseCoupon(order.coupon.couponId, order.user, session);
+      }
+    });
   } catch (error) {
+    if (error instanceof ApiError) throw error;
     throw new ApiError(400, error.message);
+  } finally {
+    await session.endSession();
   }
+
+  // Refund whatever the customer has paid for a cancelled order. Staff
+  // without orders:refund leave the refund pending for someone who has it
+  if (order.getRefundableAmount() > 0) {
+    const canRefund =
+      order.user.equals(userId) || req.user.hasPermission("orders:refund");
+
+    let refunded = false;
+
+    if (canRefund) {
+      // A failed refund leaves the cancellation in place and flags the
+      // order so the refund can be retried
+      try {
+        ({ order } = await issueRefund(order, {
+          reason: "Order cancelled",
+          actor: userId,
+        }));
+        refunded = true;
+      } catch (error) {
+        console.error("Refund for cancelled order failed:", error.message);
+      }
+    }
+
+    if (!refunded) {
+      order.payment.refundRequired = true;
+      await order.save();
+    }
+  }
+
+  res
+    .status(200)
+    .json(
+      new ApiResponse(
+        200,
+        order.payment?.refundRequired
+          ? "Order cancelled, refund pending"
+          : "Order cancelled successfully",
+        order
+      )
+    );
 });
 
-// Admin function to update order status
-export const updateOrderStatus = asyncHandler(async (req, res) => {
+// Staff function to issue a full or partial refund for an order
+export const refundOrder = asyncHandler(async (req, res) => {
   const { orderId } = req.params;
-  const { orderStatus, paymentStatus, trackingNumber } = req.body;
+  const { amount, items, reason } = req.body;
 
-  // Check if user is admin
-  if (req.user.role !== "admin") {
-    throw new ApiError(403, "Access denied. Admin role required.");
+  if (items !== undefined && !Array.isArray(items)) {
+    throw new ApiError(400, "Refund items must be an array");
   }
 
   const order = await Order.findById(orderId);
@@ -257,28 +510,96 @@ export const updateOrderStatus = asyncHandler(async (req, res) => {
     throw new ApiError(404, "Order not found");
   }
 
-  // Update order status using model method
-  if (orderStatus) {
+  const { refund, order: refundedOrder } = await issueRefund(order, {
+    amount,
+    items,
+    reason,
+    actor: req.user._id,
+  });
+
+  res.status(201).json(
+    new ApiResponse(201, "Refund issued successfully", {
+      refund,
+      paymentStatus: refundedOrder.paymentStatus,
+      refundedAmount: refundedOrder.getRefundedAmount(),
+      refundableAmount: refundedOrder.getRefundableAmount(),
+    })
+  );
+});
+
+// Staff function to update order status
+export const updateOrderStatus = asyncHandler(async (req, res) => {
+  const { orderId } = req.params;
+  const { orderStatus, paymentStatus, trackingNumber, note } = req.body;
+
+  const order = await Order.findById(orderId);
+
+  if (!order) {
+    throw new ApiError(404, "Order not found");
+  }
+
+  // Staff can only record whether an offline order was paid. Online payments
+  // are set by the gateway webhook and refund states only by refundOrder
+  const paymentChanged = paymentStatus && paymentStatus !== order.paymentStatus;
+
+  if (paymentChanged) {
+    if (!["Paid", "Failed"].includes(paymentStatus)) {
+      throw new ApiError(
+        400,
+        "Payment status can only be set to Paid or Failed"
+      );
+    }
+
+    if (ONLINE_PAYMENT_METHODS.includes(order.paymentMethod)) {
+      throw new ApiError(
+        409,
+        `Payment status of ${order.paymentMethod} orders is set by the payment gateway`
+      );
+    }
+
+    if (!["Pending", "Failed"].includes(order.paymentStatus)) {
+      throw new ApiError(
+        409,
+        `Cannot change payment status from ${order.paymentStatus}`
+      );
+    }
+
+    order.paymentStatus = paymentStatus;
+  }
+
+  // Update order status using model method (which also saves the payment
+  // status set above)
+  if (orderStatus && orderStatus !== order.orderStatus) {
+    if (!ORDER_STATUSES.includes(orderStatus)) {
+      throw new ApiError(400, "Invalid order status");
+    }
+
+    // Reject transitions that are not part of the status graph
+    if (!order.canTransitionTo(orderStatus)) {
+      throw new ApiError(
+        409,
+        `Cannot change order status from ${order.orderStatus} to ${orderStatus}`
+      );
+    }
+
     try {
-      await order.updateStatus(orderStatus, trackingNumber);
+      await order.updateStatus(orderStatus, trackingNumber, {
+        changedBy: req.user._id,
+        note,
+      });
     } catch (error) {
       throw new ApiError(400, error.message);
     }
-  }
-
-  // Update payment status
-  if (
-    paymentStatus &&
-    ["Pending", "Paid", "Failed", "Refunded"].includes(paymentStatus)
-  ) {
-    order.paymentStatus = paymentStatus;
+  } else if (trackingNumber || paymentChanged) {
+    if (trackingNumber) order.trackingNumber = trackingNumber;
     await order.save();
   }
 
   // Populate updated order
   const updatedOrder = await Order.findById(orderId)
     .populate("user", "name email")
-    .populate("orderItems.product", "name images brand");
+    .populate("orderItems.product", "name images brand")
+    .populate("statusHistory.changedBy", "name role");
 
   res
     .status(200)
@@ -287,19 +608,16 @@ export const updateOrderStatus = asyncHandler(async (req, res) => {
     );
 });
 
-// Admin function to get all orders with filtering and pagination
+// Staff function to get all orders with filtering and pagination
 export const getAllOrders = asyncHandler(async (req, res) => {
-  // Check if user is admin
-  if (req.user.role !== "admin") {
-    throw new ApiError(403, "Access denied. Admin role required.");
-  }
-
   const {
     page = 1,
     limit = 10,
     orderStatus,
     paymentStatus,
     paymentMethod,
+    refundRequired,
+    orderNumber,
     startDate,
     endDate,
   } = req.query;
@@ -319,6 +637,17 @@ export const getAllOrders = asyncHandler(async (req, res) => {
     query.paymentMethod = paymentMethod;
   }
 
+  // Orders whose money still has to be returned by someone with orders:refund
+  if (refundRequired === "true") {
+    query["payment.refundRequired"] = true;
+  }
+
+  // Search by (part of) the order number, e.g. "000123" or "SW-2026"
+  if (orderNumber) {
+    const escaped = orderNumber.trim().replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+    query.orderNumber = { $regex: escaped, $options: "i" };
+  }
+
   if (startDate || endDate) {
     query.createdAt = {};
     if (startDate) query.createdAt.$gte = new Date(startDate);
@@ -363,13 +692,8 @@ export const getAllOrders = asyncHandler(async (req, res) => {
   );
 });
 
-// Function to get order analytics (admin only)
+// Function to get order analytics (staff only)
 export const getOrderAnalytics = asyncHandler(async (req, res) => {
-  // Check if user is admin
-  if (req.user.role !== "admin") {
-    throw new ApiError(403, "Access denied. Admin role required.");
-  }
-
   const { period = "30" } = req.query; // Default to last 30 days
   const daysBack = parseInt(period);
   const startDate = new Date();
@@ -0,0 +1,238 @@
+import mongoose from "mongoose";
+import Order from "../models/order.model.js";
+import PaymentEvent from "../models/paymentEvent.model.js";
+import asyncHandler from "../utils/asyncHandler.js";
+import ApiError from "../utils/ApiError.js";
+import ApiResponse from "../utils/ApiResponse.js";
+import getPaymentGateway, {
+  isPaymentGateway,
+  ONLINE_PAYMENT_METHODS,
+  toMinorUnits,
+} from "../services/payment.service.js";
+
+// Webhook event types that change an order's payment status
+const PAYMENT_SUCCEEDED = "payment_intent.succeeded";
+const PAYMENT_FAILED = "payment_intent.payment_failed";
+
+// Payment statuses a webhook event may still change; once an order is paid or
+// refunded only refunds move it, so late or replayed events are ignored
+const OPEN_PAYMENT_STATUSES = ["Pending", "Failed"];
+
+// Gateway intent statuses in which the customer can still pay the intent, and
+// in which a payment is already under way
+const PAYABLE_INTENT_STATUSES = [
+  "requires_payment_method",
+  "requires_confirmation",
+  "requires_action",
+];
+const SETTLING_INTENT_STATUSES = [
+  "processing",
+  "requires_capture",
+  "succeeded",
+];
+
+// Function to start an online payment for an order
+export const createPaymentIntent = asyncHandler(async (req, res) => {
+  const { orderId } = req.params;
+
+  // Users can only pay for their own orders
+  const order = await Order.findOne({ _id: orderId, user: req.user._id });
+
+  if (!order) {
+    throw new ApiError(404, "Order not found");
+  }
+
+  if (!ONLINE_PAYMENT_METHODS.includes(order.paymentMethod)) {
+    throw new ApiError(
+      400,
+      `Online payment is not available for ${order.paymentMethod} orders`
+    );
+  }
+
+  if (order.orderStatus === "Cancelled") {
+    throw new ApiError(409, "Cannot pay for a cancelled order");
+  }
+
+  if (!OPEN_PAYMENT_STATUSES.includes(order.paymentStatus)) {
+    throw new ApiError(409, `Order payment is already ${order.paymentStatus}`);
+  }
+
+  const gateway = getPaymentGateway();
+  const amount = toMinorUnits(order.finalAmount);
+  const currency = "USD";
+
+  // An order keeps a single payable intent: hand back the open one, or cancel
+  // it before creating its replacement so it can never be paid as well
+  const previousGateway = order.payment?.intentId
+    ? getPaymentGateway(order.payment.provider)
+    : null;
+  const previous = previousGateway
+    ? await previousGateway.retrievePaymentIntent(order.payment.intentId)
+    : null;
+
+  if (previous && SETTLING_INTENT_STATUSES.includes(previous.status)) {
+    throw new ApiError(409, "A payment for this order is already in progress");
+  }
+
+  if (previous && PAYABLE_INTENT_STATUSES.includes(previous.status)) {
+    if (previousGateway === gateway && previous.amount === amount) {
+      return res.status(200).json(
+        new ApiResponse(200, "Payment intent retrieved successfully", {
+          orderId: order._id,
+          provider: gateway.name,
+          paymentIntentId: previous.id,
+          clientSecret: previous.clientSecret,
+          amount,
+          currency,
+        })
+      );
+    }
+
+    await previousGateway.cancelPaymentIntent({
+      intentId: previous.id,
+      idempotencyKey: `cancel_${previous.id}`,
+    });
+  }
+
+  // Keyed on the intent being replaced so parallel requests share one intent
+  const intent = await gateway.createPaymentIntent({
+    amount,
+    currency,
+    metadata: { orderId: order._id.toString() },
+    idempotencyKey: `intent_${order._id}_${previous?.id || "first"}`,
+  });
+
+  // Remember the intent so the webhook can find the order
+  order.payment = {
+    provider: gateway.name,
+    intentId: intent.id,
+    amount,
+    currency,
+  };
+  order.paymentStatus = "Pending";
+  await order.save();
+
+  res.status(201).json(
+    new ApiResponse(201, "Payment intent created successfully", {
+      orderId: order._id,
+      provider: gateway.name,
+      paymentIntentId: intent.id,
+      clientSecret: intent.clientSecret,
+      amount,
+      currency,
+    })
+  );
+});
+
+// Function to receive signed payment events from the gateway
+export const handlePaymentWebhook = asyncHandler(async (req, res) => {
+  const { provider } = req.params;
+
+  if (provider && !isPaymentGateway(provider)) {
+    throw new ApiError(404, "Unknown payment provider");
+  }
+
+  const gateway = getPaymentGateway(provider);
+
+  // Throws if the signature does not match the raw body
+  const event = gateway.constructWebhookEvent(
+    req.body,
+    req.headers["stripe-signature"]
+  );
+
+  if (![PAYMENT_SUCCEEDED, PAYMENT_FAILED].includes(event.type)) {
+    return res
+      .status(200)
+      .json(new ApiResponse(200, "Event ignored", { received: true }));
+  }
+
+  const intent = event.data?.object || {};
+  let duplicate = false;
+  let refundRequired = false;
+
+  // Record the event and update the order together so a replayed event
+  // changes nothing and a failure leaves the event unprocessed
+  const session = await mongoose.startSession();
+
+  try {
+    await session.withTransaction(async () => {
+      const existingEvent = await PaymentEvent.findOne({
+        eventId: event.id,
+      }).session(session);
+
+      if (existingEvent) {
+        duplicate = true;
+        return;
+      }
+
+      // Only the gateway that created the intent may report on it, so an
+      // event signed by another gateway never matches the order
+      const order = await Order.findOne({
+        "payment.provider": gateway.name,
+        "payment.intentId": intent.id,
+      }).session(session);
+
+      if (!order) {
+        throw new ApiError(404, "Order not found for this payment");
+      }
+
+      const isOpen = OPEN_PAYMENT_STATUSES.includes(order.paymentStatus);
+
+      if (event.type === PAYMENT_SUCCEEDED && isOpen) {
+        if (intent.amount !== order.payment.amount) {
+          throw new ApiError(400, "Paid amount does not match the order");
+        }
+
+        // A cancelled order is not reopened by a late payment; the money is
+        // flagged so staff can return it instead of it being marked Paid
+        if (order.orderStatus === "Cancelled") {
+          order.payment.paidAt = new Date();
+          order.payment.refundRequired = true;
+          order.payment.failureReason = "Payment received after cancellation";
+          refundRequired = true;
+        } else {
+          order.paymentStatus = "Paid";
+          order.payment.paidAt = new Date();
+          order.payment.failureReason = undefined;
+
+          // Move the order forward now that it has been paid for
+          if (order.orderStatus === "Pending") {
+            order.transitionTo("Processing", { note: "Payment received" });
+          }
+        }
+      }
+
+      if (event.type === PAYMENT_FAILED && isOpen) {
+        order.paymentStatus = "Failed";
+        order.payment.failureReason =
+          intent.last_payment_error?.message || "Payment failed";
+      }
+
+      await order.save({ session });
+
+      await PaymentEvent.create(
+        [
+          {
+            eventId: event.id,
+            provider: gateway.name,
+            type: event.type,
+            order: order._id,
+          },
+        ],
+        { session }
+      );
+    });
+  } finally {
+    await session.endSession();
+  }
+
+  res
+    .status(200)
+    .json(
+      new ApiResponse(
+        200,
+        duplicate ? "Event already processed" : "Event processed",
+        { received: true, duplicate, refundRequired }
+      )
+    );
+});
@@ -1,4 +1,6 @@
+import mongoose from "mongoose";
 import Product from "../models/product.model.js";
+import Category from "../models/category.model.js";
 import ApiError from "../utils/ApiError.js";
 import ApiResponse from "../utils/ApiResponse.js";
 import asyncHandler from "../utils/asyncHandler.js";
@@ -8,10 +10,88 @@ import uploadOnCloudinary, {
   deleteFromCloudinary,
 } from "../utils/cloudinary.js";
 
+// Make sure a category ID given for a product exists
+const assertCategoryExists = async (categoryId) => {
+  if (
+    !mongoose.isValidObjectId(categoryId) ||
+    !(await Category.exists({ _id: categoryId }))
+  ) {
+    throw new ApiError(400, "Category not found");
+  }
+};
+
+// Make sure no other product already uses one of the variant SKUs
+const assertSkusAvailable = async (variants, productId = null) => {
+  if (!Array.isArray(variants)) return;
+
+  const skus = variants
+    .filter((variant) => variant.sku)
+    .map((variant) => String(variant.sku).trim().toUpperCase());
+  if (skus.length === 0) return;
+
+  const existingProduct = await Product.findOne({
+    _id: { $ne: productId },
+    "variants.sku": { $in: skus },
+  }).select("name variants.sku");
+
+  if (existingProduct) {
+    const sku = existingProduct.variants.find((v) => skus.includes(v.sku)).sku;
+    throw new ApiError(
+      409,
+      `SKU ${sku} is already used by ${existingProduct.name}`
+    );
+  }
+};
+
+// Parse a low-stock threshold from the body ("" or null = store default)
+const parseLowStockThreshold = (value) => {
+  if (value === undefined || value === null || value === "") return null;
+
+  const threshold = Number(value);
+  if (!Number.isInteger(threshold) || threshold < 0) {
+    throw new ApiError(400, "Low-stock threshold must be a whole number");
+  }
+  return threshold;
+};
+
+// Merge a variant sent to updateProduct with the variant it edits. Existing
+// variants keep their id and SKU so their stock history carries on; their
+// quantity can only change through stock adjustments, which are atomic
+const mergeVariantUpdate = (product, variant) => {
+  const existing =
+    (variant._id && product.variants.id(variant._id)) ||
+    product.getVariant(variant.size, variant.color);
+  if (!existing) return variant;
+
+  if (
+    variant.quantity !== undefined &&
+    Number(variant.quantity) !== existing.quantity
+  ) {
+    throw new ApiError(
+      409,
+      `Stock of variant (${existing.size}, ${existing.color}) is ${existing.quantity}; change it through a stock adjustment`
+    );
+  }
+
+  return {
+    ...variant,
+    _id: existing._id,
+    sku: variant.sku || existing.sku,
+    quantity: existing.quantity,
+  };
+};
+
 // Function to create a new product
 export const createProduct = asyncHandler(async (req, res) => {
-  const { name, description, price, category, brand, stock, variants } =
-    req.body;
+  const {
+    name,
+    description,
+    price,
+    category,
+    brand,
+    variants,
+    lowStockThreshold,
+  } = req.body;
 
   // Validate required fields
   if (!name || !description || !price || !category || !brand) {
@@ -27,6 +107,8 @@ export const createProduct = asyncHandler(async (req, res) => {
     throw new ApiError(400, "Product already exists with this name");
   }
 
+  await assertCategoryExists(category);
+
   // Handle multiple image uploads
   let images = [];
   if (req.files && req.files.length > 0) {
@@ -64,19 +146,42 @@ export const createProduct = asyncHandler(async (req, res) => {
       throw new ApiError(400, "Invalid variants format");
     }
   }
+  await assertSkusAvailable(parsedVariants);
+
+  // Create the product and record the opening stock of each variant in the
+  // stock ledger together
+  const session = await mongoose.startSession();
+  let newProduct;
+
+  try {
+    await session.withTransaction(async () => {
+      [newProduct] = await Product.create(
+        [
+          {
+            name,
+            description,
+            price: parseFloat(price),
+            category,
+            brand,
+            variants: parsedVariants,
+            lowStockThreshold: parseLowStockThreshold(lowStockThreshold),
+            images,
+            createdBy: req.user._id,
+          },
+        ],
+        { session }
+      );
 
-  // Create the product
-  const newProduct = await Product.create({
-    name,
-    description,
-    price: parseFloat(price),
-    category,
-    brand,
-    stock: stock ? parseInt(stock) : 0,
-    variants: parsedVariants,
-    images,
-    createdBy: req.user._id,
-  });
+      await newProduct.recordVariantChanges(
+        [],
+        { reason: "import", actor: req.user._id, note: "Initial stock" },
+        newProduct.variants,
+        session
+      );
+    });
+  } finally {
+    await session.endSession();
+  }
 
   res.status(201).json(
     new ApiResponse(201, "Product created successfully", {
@@ -130,20 +235,31 @@ export const getAllProducts = asyncHandler(async (req, res) => {
         categoryArray = category.split(",").map((cat) => cat.trim());
       }
     } else if (Array.isArray(category)) {
-      categoryArray = category.map((cat) => cat.trim());
+      categoryArray = category;
     }
 
-    if (categoryArray && categoryArray.length > 0) {
-      query.category = { $in: categoryArray };
+    // JSON may also hold a single value (e.g. ?category="shirts"); keep
+    // non-empty strings only so other values are ignored instead of failing
+    const values = Array.isArray(categoryArray)
+      ? categoryArray
+      : [categoryArray];
+    categoryArray = values
+      .filter((cat) => typeof cat === "string")
+      .map((cat) => cat.trim())
+      .filter(Boolean);
+
+    if (categoryArray.length > 0) {
+      // Categories can be given by ID or slug; include all subcategories
+      const ids = categoryArray.filter((cat) => mongoose.isValidObjectId(cat));
+      const slugs = categoryArray.map((cat) => String(cat).toLowerCase());
+      const categoryIds = await Category.find({
+        $or: [{ _id: { $in: ids } }, { slug: { $in: slugs } }],
+      }).distinct("_id");
+
+      query.category = { $in: await Category.getSubtreeIds(categoryIds) };
     }
-  } else if (category) {
-    // Handle single category (backward compatibility)
-    query.category = category;
   }
 
-  console.log("Category filter applied:", query.category);
-  
-
   // Brand filter
   if (brand) {
     // query.brand = brand;
@@ -164,6 +280,7 @@ export const getAllProducts = asyncHandler(async (req, res) => {
 
   // Execute query with pagination
   const products = await Product.find(query)
+    .populate("category", "name slug")
     .populate("createdBy", "name")
     .sort({ [sortBy]: sortOrder === "asc" ? 1 : -1 })
     .limit(limit * 1)
@@ -221,10 +338,10 @@ export const getNewArrivals = asyncHandler(async (req, res) => {
     },
   ]);
 
-  const populatedProducts = await Product.populate(products, {
-    path: "createdBy",
-    select: "name",
-  });
+  const populatedProducts = await Product.populate(products, [
+    { path: "category", select: "name slug" },
+    { path: "createdBy", select: "name" },
+  ]);
 
   // Send response
   res
@@ -328,7 +445,9 @@ export const getProductById = asyncHandler(async (req, res) => {
     throw new ApiError(400, "Product ID is required");
   }
 
-  const product = await Product.findById(id).select("-createdAt -updatedAt");
+  const product = await Product.findById(id)
+    .select("-createdAt -updatedAt")
+    .populate("category", "name slug ancestors");
   if (!product) {
     throw new ApiError(404, "Product not found with this ID");
   }
@@ -338,11 +457,32 @@ export const getProductById = asyncHandler(async (req, res) => {
     .json(new ApiResponse(200, "Product fetched successfully", product));
 });
 
+// Function to get a product and variant by SKU (e.g. a warehouse scan)
+export const getProductBySku = asyncHandler(async (req, res) => {
+  const result = await Product.findBySku(req.params.sku);
+  if (!result) {
+    throw new ApiError(404, "Product not found with this SKU");
+  }
+
+  await result.product.populate("category", "name slug");
+
+  res
+    .status(200)
+    .json(new ApiResponse(200, "Product fetched successfully", result));
+});
+
 // Function to update a product
 export const updateProduct = asyncHandler(async (req, res) => {
   const { id } = req.params;
-  const { name, description, price, category, brand, stock, variants } =
-    req.body;
+  const {
+    name,
+    description,
+    price,
+    category,
+    brand,
+    variants,
+    lowStockThreshold,
+  } = req.body;
 
   if (!id) {
     throw new ApiError(400, "Product ID is required");
@@ -358,18 +498,29 @@ export const updateProduct = asyncHandler(async (req, res) => {
   if (name) updates.name = name;
   if (description) updates.description = description;
   if (price) updates.price = parseFloat(price);
-  if (category) updates.category = category;
+  if (category) {
+    await assertCategoryExists(category);
+    updates.category = category;
+  }
   if (brand) updates.brand = brand;
-  if (stock !== undefined) updates.stock = parseInt(stock);
+  if (lowStockThreshold !== undefined) {
+    updates.lowStockThreshold = parseLowStockThreshold(lowStockThreshold);
+  }
 
   // Handle variants update
+  let variantUpdates;
   if (variants) {
     try {
-      updates.variants =
+      variantUpdates =
         typeof variants === "string" ? JSON.parse(variants) : variants;
     } catch (error) {
       throw new ApiError(400, "Invalid variants format");
     }
+
+    if (!Array.isArray(variantUpdates)) {
+      throw new ApiError(400, "Invalid variants format");
+    }
+    await assertSkusAvailable(variantUpdates, product._id);
   }
 
   // Handle new image uploads
@@ -393,10 +544,52 @@ export const updateProduct = asyncHandler(async (req, res) => {
     }
   }
 
-  const updatedProduct = await Product.findByIdAndUpdate(id, updates, {
-    new: true,
-    runValidators: true,
-  }).populate("createdBy", "name");
+  // Save through the document so variant SKUs are generated and checked.
+  // The read and save run in a transaction so a checkout or stock
+  // adjustment on this product in between makes it retry on fresh data
+  // instead of being overwritten
+  const session = await mongoose.startSession();
+  let updatedProduct;
+
+  try {
+    await session.withTransaction(async () => {
+      updatedProduct = await Product.findById(id).session(session);
+      if (!updatedProduct) {
+        throw new ApiError(404, "Product not found with this ID");
+      }
+
+      const previousVariants = updatedProduct.variants.map((variant) =>
+        variant.toObject()
+      );
+
+      if (variantUpdates) {
+        updates.variants = variantUpdates.map((variant) =>
+          mergeVariantUpdate(updatedProduct, variant)
+        );
+      }
+
+      updatedProduct.set(updates);
+      await updatedProduct.save({ session });
+
+      // Opening stock of new variants and the stock of removed ones are
+      // recorded as manual adjustments
+      if (updates.variants) {
+        await updatedProduct.recordVariantChanges(
+          previousVariants,
+          {
+            reason: "adjustment",
+            actor: req.user._id,
+            note: "Product variants updated",
+          },
+          updatedProduct.variants,
+          session
+        );
+      }
+    });
+  } finally {
+    await session.endSession();
+  }
+  await updatedProduct.populate("createdBy", "name");
 
   res.status(200).json(
     new ApiResponse(200, "Product updated successfully", {
@@ -423,11 +616,29 @@ export const deleteProduct = asyncHandler(async (req, res) => {
     throw new ApiError(400, "Product ID is required");
   }
 
-  const product = await Product.findByIdAndDelete(id).select(
-    "-createdAt -updatedAt"
-  );
-  if (!product) {
-    throw new ApiError(404, "Product not found with this ID");
+  // Delete the product and close out its remaining stock in the ledger
+  // together
+  const session = await mongoose.startSession();
+  let product;
+
+  try {
+    await session.withTransaction(async () => {
+      product = await Product.findByIdAndDelete(id, { session }).select(
+        "-createdAt -updatedAt"
+      );
+      if (!product) {
+        throw new ApiError(404, "Product not found with this ID");
+      }
+
+      await product.recordVariantChanges(
+        product.variants.map((variant) => variant.toObject()),
+        { reason: "adjustment", actor: req.user._id, note: "Product deleted" },
+        [],
+        session
+      );
+    });
+  } finally {
+    await session.endSession();
   }
 
   res
@@ -0,0 +1,390 @@
+import mongoose from "mongoose";
+import Order from "../models/order.model.js";
+import ReturnRequest from "../models/returnRequest.model.js";
+import asyncHandler from "../utils/asyncHandler.js";
+import ApiError from "../utils/ApiError.js";
+import ApiResponse from "../utils/ApiResponse.js";
+import issueRefund from "../services/refund.service.js";
+import { releaseStock } from "../services/inventory.service.js";
+import returnsConfig from "../configs/returns.config.js";
+
+const isSameItem = (a, b) =>
+  a.product.toString() === b.product.toString() &&
+  a.size === b.size &&
+  a.color === b.color;
+
+// Find the order for the request - users can only see their own orders,
+// staff with orders:read can see all
+const findOrderForRequest = async (req) => {
+  const query = { _id: req.params.orderId };
+  if (!req.user.hasPermission("orders:read")) {
+    query.user = req.user._id;
+  }
+
+  const order = await Order.findOne(query);
+  if (!order) {
+    throw new ApiError(404, "Order not found");
+  }
+  return order;
+};
+
+// Find a return request that belongs to the order in the URL
+const findReturnForRequest = async (req) => {
+  const order = await findOrderForRequest(req);
+  const returnRequest = await ReturnRequest.findOne({
+    _id: req.params.returnId,
+    order: order._id,
+  });
+
+  if (!returnRequest) {
+    throw new ApiError(404, "Return request not found");
+  }
+  return { order, returnRequest };
+};
+
+// Apply a status change, rejecting transitions outside the lifecycle
+const transitionReturn = (returnRequest, status, req) => {
+  if (!returnRequest.canTransitionTo(status)) {
+    throw new ApiError(
+      409,
+      `Cannot change return status from ${returnRequest.status} to ${status}`
+    );
+  }
+  returnRequest.transitionTo(status, {
+    changedBy: req.user._id,
+    note: req.body?.note || "",
+  });
+};
+
+// Refund the items of a received return and link the refund record.
+// Safe to retry: a refund that already went through is reused, and a new
+// attempt must first claim the return so two requests cannot both refund it
+const refundReturn = async (order, returnRequest, actor) => {
+  let refund = returnRequest.refundId
+    ? order.refunds.id(returnRequest.refundId)
+    : null;
+
+  if (refund?.status === "Pending") {
+    throw new ApiError(409, "A refund for this return is already in progress");
+  }
+
+  if (refund?.status !== "Succeeded") {
+    if (order.getRefundableAmount() <= 0) return null;
+
+    const refundId = new mongoose.Types.ObjectId();
+    const claimed = await ReturnRequest.claimRefund(
+      returnRequest._id,
+      returnRequest.refundId,
+      refundId
+    );
+
+    if (!claimed) {
+      throw new ApiError(409, "This return is already being refunded");
+    }
+    returnRequest.refundId = refundId;
+
+    ({ refund } = await issueRefund(order, {
+      items: returnRequest.items.map((item) => ({
+        product: item.product,
+        size: item.size,
+        color: item.color,
+        quantity: item.quantity,
+      })),
+      reason: `Return ${returnRequest._id}: ${returnRequest.reason}`.slice(
+        0,
+        500
+      ),
+      actor,
+      refundId,
+    }));
+  }
+
+  returnRequest.transitionTo("Refunded", {
+    changedBy: actor,
+    note: `Refunded ${refund.amount}`,
+  });
+  returnRequest.refundRequired = false;
+  await returnRequest.save();
+
+  return refund;
+};
+
+// Function to request a return or exchange for a delivered order
+export const createReturnRequest = asyncHandler(async (req, res) => {
+  const { items, reason, type = "return" } = req.body;
+
+  // Customers can only request returns for their own orders
+  const order = await Order.findOne({
+    _id: req.params.orderId,
+    user: req.user._id,
+  });
+
+  if (!order) {
+    throw new ApiError(404, "Order not found");
+  }
+
+  if (order.orderStatus !== "Delivered") {
+    throw new ApiError(409, "Only delivered orders can be returned");
+  }
+
+  // Check the return window from the delivery date
+  const windowEnd = new Date(order.deliveredAt || order.updatedAt);
+  windowEnd.setDate(windowEnd.getDate() + returnsConfig.returnWindowDays);
+
+  if (new Date() > windowEnd) {
+    throw new ApiError(
+      409,
+      `Returns must be requested within ${returnsConfig.returnWindowDays} days of delivery`
+    );
+  }
+
+  if (!Array.isArray(items) || items.length === 0) {
+    throw new ApiError(400, "Select at least one item to return");
+  }
+
+  if (!["return", "exchange"].includes(type)) {
+    throw new ApiError(400, "Type must be return or exchange");
+  }
+
+  // Check the quantities and create the request in one transaction that
+  // also writes the order, so parallel requests for the same items cannot
+  // both pass the check
+  let returnRequest;
+  const session = await mongoose.startSession();
+
+  try {
+    await session.withTransaction(async () => {
+      await Order.updateOne(
+        { _id: order._id },
+        { $set: { returnRequestedAt: new Date() } },
+        { session, timestamps: false }
+      );
+
+      // Quantities already covered by other open or completed requests
+      const existingRequests = await ReturnRequest.find({
+        order: order._id,
+        status: { $ne: "Rejected" },
+      }).session(session);
+      const requestedItems = existingRequests.flatMap((r) => r.items);
+
+      const returnItems = items.map((item) => {
+        const quantity = Number(item.quantity);
+        const orderItem = order.orderItems.find((orderItem) =>
+          isSameItem(orderItem, item)
+        );
+
+        if (!orderItem) {
+          throw new ApiError(
+            400,
+            `Item (${item.size}, ${item.color}) is not part of this order`
+          );
+        }
+
+        const alreadyRequested = requestedItems
+          .filter((requested) => isSameItem(requested, orderItem))
+          .reduce((total, requested) => total + requested.quantity, 0);
+
+        if (
+          !Number.isInteger(quantity) ||
+          quantity < 1 ||
+          quantity > orderItem.quantity - alreadyRequested
+        ) {
+          throw new ApiError(
+            400,
+            `Invalid return quantity for ${orderItem.productName} (${item.size}, ${item.color})`
+          );
+        }
+
+        return {
+          product: orderItem.product,
+          productName: orderItem.productName,
+          size: orderItem.size,
+          color: orderItem.color,
+          sku: orderItem.sku,
+          quantity,
+        };
+      });
+
+      [returnRequest] = await ReturnRequest.create(
+        [
+          {
+            order: order._id,
+            user: req.user._id,
+            type,
+            items: returnItems,
+            reason,
+          },
+        ],
+        { session }
+      );
+    });
+  } finally {
+    await session.endSession();
+  }
+
+  res
+    .status(201)
+    .json(new ApiResponse(201, "Return requested successfully", returnRequest));
+});
+
+// Function to get the return requests of an order
+export const getOrderReturns = asyncHandler(async (req, res) => {
+  const order = await findOrderForRequest(req);
+
+  const returnRequests = await ReturnRequest.find({ order: order._id })
+    .populate("statusHistory.changedBy", "name role")
+    .sort({ createdAt: -1 });
+
+  res
+    .status(200)
+    .json(
+      new ApiResponse(
+        200,
+        "Return requests retrieved successfully",
+        returnRequests
+      )
+    );
+});
+
+// Function to get a single return request
+export const getReturnById = asyncHandler(async (req, res) => {
+  const { returnRequest } = await findReturnForRequest(req);
+
+  await returnRequest.populate("statusHistory.changedBy", "name role");
+
+  res
+    .status(200)
+    .json(
+      new ApiResponse(
+        200,
+        "Return request retrieved successfully",
+        returnRequest
+      )
+    );
+});
+
+// Staff function to approve a return request
+export const approveReturn = asyncHandler(async (req, res) => {
+  const { returnRequest } = await findReturnForRequest(req);
+
+  transitionReturn(returnRequest, "Approved", req);
+  await returnRequest.save();
+
+  res
+    .status(200)
+    .json(new ApiResponse(200, "Return request approved", returnRequest));
+});
+
+// Staff function to reject a return request
+export const rejectReturn = asyncHandler(async (req, res) => {
+  const { returnRequest } = await findReturnForRequest(req);
+
+  transitionReturn(returnRequest, "Rejected", req);
+  await returnRequest.save();
+
+  res
+    .status(200)
+    .json(new ApiResponse(200, "Return request rejected", returnRequest));
+});
+
+// Staff function to mark returned items as received
+// Restocks the returned variants and refunds returns (not exchanges)
+export const receiveReturn = asyncHandler(async (req, res) => {
+  const { order, returnRequest: found } = await findReturnForRequest(req);
+  let returnRequest;
+
+  // Restock and mark the return Received in one transaction, so a failed
+  // restock leaves it Approved and a retry cannot restock twice
+  const session = await mongoose.startSession();
+
+  try {
+    await session.withTransaction(async () => {
+      returnRequest = await ReturnRequest.findById(found._id).session(session);
+
+      // Put the returned items back into their exact variants
+      for (const item of returnRequest.items) {
+        await releaseStock(item.product, item, {
+          session,
+          movement: {
+            reason: "return",
+            referenceModel: "ReturnRequest",
+            reference: returnRequest._id,
+            actor: req.user._id,
+          },
+        });
+      }
+
+      transitionReturn(returnRequest, "Received", req);
+      await returnRequest.save({ session });
+    });
+  } finally {
+    await session.endSession();
+  }
+
+  // Refund the returned items now if the actor may move money, otherwise
+  // the return waits in Received for someone with orders:refund. A failed
+  // refund also leaves it in Received to be retried through the refund route
+  let refundPending = false;
+
+  if (returnRequest.type === "return") {
+    let refund = null;
+
+    if (
+      req.user.hasPermission("orders:refund") &&
+      order.getRefundableAmount() > 0
+    ) {
+      try {
+        refund = await refundReturn(order, returnRequest, req.user._id);
+      } catch (error) {
+        console.error("Refund for received return failed:", error.message);
+      }
+    }
+
+    refundPending = !refund;
+
+    // Nothing is left to refund through the gateway (e.g. the order was
+    // never marked paid), so flag the return for staff to settle by hand
+    if (!refund && order.getRefundableAmount() <= 0) {
+      returnRequest.refundRequired = true;
+      await returnRequest.save();
+    }
+  }
+
+  res
+    .status(200)
+    .json(
+      new ApiResponse(
+        200,
+        refundPending
+          ? "Returned items received, refund pending"
+          : "Returned items received",
+        returnRequest
+      )
+    );
+});
+
+// Staff function to refund a received return that has not been refunded yet
+export const refundReturnRequest = asyncHandler(async (req, res) => {
+  const { order, returnRequest } = await findReturnForRequest(req);
+
+  if (returnRequest.type !== "return") {
+    throw new ApiError(400, "Exchanges are not refunded");
+  }
+
+  if (!returnRequest.canTransitionTo("Refunded")) {
+    throw new ApiError(
+      409,
+      `Cannot refund a return that is ${returnRequest.status}`
+    );
+  }
+
+  const refund = await refundReturn(order, returnRequest, req.user._id);
+
+  if (!refund) {
+    throw new ApiError(409, "Order has nothing left to refund");
+  }
+
+  res
+    .status(200)
+    .json(new ApiResponse(200, "Return refunded", { returnRequest, refund }));
+});
@@ -277,7 +277,7 @@ export const getProductReviews = asyncHandler(async (req, res) => {
   );
 });
 
-// Delete review (user can only delete their own review)
+// Delete review (users can only delete their own review, moderators any)
 export const deleteReview = asyncHandler(async (req, res) => {
   const { productId, reviewId } = req.params;
   const userId = req.user._id;
@@ -293,11 +293,13 @@ export const deleteReview = asyncHandler(async (req, res) => {
     throw new ApiError(404, "Product not found");
   }
 
+  const canModerate = req.user.hasPermission("reviews:moderate");
+
   // Find the review
   const reviewIndex = product.reviews.findIndex(
     (review) =>
       review._id.toString() === reviewId.toString() &&
-      review.user.toString() === userId.toString()
+      (canModerate || review.user.toString() === userId.toString())
   );
 
   if (reviewIndex === -1) {
@@ -0,0 +1,58 @@
+import mongoose from "mongoose";
+import Session from "../models/session.model.js";
+import asyncHandler from "../utils/asyncHandler.js";
+import ApiError from "../utils/ApiError.js";
+import ApiResponse from "../utils/ApiResponse.js";
+
+// Function to list the active sessions (devices) of the logged in user
+export const getSessions = asyncHandler(async (req, res) => {
+  const sessions = await Session.findActiveForUser(req.user._id);
+
+  const data = sessions.map((session) => ({
+    _id: session._id,
+    userAgent: session.userAgent,
+    ipAddress: session.ipAddress,
+    createdAt: session.createdAt,
+    lastUsedAt: session.lastUsedAt,
+    expiresAt: session.expiresAt,
+    isCurrent: session._id.toString() === req.sessionId,
+  }));
+
+  res
+    .status(200)
+    .json(new ApiResponse(200, "Sessions retrieved successfully", data));
+});
+
+// Function to revoke one session of the logged in user
+export const revokeSession = asyncHandler(async (req, res) => {
+  const { sessionId } = req.params;
+
+  if (!mongoose.Types.ObjectId.isValid(sessionId)) {
+    throw new ApiError(400, "Invalid session ID");
+  }
+
+  const result = await Session.revoke(sessionId, req.user._id, "revoked");
+
+  if (result.modifiedCount === 0) {
+    throw new ApiError(404, "Active session not found");
+  }
+
+  res
+    .status(200)
+    .json(new ApiResponse(200, "Session revoked successfully", null));
+});
+
+// Function to revoke every session except the current one
+export const revokeOtherSessions = asyncHandler(async (req, res) => {
+  const result = await Session.revokeAllForUser(
+    req.user._id,
+    "revoked",
+    req.sessionId
+  );
+
+  res.status(200).json(
+    new ApiResponse(200, "Other sessions revoked successfully", {
+      revoked: result.modifiedCount,
+    })
+  );
+});
@@ -0,0 +1,165 @@
+import User from "../models/user.model.js";
+import AuditLog from "../models/auditLog.model.js";
+import asyncHandler from "../utils/asyncHandler.js";
+import ApiError from "../utils/ApiError.js";
+import ApiResponse from "../utils/ApiResponse.js";
+import { generateSecret, verifyCode, buildOtpAuthUri } from "../utils/totp.js";
+import twoFactorConfig from "../configs/twoFactor.config.js";
+
+// Function to get the 2FA status of the logged in user
+export const getTwoFactorStatus = asyncHandler(async (req, res) => {
+  const user = await User.findById(req.user._id).select(
+    "+twoFactorRecoveryCodes"
+  );
+
+  res.status(200).json(
+    new ApiResponse(200, "Two-factor status retrieved successfully", {
+      enabled: user.twoFactorEnabled,
+      required: user.isTwoFactorRequired(),
+      recoveryCodesRemaining: user.twoFactorRecoveryCodes.length,
+    })
+  );
+});
+
+// Function to start 2FA enrollment; returns the secret and otpauth URI
+export const setupTwoFactor = asyncHandler(async (req, res) => {
+  const user = req.user;
+
+  if (user.twoFactorEnabled) {
+    throw new ApiError(409, "Two-factor authentication is already enabled");
+  }
+
+  // Kept as pending until the first code proves the app was set up
+  const secret = generateSecret();
+  await User.updateOne(
+    { _id: user._id },
+    { $set: { twoFactorPendingSecret: secret } }
+  );
+
+  res.status(200).json(
+    new ApiResponse(200, "Scan the QR code with your authenticator app", {
+      secret,
+      otpauthUri: buildOtpAuthUri({
+        secret,
+        accountName: user.email,
+        issuer: twoFactorConfig.issuer,
+      }),
+    })
+  );
+});
+
+// Function to finish enrollment with a code from the authenticator app
+export const enableTwoFactor = asyncHandler(async (req, res) => {
+  const { code } = req.body;
+
+  const user = await User.findById(req.user._id).select(
+    "+twoFactorPendingSecret"
+  );
+
+  if (user.twoFactorEnabled) {
+    throw new ApiError(409, "Two-factor authentication is already enabled");
+  }
+
+  if (!user.twoFactorPendingSecret) {
+    throw new ApiError(400, "Start two-factor setup first");
+  }
+
+  const step = verifyCode(
+    user.twoFactorPendingSecret,
+    code,
+    twoFactorConfig.window
+  );
+
+  if (step === null) {
+    throw new ApiError(400, "Invalid two-factor authentication code");
+  }
+
+  user.twoFactorEnabled = true;
+  user.twoFactorSecret = user.twoFactorPendingSecret;
+  user.twoFactorPendingSecret = undefined;
+  user.twoFactorLastUsedStep = step;
+  const recoveryCodes = user.generateRecoveryCodes();
+
+  await user.save({ validateModifiedOnly: true });
+  await AuditLog.record(user._id, "two_factor_enabled", req);
+
+  // The recovery codes are only shown this once
+  res.status(200).json(
+    new ApiResponse(200, "Two-factor authentication enabled", {
+      recoveryCodes,
+    })
+  );
+});
+
+// Function to turn 2FA off (needs the password and a current code)
+export const disableTwoFactor = asyncHandler(async (req, res) => {
+  const { password, code } = req.body;
+
+  const user = await User.findById(req.user._id).select(
+    "+password +twoFactorSecret"
+  );
+
+  if (!user.twoFactorEnabled) {
+    throw new ApiError(409, "Two-factor authentication is not enabled");
+  }
+
+  if (user.isTwoFactorRequired()) {
+    throw new ApiError(
+      403,
+      "Two-factor authentication is required for your role"
+    );
+  }
+
+  if (!(await user.comparePassword(password))) {
+    throw new ApiError(401, "Password is incorrect");
+  }
+
+  const isCodeValid =
+    (await user.consumeTwoFactorCode(code)) ||
+    (await user.consumeRecoveryCode(code));
+
+  if (!isCodeValid) {
+    throw new ApiError(401, "Invalid two-factor authentication code");
+  }
+
+  await User.updateOne(
+    { _id: user._id },
+    {
+      $set: { twoFactorEnabled: false, twoFactorRecoveryCodes: [] },
+      $unset: {
+        twoFactorSecret: 1,
+        twoFactorPendingSecret: 1,
+        twoFactorLastUsedStep: 1,
+      },
+    }
+  );
+  await AuditLog.record(user._id, "two_factor_disabled", req);
+
+  res
+    .status(200)
+    .json(new ApiResponse(200, "Two-factor authentication disabled", null));
+});
+
+// Function to replace the recovery codes (needs a current code)
+export const regenerateRecoveryCodes = asyncHandler(async (req, res) => {
+  const { code } = req.body;
+
+  const user = await User.findById(req.user._id).select("+twoFactorSecret");
+
+  if (!user.twoFactorEnabled) {
+    throw new ApiError(409, "Two-factor authentication is not enabled");
+  }
+
+  if (!(await user.consumeTwoFactorCode(code))) {
+    throw new ApiError(401, "Invalid two-factor authentication code");
+  }
+
+  const recoveryCodes = user.generateRecoveryCodes();
+  await user.save({ validateModifiedOnly: true });
+
+  res.status(200).json(
+    new ApiResponse(200, "Recovery codes regenerated", {
+      recoveryCodes,
+    })
+  );
+});
@@ -1,9 +1,23 @@
 import User from "../models/user.model.js";
+import Session from "../models/session.model.js";
+import AuditLog from "../models/auditLog.model.js";
+import Order from "../models/order.model.js";
+import Product from "../models/product.model.js";
+import ReturnRequest from "../models/returnRequest.model.js";
 import ApiError from "../utils/ApiError.js";
 import ApiResponse from "../utils/ApiResponse.js";
 import asyncHandler from "../utils/asyncHandler.js";
-import uploadOnCloudinary from "../utils/cloudinary.js";
+import uploadOnCloudinary, {
+  deleteFromCloudinary,
+  getPublicIdFromUrl,
+} from "../utils/cloudinary.js";
 import jwt from "jsonwebtoken";
+import sendMail from "../services/mail.service.js";
+import {
+  passwordResetEmail,
+  emailVerificationEmail,
+  accountLockedEmail,
+} from "../services/mail/templates.js";
 
 // cookies Options
 const cookieOptions = {
@@ -11,10 +25,99 @@ const cookieOptions = {
   secure: process.env.NODE_ENV === "production",
 };
 
+// Public profile fields returned by the profile endpoints
+const getProfileData = (user) => ({
+  _id: user._id,
+  name: user.name,
+  email: user.email,
+  role: user.role,
+  address: user.address,
+  phone: user.phone,
+  profilePicture: user.profilePicture,
+  isEmailVerified: user.isEmailVerified,
+  createdAt: user.createdAt,
+});
+
+// Create a verification token for the user and email the verification link
+const sendVerificationEmail = async (user) => {
+  const verificationToken = user.createEmailVerificationToken();
+  await user.save({ validateModifiedOnly: true });
+
+  const clientUrl = process.env.CLIENT_URL || "http://localhost:5173";
+
+  await sendMail({
+    to: user.email,
+    ...emailVerificationEmail({
+      name: user.name,
+      verifyUrl: `${clientUrl}/verify-email?token=${verificationToken}`,
+      expiresInHours:
+        Number(process.env.EMAIL_VERIFICATION_TOKEN_EXPIRY_HOURS) || 24,
+    }),
+  });
+};
+
+// Error returned while an account is locked
+const accountLockedError = (minutes) =>
+  new ApiError(
+    423,
+    `Account is locked after too many failed login attempts. Try again in ${minutes} minutes or use the unlock link sent to your email`
+  );
+
+// Audit a new lockout and email the unlock link (email failures are logged)
+const handleAccountLocked = async (user, lock, req) => {
+  await AuditLog.record(user._id, "account_locked", req, {
+    lockUntil: lock.lockUntil,
+    lockMinutes: lock.lockMinutes,
+  });
+
+  const clientUrl = process.env.CLIENT_URL || "http://localhost:5173";
+
+  try {
+    await sendMail({
+      to: user.email,
+      ...accountLockedEmail({
+        name: user.name,
+        unlockUrl: `${clientUrl}/unlock-account?token=${lock.unlockToken}`,
+        lockMinutes: lock.lockMinutes,
+      }),
+    });
+  } catch (error) {
+    console.error("Failed to send account locked email:", error);
+  }
+};
+
+// Start a session for this device and send the tokens with the user data
+const sendLoginResponse = async (req, res, user) => {
+  const { session, refreshToken } = await Session.start(user, req);
+
+  const accessToken = await user.generateAccessToken(session._id);
+
+  res
+    .status(200)
+    .cookie("refreshToken", refreshToken, cookieOptions)
+    .cookie("accessToken", accessToken, cookieOptions)
+    .json(
+      new ApiResponse(200, "User logged in successfully", {
+        _id: user._id,
+        name: user.name,
+        email: user.email,
+        role: user.role,
+        address: user.address,
+        phone: user.phone,
+        profilePicture: user.profilePicture,
+        isEmailVerified: user.isEmailVerified,
+        twoFactorEnabled: user.twoFactorEnabled,
+        accessToken, // send the access token in the response
+        refreshToken, // send the refresh token in the response
+      })
+    );
+};
+
 // Function to register a new user
 export const registerUser = asyncHandler(async (req, res) => {
   // get the user data from the request body
-  const { name, email, password, role, address, phone } = req.body;
+  // role is never taken from the request; staff roles are granted by an admin
+  const { name, email, password, address, phone } = req.body;
 
   // validate the required fields
   if (!name || !email || !password) {
@@ -22,9 +125,7 @@ export const registerUser = asyncHandler(async (req, res) => {
   }
 
   // check if the user already exists
-  const existingUser = await User.findOne({ email }).select(
-    "-password -refreshToken"
-  );
+  const existingUser = await User.findOne({ email }).select("-password");
 
   // throw an error if the user already exists
   if (existingUser) {
@@ -36,7 +137,7 @@ export const registerUser = asyncHandler(async (req, res) => {
     name,
     email,
     password,
-    role: role || "user",
+    role: "user",
     address: address || "",
     phone: phone || "",
   };
@@ -45,11 +146,20 @@ export const registerUser = asyncHandler(async (req, res) => {
   if (req.file) {
     const result = await uploadOnCloudinary(req.file.path);
     userData.profilePicture = result.secure_url;
+    userData.profilePicturePublicId = result.public_id;
   }
 
   // create a new user with the provided data
   const newUser = await User.create(userData);
 
+  // send the verification email (registration succeeds even if it fails,
+  // the user can ask for a new link later)
+  try {
+    await sendVerificationEmail(newUser);
+  } catch (error) {
+    console.error("Failed to send verification email:", error);
+  }
+
   // Prepare response data (exclude sensitive fields)
   const responseData = {
     _id: newUser._id,
@@ -59,6 +169,7 @@ export const registerUser = asyncHandler(async (req, res) => {
     address: newUser.address,
     phone: newUser.phone,
     profilePicture: newUser.profilePicture,
+    isEmailVerified: newUser.isEmailVerified,
   };
 
   // send a success response with the new user data
@@ -77,53 +188,114 @@ export const loginUser = asyncHandler(async (req, res) => {
     throw new ApiError(400, "Email and password are required");
   }
 
-  // find the user by email and select the password field and refreshToken
+  // find the user by email and select the password and lockout fields
   const user = await User.findOne({
     email,
-  }).select("+password +refreshToken");
+  }).select("+password +failedLoginAttempts +lockUntil +lockoutCount");
 
   // throw an error if the user does not exist
   if (!user) {
     throw new ApiError(404, "User not found with this email");
   }
 
+  // a locked account cannot log in, even with the right password
+  if (user.isLocked()) {
+    throw accountLockedError(Math.ceil((user.lockUntil - Date.now()) / 60000));
+  }
+
   // check if the password is correct
   const isPasswordValid = await user.comparePassword(password);
 
-  // throw an error if the password is incorrect
+  // count the failure against the account and lock it at the limit
   if (!isPasswordValid) {
+    const lock = await user.registerFailedLogin();
+
+    if (lock) {
+      await handleAccountLocked(user, lock, req);
+      throw accountLockedError(lock.lockMinutes);
+    }
+
     throw new ApiError(401, "Invalid password");
   }
 
-  // generate access token and refresh token for the user
-  const accessToken = await user.generateAccessToken();
-
-  const refreshToken = await user.generateRefreshToken();
+  // reset the failure counters and backoff after a successful login
+  if (user.failedLoginAttempts > 0 || user.lockoutCount > 0) {
+    await user.clearLoginFailures();
+  }
 
-  // update the user's refresh token in the database
-  user.refreshToken = refreshToken;
+  if (user.status === "suspended") {
+    throw new ApiError(403, "Your account has been suspended");
+  }
 
-  // save the user with the new refresh token
-  await user.save({ validateModifiedOnly: true });
+  // with 2FA enabled the tokens are only issued after the code step
+  if (user.twoFactorEnabled) {
+    return res.status(200).json(
+      new ApiResponse(200, "Two-factor authentication code required", {
+        twoFactorRequired: true,
+        challengeToken: user.generateTwoFactorChallenge(),
+      })
+    );
+  }
 
   // send a success response with the user data and tokens
-  res
-    .status(200)
-    .cookie("refreshToken", refreshToken, cookieOptions)
-    .cookie("accessToken", accessToken, cookieOptions)
-    .json(
-      new ApiResponse(200, "User logged in successfully", {
-        _id: user._id,
-        name: user.name,
-        email: user.email,
-        role: user.role,
-        address: user.address,
-        phone: user.phone,
-        profilePicture: user.profilePicture,
-        accessToken, // send the access token in the response
-        refreshToken, // send the refresh token in the response
-      })
+  await sendLoginResponse(req, res, user);
+});
+
+// Function to complete a 2FA login with a TOTP or recovery code
+export const verifyTwoFactorLogin = asyncHandler(async (req, res) => {
+  const { challengeToken, code, recoveryCode } = req.body;
+
+  if (!challengeToken || (!code && !recoveryCode)) {
+    throw new ApiError(
+      400,
+      "Challenge token and a code or recovery code are required"
     );
+  }
+
+  let decoded;
+  try {
+    decoded = User.verifyTwoFactorChallenge(challengeToken);
+  } catch (error) {
+    throw new ApiError(401, "Two-factor challenge is invalid or expired");
+  }
+
+  const user = await User.findById(decoded.id).select(
+    "+twoFactorSecret +failedLoginAttempts +lockUntil +lockoutCount"
+  );
+
+  if (!user || !user.twoFactorEnabled) {
+    throw new ApiError(401, "Two-factor challenge is invalid or expired");
+  }
+
+  if (user.isLocked()) {
+    throw accountLockedError(Math.ceil((user.lockUntil - Date.now()) / 60000));
+  }
+
+  if (user.status === "suspended") {
+    throw new ApiError(403, "Your account has been suspended");
+  }
+
+  const isCodeValid = code
+    ? await user.consumeTwoFactorCode(code)
+    : await user.consumeRecoveryCode(recoveryCode);
+
+  // wrong codes count towards the account lockout like wrong passwords
+  if (!isCodeValid) {
+    const lock = await user.registerFailedLogin();
+
+    if (lock) {
+      await handleAccountLocked(user, lock, req);
+      throw accountLockedError(lock.lockMinutes);
+    }
+
+    throw new ApiError(401, "Invalid two-factor authentication code");
+  }
+
+  if (user.failedLoginAttempts > 0 || user.lockoutCount > 0) {
+    await user.clearLoginFailures();
+  }
+
+  await sendLoginResponse(req, res, user);
 });
 
 export const logoutUser = asyncHandler(async (req, res) => {
@@ -133,13 +305,19 @@ export const logoutUser = asyncHandler(async (req, res) => {
   res.clearCookie("accessToken", cookieOptions);
   res.clearCookie("refreshToken", cookieOptions);
 
-  // If refreshToken exists, try to find and clear it from DB
+  // If refreshToken exists, revoke the session it belongs to
   if (refreshToken) {
-    const user = await User.findOne({ refreshToken });
-
-    if (user) {
-      user.refreshToken = "";
-      await user.save({ validateModifiedOnly: true });
+    const decoded = jwt.decode(refreshToken);
+
+    if (decoded?.sid) {
+      await Session.updateOne(
+        {
+          _id: decoded.sid,
+          tokenHash: Session.hashToken(refreshToken),
+          revokedAt: null,
+        },
+        { $set: { revokedAt: new Date(), revokedReason: "logout" } }
+      );
     }
   }
 
@@ -166,22 +344,48 @@ export const refreshAccessToken = asyncHandler(async (req, res) => {
     throw new ApiError(401, "Refresh token is invalid or expired");
   }
 
-  // Find user with this refresh token and verify user ID matches
-  const user = await User.findOne({
-    _id: decoded.id,
-    refreshToken: refreshToken,
-  }).select("-password");
+  // Tokens issued before per-device sessions carry no session id
+  if (!decoded.sid) {
+    throw new ApiError(401, "Invalid refresh token or user not found");
+  }
+
+  const user = await User.findById(decoded.id).select("-password");
 
   if (!user) {
     throw new ApiError(401, "Invalid refresh token or user not found");
   }
 
+  if (user.status === "suspended") {
+    throw new ApiError(403, "Your account has been suspended");
+  }
+
+  // Rotate the refresh token; a replayed old token revokes the session
+  const {
+    session,
+    refreshToken: newRefreshToken,
+    reuseDetected,
+  } = await Session.rotate(decoded.sid, refreshToken, user, req);
+
+  if (reuseDetected) {
+    res.clearCookie("accessToken", cookieOptions);
+    res.clearCookie("refreshToken", cookieOptions);
+    throw new ApiError(
+      401,
+      "Refresh token reuse detected. The session has been revoked, please log in again"
+    );
+  }
+
+  if (!session) {
+    throw new ApiError(401, "Invalid refresh token or user not found");
+  }
+
   // Generate new access token
-  const newAccessToken = await user.generateAccessToken();
+  const newAccessToken = await user.generateAccessToken(session._id);
 
   // Send new tokens in response (cookie and body)
   res
     .status(200)
+    .cookie("refreshToken", newRefreshToken, cookieOptions)
     .cookie("accessToken", newAccessToken, cookieOptions)
     .json(
       new ApiResponse(200, "Access token refreshed successfully", {
@@ -194,8 +398,446 @@ export const refreshAccessToken = asyncHandler(async (req, res) => {
           phone: user.phone,
           profilePicture: user.profilePicture,
           accessToken: newAccessToken,
-          refreshToken: refreshToken,
+          refreshToken: newRefreshToken,
         },
       })
     );
 });
+
+// Function to send a password reset link to the user's email
+export const forgotPassword = asyncHandler(async (req, res) => {
+  const { email } = req.body;
+
+  if (!email) {
+    throw new ApiError(400, "Email is required");
+  }
+
+  // Same response whether or not the account exists, to avoid leaking emails
+  const genericResponse = new ApiResponse(
+    200,
+    "If an account exists for this email, a password reset link has been sent",
+    null
+  );
+
+  const user = await User.findOne({ email });
+
+  if (!user) {
+    return res.status(200).json(genericResponse);
+  }
+
+  // generate a reset token and store its hash on the user
+  const resetToken = user.createPasswordResetToken();
+  await user.save({ validateModifiedOnly: true });
+
+  const clientUrl = process.env.CLIENT_URL || "http://localhost:5173";
+  const resetUrl = `${clientUrl}/reset-password?token=${resetToken}`;
+
+  try {
+    await sendMail({
+      to: user.email,
+      ...passwordResetEmail({
+        name: user.name,
+        resetUrl,
+        expiresInMinutes:
+          Number(process.env.PASSWORD_RESET_TOKEN_EXPIRY_MINUTES) || 30,
+      }),
+    });
+  } catch (error) {
+    // Remove the token if the email could not be sent
+    user.passwordResetToken = undefined;
+    user.passwordResetExpires = undefined;
+    await user.save({ validateModifiedOnly: true });
+
+    // Answer like every other request so failures do not reveal that the
+    // account exists
+    console.error("Failed to send password reset email:", error);
+  }
+
+  res.status(200).json(genericResponse);
+});
+
+// Function to reset the password using a reset token
+export const resetPassword = asyncHandler(async (req, res) => {
+  const { token, password } = req.body;
+
+  if (!token || !password) {
+    throw new ApiError(400, "Token and new password are required");
+  }
+
+  // find the user by the hashed token, only while it has not expired
+  const user = await User.findOne({
+    passwordResetToken: User.hashToken(token),
+    passwordResetExpires: { $gt: new Date() },
+  }).select("+passwordResetToken +passwordResetExpires");
+
+  if (!user) {
+    throw new ApiError(400, "Password reset token is invalid or has expired");
+  }
+
+  // set the new password and consume the token
+  user.password = password;
+  user.passwordResetToken = undefined;
+  user.passwordResetExpires = undefined;
+
+  await user.save({ validateModifiedOnly: true });
+
+  // sign out existing sessions and lift any login lock
+  await Session.revokeAllForUser(user._id, "password_reset");
+  await user.clearLoginFailures();
+
+  res
+    .status(200)
+    .clearCookie("accessToken", cookieOptions)
+    .clearCookie("refreshToken", cookieOptions)
+    .json(
+      new ApiResponse(
+        200,
+        "Password reset successfully. Please log in with your new password",
+        null
+      )
+    );
+});
+
+// Function to verify the user's email address with a verification token
+export const verifyEmail = asyncHandler(async (req, res) => {
+  const { token } = req.body;
+
+  if (!token) {
+    throw new ApiError(400, "Verification token is required");
+  }
+
+  // find the user by the hashed token, only while it has not expired
+  const user = await User.findOne({
+    emailVerificationToken: User.hashToken(token),
+    emailVerificationExpires: { $gt: new Date() },
+  }).select("+emailVerificationToken +emailVerificationExpires");
+
+  if (!user) {
+    throw new ApiError(400, "Verification token is invalid or has expired");
+  }
+
+  user.isEmailVerified = true;
+  user.emailVerificationToken = undefined;
+  user.emailVerificationExpires = undefined;
+
+  await user.save({ validateModifiedOnly: true });
+
+  res.status(200).json(
+    new ApiResponse(200, "Email verified successfully", {
+      _id: user._id,
+      email: user.email,
+      isEmailVerified: user.isEmailVerified,
+    })
+  );
+});
+
+// Function to send a new verification email to the logged in user
+export const resendVerificationEmail = asyncHandler(async (req, res) => {
+  const user = req.user;
+
+  if (user.isEmailVerified) {
+    throw new ApiError(400, "Email is already verified");
+  }
+
+  // Same response whether or not the email could be sent; failures are
+  // logged for staff
+  try {
+    await sendVerificationEmail(user);
+  } catch (error) {
+    console.error("Failed to send verification email:", error);
+  }
+
+  res
+    .status(200)
+    .json(
+      new ApiResponse(
+        200,
+        "If your email address can receive mail, a verification link is on its way",
+        null
+      )
+    );
+});
+
+// Function to get the logged in user's profile
+export const getCurrentUser = asyncHandler(async (req, res) => {
+  res
+    .status(200)
+    .json(
+      new ApiResponse(
+        200,
+        "User profile retrieved successfully",
+        getProfileData(req.user)
+      )
+    );
+});
+
+// Function to update the logged in user's profile details
+export const updateCurrentUser = asyncHandler(async (req, res) => {
+  const { name, address, phone } = req.body;
+
+  if (name === undefined && address === undefined && phone === undefined) {
+    throw new ApiError(400, "Provide at least one field to update");
+  }
+
+  const user = req.user;
+
+  // only these fields can be changed here; email, role and password have
+  // their own flows
+  if (name !== undefined) user.name = name;
+  if (address !== undefined) user.address = address;
+  if (phone !== undefined) user.phone = phone;
+
+  await user.save({ validateModifiedOnly: true });
+
+  res
+    .status(200)
+    .json(
+      new ApiResponse(
+        200,
+        "User profile updated successfully",
+        getProfileData(user)
+      )
+    );
+});
+
+// Function to change the logged in user's password
+export const changePassword = asyncHandler(async (req, res) => {
+  const { currentPassword, newPassword } = req.body;
+
+  if (!currentPassword || !newPassword) {
+    throw new ApiError(400, "Current password and new password are required");
+  }
+
+  const user = await User.findById(req.user._id).select("+password");
+
+  if (!user) {
+    throw new ApiError(404, "User not found");
+  }
+
+  // check the current password before allowing the change
+  const isPasswordValid = await user.comparePassword(currentPassword);
+
+  if (!isPasswordValid) {
+    throw new ApiError(401, "Current password is incorrect");
+  }
+
+  if (await user.comparePassword(newPassword)) {
+    throw new ApiError(
+      400,
+      "New password must be different from the current password"
+    );
+  }
+
+  user.password = newPassword;
+  await user.save({ validateModifiedOnly: true });
+
+  // sign out every session and start a fresh one so only this device stays
+  // logged in
+  await Session.revokeAllForUser(user._id, "password_changed");
+
+  const { session, refreshToken } = await Session.start(user, req);
+  const accessToken = await user.generateAccessToken(session._id);
+
+  res
+    .status(200)
+    .cookie("refreshToken", refreshToken, cookieOptions)
+    .cookie("accessToken", accessToken, cookieOptions)
+    .json(
+      new ApiResponse(200, "Password changed successfully", {
+        accessToken,
+        refreshToken,
+      })
+    );
+});
+
+// Function to replace the logged in user's profile picture
+export const updateProfilePicture = asyncHandler(async (req, res) => {
+  if (!req.file) {
+    throw new ApiError(400, "Profile picture file is required");
+  }
+
+  const user = req.user;
+  // Pictures uploaded before the public id was stored only have their URL
+  const oldPublicId =
+    user.profilePicturePublicId || getPublicIdFromUrl(user.profilePicture);
+
+  // upload the new picture first so the old one is kept if the upload fails
+  const result = await uploadOnCloudinary(req.file.path);
+
+  user.profilePicture = result.secure_url;
+  user.profilePicturePublicId = result.public_id;
+
+  await user.save({ validateModifiedOnly: true });
+
+  // remove the previous upload (the default picture has no public id)
+  if (oldPublicId) {
+    try {
+      await deleteFromCloudinary(oldPublicId);
+    } catch (error) {
+      console.error("Failed to delete old profile picture:", error);
+    }
+  }
+
+  res
+    .status(200)
+    .json(
+      new ApiResponse(
+        200,
+        "Profile picture updated successfully",
+        getProfileData(user)
+      )
+    );
+});
+
+// Function to unlock a locked account with the emailed unlock token
+export const unlockAccount = asyncHandler(async (req, res) => {
+  const { token } = req.body;
+
+  if (!token) {
+    throw new ApiError(400, "Unlock token is required");
+  }
+
+  // find the user by the hashed token, only while the lock is in place
+  const user = await User.findOne({
+    unlockToken: User.hashToken(token),
+    unlockTokenExpires: { $gt: new Date() },
+  });
+
+  if (!user) {
+    throw new ApiError(400, "Unlock token is invalid or has expired");
+  }
+
+  await user.clearLoginFailures();
+  await AuditLog.record(user._id, "account_unlocked", req, {
+    method: "email",
+  });
+
+  res
+    .status(200)
+    .json(
+      new ApiResponse(
+        200,
+        "Account unlocked successfully. You can log in again",
+        null
+      )
+    );
+});
+
+// Function to export all personal data of the logged in user as JSON
+export const exportUserData = asyncHandler(async (req, res) => {
+  const userId = req.user._id;
+
+  const user = await User.findById(userId)
+    .populate("cart.product", "name brand")
+    .populate("wishlist.product", "name brand");
+
+  const [orders, returnRequests, reviewedProducts, sessions] =
+    await Promise.all([
+      Order.find({ user: userId }).sort({ createdAt: -1 }),
+      ReturnRequest.find({ user: userId }).sort({ createdAt: -1 }),
+      Product.find({ "reviews.user": userId }).select("name reviews"),
+      Session.findActiveForUser(userId),
+    ]);
+
+  // Only this user's reviews from each product
+  const reviews = reviewedProducts.flatMap((product) =>
+    product.reviews
+      .filter((review) => review.user.equals(userId))
+      .map((review) => ({
+        _id: review._id,
+        product: { _id: product._id, name: product.name },
+        rating: review.rating,
+        comment: review.comment,
+        createdAt: review.createdAt,
+      }))
+  );
+
+  const archive = {
+    exportedAt: new Date(),
+    profile: {
+      _id: user._id,
+      name: user.name,
+      email: user.email,
+      role: user.role,
+      address: user.address,
+      phone: user.phone,
+      profilePicture: user.profilePicture,
+      isEmailVerified: user.isEmailVerified,
+      twoFactorEnabled: user.twoFactorEnabled,
+      createdAt: user.createdAt,
+      updatedAt: user.updatedAt,
+    },
+    addresses: user.addresses,
+    cart: user.cart,
+    wishlist: user.wishlist,
+    orders,
+    returnRequests,
+    reviews,
+    sessions: sessions.map((session) => ({
+      userAgent: session.userAgent,
+      ipAddress: session.ipAddress,
+      createdAt: session.createdAt,
+      lastUsedAt: session.lastUsedAt,
+    })),
+  };
+
+  res
+    .status(200)
+    .set(
+      "Content-Disposition",
+      `attachment; filename="stallionwear-data-${userId}.json"`
+    )
+    .json(new ApiResponse(200, "User data exported successfully", archive));
+});
+
+// Function to delete (anonymize) the logged in user's account
+export const deleteAccount = asyncHandler(async (req, res) => {
+  const { password } = req.body;
+
+  if (!password) {
+    throw new ApiError(400, "Password is required to delete your account");
+  }
+
+  const user = await User.findById(req.user._id).select("+password");
+
+  if (!(await user.comparePassword(password))) {
+    throw new ApiError(401, "Password is incorrect");
+  }
+
+  // Orders still being fulfilled need the customer's address and contact
+  const openOrders = await Order.countDocuments({
+    user: user._id,
+    orderStatus: { $in: Order.OPEN_STATUSES },
+  });
+
+  if (openOrders > 0) {
+    throw new ApiError(
+      409,
+      "Your account cannot be deleted while you have orders in progress"
+    );
+  }
+
+  const profilePicturePublicId =
+    user.profilePicturePublicId || getPublicIdFromUrl(user.profilePicture);
+
+  // Orders are kept for accounting with the address scrubbed; reviews keep
+  // pointing at the anonymized account and show as "Deleted user"
+  await Order.anonymizeForUser(user._id);
+  await user.anonymize();
+  await Session.revokeAllForUser(user._id, "account_deleted");
+  await AuditLog.record(user._id, "account_deleted", req);
+
+  if (profilePicturePublicId) {
+    try {
+      await deleteFromCloudinary(profilePicturePublicId);
+    } catch (error) {
+      console.error("Failed to delete profile picture:", error);
+    }
+  }
+
+  res
+    .status(200)
+    .clearCookie("accessToken", cookieOptions)
+    .clearCookie("refreshToken", cookieOptions)
+    .json(new ApiResponse(200, "Your account has been deleted", null));
+});
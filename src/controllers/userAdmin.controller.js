@@ -0,0 +1,176 @@
+import mongoose from "mongoose";
+import User from "../models/user.model.js";
+import Order from "../models/order.model.js";
+import Session from "../models/session.model.js";
+import asyncHandler from "../utils/asyncHandler.js";
+import ApiError from "../utils/ApiError.js";
+import ApiResponse from "../utils/ApiResponse.js";
+import { ROLES } from "../configs/roles.config.js";
+
+// Fields returned for users in the admin endpoints
+const USER_ADMIN_FIELDS =
+  "name email role status suspendedAt suspensionReason phone address profilePicture isEmailVerified createdAt updatedAt";
+
+// Find the user in the URL
+const findUserForRequest = async (req) => {
+  const { userId } = req.params;
+
+  if (!mongoose.Types.ObjectId.isValid(userId)) {
+    throw new ApiError(400, "Invalid user ID");
+  }
+
+  const user = await User.findById(userId).select(USER_ADMIN_FIELDS);
+  if (!user) {
+    throw new ApiError(404, "User not found");
+  }
+  return user;
+};
+
+// Admins cannot change their own role or status, so there is always one
+// admin left who can undo a mistake. Deleted accounts cannot be changed.
+const preventSelfChange = (req, user) => {
+  if (user._id.equals(req.user._id)) {
+    throw new ApiError(400, "You cannot change your own account here");
+  }
+  if (user.status === "deleted") {
+    throw new ApiError(409, "This account has been deleted");
+  }
+};
+
+// Staff function to list and search users with pagination
+export const getAllUsers = asyncHandler(async (req, res) => {
+  const { page = 1, limit = 10, search, role, status } = req.query;
+
+  // Build query
+  let query = {};
+
+  if (role) {
+    query.role = role;
+  }
+
+  if (status) {
+    query.status = status;
+  }
+
+  // Search by (part of) the name or email
+  if (search) {
+    const escaped = search.trim().replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+    query.$or = [
+      { name: { $regex: escaped, $options: "i" } },
+      { email: { $regex: escaped, $options: "i" } },
+    ];
+  }
+
+  // Execute query with pagination
+  const users = await User.find(query)
+    .select(USER_ADMIN_FIELDS)
+    .sort({ createdAt: -1 })
+    .limit(limit * 1)
+    .skip((page - 1) * limit);
+
+  const totalUsers = await User.countDocuments(query);
+
+  res.status(200).json(
+    new ApiResponse(200, "Users retrieved successfully", {
+      users,
+      totalUsers,
+      totalPages: Math.ceil(totalUsers / limit),
+      currentPage: page,
+    })
+  );
+});
+
+// Staff function to get a user by ID
+export const getUserById = asyncHandler(async (req, res) => {
+  const user = await findUserForRequest(req);
+
+  res
+    .status(200)
+    .json(new ApiResponse(200, "User retrieved successfully", user));
+});
+
+// Staff function to get the orders of a user
+export const getUserOrdersForAdmin = asyncHandler(async (req, res) => {
+  const user = await findUserForRequest(req);
+  const { page = 1, limit = 10 } = req.query;
+
+  const orders = await Order.find({ user: user._id })
+    .populate("orderItems.product", "name brand")
+    .sort({ createdAt: -1 })
+    .limit(limit * 1)
+    .skip((page - 1) * limit);
+
+  const totalOrders = await Order.countDocuments({ user: user._id });
+
+  res.status(200).json(
+    new ApiResponse(200, "User orders retrieved successfully", {
+      user: { _id: user._id, name: user.name, email: user.email },
+      orders,
+      totalOrders,
+      totalPages: Math.ceil(totalOrders / limit),
+      currentPage: page,
+    })
+  );
+});
+
+// Admin function to change the role of a user
+export const updateUserRole = asyncHandler(async (req, res) => {
+  const { role } = req.body;
+
+  if (!ROLES.includes(role)) {
+    throw new ApiError(400, `Role must be one of: ${ROLES.join(", ")}`);
+  }
+
+  const user = await findUserForRequest(req);
+  preventSelfChange(req, user);
+
+  user.role = role;
+  await user.save({ validateModifiedOnly: true });
+
+  // Sign the user out so new tokens carry the new role
+  await Session.revokeAllForUser(user._id, "revoked");
+
+  res
+    .status(200)
+    .json(new ApiResponse(200, "User role updated successfully", user));
+});
+
+// Admin function to suspend a user account
+export const suspendUser = asyncHandler(async (req, res) => {
+  const user = await findUserForRequest(req);
+  preventSelfChange(req, user);
+
+  if (user.status === "suspended") {
+    throw new ApiError(409, "User is already suspended");
+  }
+
+  user.status = "suspended";
+  user.suspendedAt = new Date();
+  user.suspensionReason = req.body?.reason || "";
+  await user.save({ validateModifiedOnly: true });
+
+  // End every session of the suspended account
+  await Session.revokeAllForUser(user._id, "suspended");
+
+  res
+    .status(200)
+    .json(new ApiResponse(200, "User suspended successfully", user));
+});
+
+// Admin function to reactivate a suspended user account
+export const reactivateUser = asyncHandler(async (req, res) => {
+  const user = await findUserForRequest(req);
+
+  if (user.status !== "suspended") {
+    throw new ApiError(409, "User is not suspended");
+  }
+
+  user.status = "active";
+  user.suspendedAt = undefined;
+  user.suspensionReason = undefined;
+  await user.save({ validateModifiedOnly: true });
+
+  res
+    .status(200)
+    .json(new ApiResponse(200, "User reactivated successfully", user));
+});
@@ -3,6 +3,10 @@ import Product from "../models/product.model.js";
 import User from "../models/user.model.js";
 import ApiError from "../utils/ApiError.js";
 import ApiResponse from "../utils/ApiResponse.js";
+import {
+  assertVariantAvailable,
+  getAvailableQuantity,
+} from "../services/inventory.service.js";
 
 // Add product to wishlist
 export const addToWishlist = asyncHandler(async (req, res) => {
@@ -42,7 +46,7 @@ export const addToWishlist = asyncHandler(async (req, res) => {
 
   try {
     // Add item to user's wishlist using the schema method
-    await user.addToWishlist(productId, size, color, currentPrice);
+    await user.addToWishlist(productId, size, color, currentPrice, variant.sku);
 
     // Get updated wishlist with populated product details
     await user.populate({
@@ -210,30 +214,38 @@ export const getWishlist = asyncHandler(async (req, res) => {
 
     // Prepare enhanced response
     const responseData = {
-      wishlist: validWishlistItems.map((item) => ({
-        _id: item._id,
-        product: {
-          _id: item.product._id,
-          name: item.product.name,
-          description: item.product.description,
-          images: item.product.images,
-          brand: item.product.brand,
-          category: item.product.category,
-          averageRating: item.product.averageRating || 0,
-          currentPrice: item.product.price,
-        },
-        variant: {
-          size: item.size,
-          color: item.color,
-        },
-        priceAtTime: item.priceAtTime,
-        priceChanged: Math.abs(item.product.price - item.priceAtTime) > 0.01,
-        addedAt: item.addedAt,
-        availability: {
-          inStock: item.product.stock > 0,
-          availableQuantity: item.product.stock,
-        },
-      })),
+      wishlist: validWishlistItems.map((item) => {
+        const availableQuantity = getAvailableQuantity(
+          item.product,
+          item.size,
+          item.color
+        );
+
+        return {
+          _id: item._id,
+          product: {
+            _id: item.product._id,
+            name: item.product.name,
+            description: item.product.description,
+            images: item.product.images,
+            brand: item.product.brand,
+            category: item.product.category,
+            averageRating: item.product.averageRating || 0,
+            currentPrice: item.product.price,
+          },
+          variant: {
+            size: item.size,
+            color: item.color,
+          },
+          priceAtTime: item.priceAtTime,
+          priceChanged: Math.abs(item.product.price - item.priceAtTime) > 0.01,
+          addedAt: item.addedAt,
+          availability: {
+            inStock: availableQuantity > 0,
+            availableQuantity,
+          },
+        };
+      }),
       wishlistSummary: {
         totalItems: totalItems,
         estimatedValue: Number(estimatedValue.toFixed(2)),
@@ -342,12 +354,7 @@ export const moveToCart = asyncHandler(async (req, res) => {
   }
 
   // Check stock availability
-  if (!product.isInStock || !product.isInStock(size, color, quantity)) {
-    throw new ApiError(
-      400,
-      `Insufficient stock for ${product.name} (${size}/${color})`
-    );
-  }
+  const variant = assertVariantAvailable(product, size, color, quantity);
 
   try {
     // Get current price
@@ -356,7 +363,14 @@ export const moveToCart = asyncHandler(async (req, res) => {
       : product.price;
 
     // Add to cart
-    await user.addToCart(productId, size, color, currentPrice, quantity);
+    await user.addToCart(
+      productId,
+      size,
+      color,
+      currentPrice,
+      quantity,
+      variant.sku
+    );
 
     // Remove from wishlist
     await user.removeFromWishlist(productId, size, color);
@@ -1,4 +1,5 @@
 import User from "../models/user.model.js";
+import Session from "../models/session.model.js";
 import asyncHandler from "../utils/asyncHandler.js";
 import ApiError from "../utils/ApiError.js";
 import jwt from "jsonwebtoken";
@@ -22,18 +23,29 @@ const authMiddleware = asyncHandler(async (req, res, next) => {
       throw new ApiError(401, "Access token is invalid or expired");
     }
 
+    // The session (device) the token was issued for must still be active,
+    // so logging out or revoking a device takes effect immediately
+    if (!(await Session.isActive(decoded.sid, decoded.id))) {
+      throw new ApiError(401, "Session has been revoked or has expired");
+    }
+
     // Find the user by ID from the decoded token
-    const user = await User.findById(decoded.id).select(
-      "-password -refreshToken"
-    );
+    const user = await User.findById(decoded.id).select("-password");
 
-    // If user is not found, return an error
-    if (!user) {
+    // If user is not found (or the account was deleted), return an error
+    if (!user || user.status === "deleted") {
       throw new ApiError(404, "User not found with the provided token");
     }
 
+    // Suspended accounts are locked out even with a valid token
+    if (user.status === "suspended") {
+      throw new ApiError(403, "Your account has been suspended");
+    }
+
     // Attach user to the request object for further use in the route handlers
     req.user = user;
+    // Session (device) the access token was issued for
+    req.sessionId = decoded.sid;
 
     next();
   } catch (error) {
@@ -50,4 +62,55 @@ const authMiddleware = asyncHandler(async (req, res, next) => {
   }
 });
 
+// Roles that must use 2FA cannot use their privileges until it is enabled
+const assertTwoFactorEnrolled = (user) => {
+  if (user.isTwoFactorRequired() && !user.twoFactorEnabled) {
+    throw new ApiError(
+      403,
+      "Two-factor authentication must be enabled for your role"
+    );
+  }
+};
+
+// Allow only users with one of the given roles (use after authMiddleware)
+export const requireRole =
+  (...roles) =>
+  (req, res, next) => {
+    if (!roles.includes(req.user?.role)) {
+      throw new ApiError(
+        403,
+        `Access denied. Required role: ${roles.join(" or ")}.`
+      );
+    }
+    assertTwoFactorEnrolled(req.user);
+    next();
+  };
+
+// Allow only users whose role grants the permission (use after authMiddleware)
+export const requirePermission = (permission) => (req, res, next) => {
+  if (!req.user?.hasPermission(permission)) {
+    throw new ApiError(
+      403,
+      `Access denied. ${permission} permission required.`
+    );
+  }
+  assertTwoFactorEnrolled(req.user);
+  next();
+};
+
+// Block unverified accounts when REQUIRE_EMAIL_VERIFICATION_FOR_ORDERS is "true"
+// (use after authMiddleware)
+export const requireVerifiedEmail = (req, res, next) => {
+  if (
+    process.env.REQUIRE_EMAIL_VERIFICATION_FOR_ORDERS === "true" &&
+    !req.user.isEmailVerified
+  ) {
+    throw new ApiError(
+      403,
+      "Please verify your email address before placing an order"
+    );
+  }
+  next();
+};
+
 export default authMiddleware;
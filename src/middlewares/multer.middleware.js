@@ -41,6 +41,7 @@ const multerUpload = multer({
 // Export different configurations for different use cases
 export const uploadSingle = multerUpload.single("profilePicture"); // For single image (profile picture)
 export const uploadMultiple = multerUpload.array("images", 10); // For multiple images (product images)
+export const uploadCategoryImage = multerUpload.single("image"); // For category images
 export const uploadFields = multerUpload.fields([
   { name: "images", maxCount: 10 },
   { name: "thumbnail", maxCount: 1 },
@@ -1,5 +1,6 @@
 import { body, validationResult } from "express-validator";
 import ApiError from "../utils/ApiError.js";
+import { SHIPPING_METHODS } from "../configs/shipping.config.js";
 
 // Validation middleware to check for validation errors
 export const handleValidationErrors = (req, res, next) => {
@@ -39,10 +40,47 @@ export const validateUserRegistration = [
     .matches(/^[\+]?[1-9][\d]{0,15}$/)
     .withMessage("Please provide a valid phone number"),
 
-  body("role")
+  handleValidationErrors,
+];
+
+// Profile update validation rules (same rules as registration, all optional)
+export const validateProfileUpdate = [
+  body("name")
+    .optional()
+    .trim()
+    .isLength({ min: 2 })
+    .withMessage("Name must be at least 2 characters long")
+    .matches(/^[a-zA-Z\s]+$/)
+    .withMessage("Name should only contain letters and spaces"),
+
+  body("address")
     .optional()
-    .isIn(["user", "admin"])
-    .withMessage("Role must be either user or admin"),
+    .isString()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage("Address cannot exceed 500 characters"),
+
+  body("phone")
+    .optional()
+    .matches(/^[\+]?[1-9][\d]{0,15}$/)
+    .withMessage("Please provide a valid phone number"),
+
+  handleValidationErrors,
+];
+
+// Change password validation rules
+export const validatePasswordChange = [
+  body("currentPassword")
+    .notEmpty()
+    .withMessage("Current password is required"),
+
+  body("newPassword")
+    .isLength({ min: 8 })
+    .withMessage("Password must be at least 8 characters long")
+    .matches(/^(?=.*[A-Za-z])(?=.*\d)(?=.*[@$!%*#?&])[A-Za-z\d@$!%*#?&]{8,}$/)
+    .withMessage(
+      "Password must contain at least one letter, one number, and one special character"
+    ),
 
   handleValidationErrors,
 ];
@@ -59,6 +97,103 @@ export const validateUserLogin = [
   handleValidationErrors,
 ];
 
+// Two-factor login validation rules (a TOTP code or a recovery code)
+export const validateTwoFactorLogin = [
+  body("challengeToken")
+    .isString()
+    .notEmpty()
+    .withMessage("Challenge token is required"),
+
+  body("code")
+    .optional()
+    .matches(/^\d{6}$/)
+    .withMessage("Code must be 6 digits"),
+
+  body("recoveryCode")
+    .optional()
+    .isString()
+    .isLength({ min: 10, max: 20 })
+    .withMessage("Recovery code is invalid"),
+
+  handleValidationErrors,
+];
+
+// Two-factor code validation rules
+export const validateTwoFactorCode = [
+  body("code")
+    .matches(/^\d{6}$/)
+    .withMessage("Code must be 6 digits"),
+
+  handleValidationErrors,
+];
+
+// Two-factor disable validation rules (code may be a recovery code)
+export const validateTwoFactorDisable = [
+  body("password").notEmpty().withMessage("Password is required"),
+
+  body("code")
+    .isString()
+    .notEmpty()
+    .withMessage("A code or recovery code is required"),
+
+  handleValidationErrors,
+];
+
+// Account deletion validation rules
+export const validateAccountDeletion = [
+  body("password").notEmpty().withMessage("Password is required"),
+
+  handleValidationErrors,
+];
+
+// Forgot password validation rules
+export const validateForgotPassword = [
+  body("email")
+    .isEmail()
+    .normalizeEmail()
+    .withMessage("Please provide a valid email address"),
+
+  handleValidationErrors,
+];
+
+// Reset password validation rules
+export const validatePasswordReset = [
+  body("token")
+    .isString()
+    .isLength({ min: 64, max: 64 })
+    .withMessage("A valid reset token is required"),
+
+  body("password")
+    .isLength({ min: 8 })
+    .withMessage("Password must be at least 8 characters long")
+    .matches(/^(?=.*[A-Za-z])(?=.*\d)(?=.*[@$!%*#?&])[A-Za-z\d@$!%*#?&]{8,}$/)
+    .withMessage(
+      "Password must contain at least one letter, one number, and one special character"
+    ),
+
+  handleValidationErrors,
+];
+
+// Email verification validation rules
+export const validateEmailVerification = [
+  body("token")
+    .isString()
+    .isLength({ min: 64, max: 64 })
+    .withMessage("A valid verification token is required"),
+
+  handleValidationErrors,
+];
+
+// Account unlock validation rules
+export const validateAccountUnlock = [
+  body("token")
+    .isString()
+    .isLength({ min: 64, max: 64 })
+    .withMessage("A valid unlock token is required"),
+
+  handleValidationErrors,
+];
+
 // Order creation validation rules
 export const validateOrderCreation = [
   body("orderItems")
@@ -84,47 +219,62 @@ export const validateOrderCreation = [
     .withMessage("Quantity must be between 1 and 99"),
 
   body("shippingAddress.fullName")
+    .if(body("shippingAddress").exists())
     .notEmpty()
     .trim()
     .withMessage("Full name is required in shipping address"),
 
   body("shippingAddress.address")
+    .if(body("shippingAddress").exists())
     .notEmpty()
     .trim()
     .withMessage("Address is required in shipping address"),
 
   body("shippingAddress.city")
+    .if(body("shippingAddress").exists())
     .notEmpty()
     .trim()
     .withMessage("City is required in shipping address"),
 
   body("shippingAddress.postalCode")
+    .if(body("shippingAddress").exists())
     .notEmpty()
     .trim()
     .withMessage("Postal code is required in shipping address"),
 
   body("shippingAddress.country")
+    .if(body("shippingAddress").exists())
     .notEmpty()
     .trim()
     .withMessage("Country is required in shipping address"),
 
   body("shippingAddress.phone")
+    .if(body("shippingAddress").exists())
     .matches(/^[\+]?[1-9][\d]{0,15}$/)
     .withMessage("Please provide a valid phone number in shipping address"),
 
+  body("addressId")
+    .optional()
+    .isMongoId()
+    .withMessage("Address ID must be a valid saved address ID"),
+
   body("paymentMethod")
     .isIn(["CashOnDelivery", "Stripe", "PayPal"])
     .withMessage("Payment method must be CashOnDelivery, Stripe, or PayPal"),
 
-  body("shippingCharge")
+  body("shippingMethod")
     .optional()
-    .isFloat({ min: 0 })
-    .withMessage("Shipping charge must be a positive number"),
+    .isIn(SHIPPING_METHODS)
+    .withMessage(
+      `Shipping method must be one of: ${SHIPPING_METHODS.join(", ")}`
+    ),
 
-  body("discount")
+  body("couponCode")
     .optional()
-    .isFloat({ min: 0 })
-    .withMessage("Discount must be a positive number"),
+    .isString()
+    .trim()
+    .isLength({ min: 3, max: 30 })
+    .withMessage("Coupon code must be between 3 and 30 characters"),
 
   body("notes")
     .optional()
@@ -134,9 +284,221 @@ export const validateOrderCreation = [
   handleValidationErrors,
 ];
 
+// Saved address rules; on update every field is optional
+const savedAddressRules = (isUpdate = false) => {
+  const field = (name) => (isUpdate ? body(name).optional() : body(name));
+
+  return [
+    body("label")
+      .optional()
+      .isString()
+      .trim()
+      .isLength({ min: 1, max: 50 })
+      .withMessage("Label must be between 1 and 50 characters"),
+
+    field("fullName").trim().notEmpty().withMessage("Full name is required"),
+
+    field("address").trim().notEmpty().withMessage("Address is required"),
+
+    field("city").trim().notEmpty().withMessage("City is required"),
+
+    field("postalCode")
+      .trim()
+      .notEmpty()
+      .withMessage("Postal code is required"),
+
+    field("country").trim().notEmpty().withMessage("Country is required"),
+
+    field("phone")
+      .matches(/^[\+]?[1-9][\d]{0,15}$/)
+      .withMessage("Please provide a valid phone number"),
+
+    body("isDefault")
+      .optional()
+      .isBoolean({ strict: true })
+      .withMessage("isDefault must be true or false"),
+
+    handleValidationErrors,
+  ];
+};
+
+// Saved address creation validation rules
+export const validateAddress = savedAddressRules();
+
+// Saved address update validation rules
+export const validateAddressUpdate = savedAddressRules(true);
+
+// Coupon validation rules (fields are optional on update)
+const couponRules = (isUpdate = false) => {
+  const field = (name) => (isUpdate ? body(name).optional() : body(name));
+
+  return [
+    field("code")
+      .trim()
+      .matches(/^[A-Za-z0-9_-]{3,30}$/)
+      .withMessage(
+        "Coupon code must be 3-30 letters, numbers, dashes or underscores"
+      ),
+
+    field("discountType")
+      .isIn(["percentage", "fixed"])
+      .withMessage("Discount type must be percentage or fixed"),
+
+    field("discountValue")
+      .isFloat({ gt: 0 })
+      .withMessage("Discount value must be greater than 0"),
+
+    body("maxDiscountAmount")
+      .optional({ nullable: true })
+      .isFloat({ min: 0 })
+      .withMessage("Maximum discount must be a positive number"),
+
+    body("minOrderValue")
+      .optional()
+      .isFloat({ min: 0 })
+      .withMessage("Minimum order value must be a positive number"),
+
+    body("startsAt")
+      .optional()
+      .isISO8601()
+      .withMessage("Start date must be a valid date"),
+
+    body("expiresAt")
+      .optional({ nullable: true })
+      .isISO8601()
+      .withMessage("Expiry date must be a valid date"),
+
+    body("usageLimit")
+      .optional({ nullable: true })
+      .isInt({ min: 1 })
+      .withMessage("Usage limit must be at least 1"),
+
+    body("usageLimitPerUser")
+      .optional({ nullable: true })
+      .isInt({ min: 1 })
+      .withMessage("Per-user usage limit must be at least 1"),
+
+    body("applicableCategories")
+      .optional()
+      .isArray()
+      .withMessage("Applicable categories must be an array"),
+
+    body("applicableCategories.*")
+      .isMongoId()
+      .withMessage("Applicable categories must be category IDs"),
+
+    body("applicableBrands")
+      .optional()
+      .isArray()
+      .withMessage("Applicable brands must be an array"),
+
+    body("isActive")
+      .optional()
+      .isBoolean()
+      .withMessage("isActive must be true or false"),
+
+    handleValidationErrors,
+  ];
+};
+
+// Coupon creation validation rules
+export const validateCouponCreation = couponRules();
+
+// Coupon update validation rules
+export const validateCouponUpdate = couponRules(true);
+
+// Stock adjustment validation rules
+export const validateStockAdjustment = [
+  body("delta")
+    .isInt()
+    .withMessage("Quantity change must be a whole number")
+    .bail()
+    .custom((value) => Number(value) !== 0)
+    .withMessage("Quantity change cannot be zero"),
+
+  body("reason")
+    .optional()
+    .isIn(["adjustment", "import"])
+    .withMessage("Reason must be adjustment or import"),
+
+  body("note")
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage("Note cannot exceed 500 characters"),
+
+  handleValidationErrors,
+];
+
+// Category validation rules (fields are optional on update)
+const categoryRules = (isUpdate = false) => {
+  const field = (name) => (isUpdate ? body(name).optional() : body(name));
+
+  return [
+    field("name")
+      .isString()
+      .trim()
+      .isLength({ min: 2, max: 60 })
+      .withMessage("Category name must be between 2 and 60 characters"),
+
+    body("slug")
+      .optional()
+      .trim()
+      .matches(/^[A-Za-z0-9-]{1,80}$/)
+      .withMessage("Slug can only contain letters, numbers and dashes"),
+
+    body("parent")
+      .optional({ values: "falsy" })
+      .custom((value) => value === "null" || /^[a-f\d]{24}$/i.test(value))
+      .withMessage("Parent must be a category ID"),
+
+    body("description")
+      .optional()
+      .isString()
+      .isLength({ max: 500 })
+      .withMessage("Description cannot exceed 500 characters"),
+
+    body("sortOrder")
+      .optional()
+      .isInt()
+      .withMessage("Sort order must be a whole number"),
+
+    body("isActive")
+      .optional()
+      .isBoolean()
+      .withMessage("isActive must be true or false"),
+
+    handleValidationErrors,
+  ];
+};
+
+// Category creation validation rules
+export const validateCategory = categoryRules();
+
+// Category update validation rules
+export const validateCategoryUpdate = categoryRules(true);
+
 export default {
   validateUserRegistration,
+  validateProfileUpdate,
+  validatePasswordChange,
+  validateAccountDeletion,
   validateUserLogin,
+  validateTwoFactorLogin,
+  validateTwoFactorCode,
+  validateTwoFactorDisable,
+  validateForgotPassword,
+  validatePasswordReset,
+  validateEmailVerification,
+  validateAccountUnlock,
   validateOrderCreation,
+  validateAddress,
+  validateAddressUpdate,
+  validateCouponCreation,
+  validateCouponUpdate,
+  validateStockAdjustment,
+  validateCategory,
+  validateCategoryUpdate,
   handleValidationErrors,
 };
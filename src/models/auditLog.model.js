@@ -0,0 +1,58 @@
+import mongoose from "mongoose";
+
+export const AUDIT_ACTIONS = [
+  "account_locked",
+  "account_unlocked",
+  "two_factor_enabled",
+  "two_factor_disabled",
+  "account_deleted",
+];
+
+// Audit Log Schema
+// Append-only record of security relevant events on user accounts
+const auditLogSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: [true, "User is required"],
+    },
+    action: {
+      type: String,
+      enum: AUDIT_ACTIONS,
+      required: [true, "Action is required"],
+    },
+    ipAddress: {
+      type: String,
+      default: "",
+    },
+    userAgent: {
+      type: String,
+      default: "",
+    },
+    details: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {},
+    },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+  }
+);
+
+auditLogSchema.index({ user: 1, createdAt: -1 });
+
+// Record an event for a user, taking the client details from the request
+auditLogSchema.statics.record = function (user, action, req, details = {}) {
+  return this.create({
+    user,
+    action,
+    ipAddress: req?.ip || "",
+    userAgent: (req?.get?.("user-agent") || "").slice(0, 500),
+    details,
+  });
+};
+
+const AuditLog = mongoose.model("AuditLog", auditLogSchema);
+
+export default AuditLog;
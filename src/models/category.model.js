@@ -0,0 +1,215 @@
+import mongoose from "mongoose";
+
+// Turn a name into a URL slug ("Men's Shirts" -> "mens-shirts")
+export const slugify = (value) =>
+  String(value || "")
+    .toLowerCase()
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .replace(/['\u2019]/g, "")
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "");
+
+// Category Schema
+// Categories form a tree through `parent`. `ancestors` stores the ids from
+// the root down to the parent so a whole subtree can be found in one query.
+const categorySchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, "Category name is required"],
+      trim: true,
+      minlength: 2,
+      maxlength: 60,
+    },
+    slug: {
+      type: String,
+      required: [true, "Category slug is required"],
+      unique: true,
+      lowercase: true,
+      trim: true,
+      match: [/^[a-z0-9]+(?:-[a-z0-9]+)*$/, "Slug must be URL friendly"],
+    },
+    description: {
+      type: String,
+      trim: true,
+      maxlength: 500,
+      default: "",
+    },
+    parent: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Category",
+      default: null,
+    },
+    ancestors: {
+      type: [{ type: mongoose.Schema.Types.ObjectId, ref: "Category" }],
+      default: [],
+    },
+    sortOrder: {
+      type: Number,
+      default: 0,
+    },
+    image: {
+      type: String,
+      default: "",
+    },
+    imagePublicId: {
+      type: String,
+      default: "",
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+categorySchema.index({ parent: 1, sortOrder: 1 });
+categorySchema.index({ ancestors: 1 });
+
+// Generate the slug from the name when none is given
+categorySchema.pre("validate", function (next) {
+  if (!this.slug && this.name) {
+    this.slug = slugify(this.name);
+  }
+  next();
+});
+
+// Ids of a category and every category below it
+categorySchema.statics.getSubtreeIds = async function (categoryIds) {
+  const ids = [].concat(categoryIds);
+  const descendants = await this.find({ ancestors: { $in: ids } }).distinct(
+    "_id"
+  );
+  return [...ids, ...descendants];
+};
+
+// Add the category lineage to items that have a `category` id:
+// `categoryIds` and `categoryNames` list the category and its ancestors,
+// nearest first (used by coupon restrictions and category tax rates)
+categorySchema.statics.attachLineage = async function (items, session = null) {
+  const ids = [
+    ...new Set(
+      items.filter((item) => item.category).map((item) => String(item.category))
+    ),
+  ];
+
+  const categories = await this.find({ _id: { $in: ids } })
+    .select("name ancestors")
+    .session(session);
+  const ancestorIds = categories.flatMap((category) => category.ancestors);
+  const ancestors = await this.find({ _id: { $in: ancestorIds } })
+    .select("name")
+    .session(session);
+
+  const byId = new Map(
+    [...categories, ...ancestors].map((category) => [
+      category._id.toString(),
+      category,
+    ])
+  );
+
+  items.forEach((item) => {
+    const category = item.category && byId.get(String(item.category));
+    const lineageIds = category
+      ? [category._id, ...[...category.ancestors].reverse()]
+      : [];
+    const lineage = lineageIds
+      .map((id) => byId.get(id.toString()))
+      .filter(Boolean);
+
+    item.categoryIds = lineage.map((entry) => entry._id.toString());
+    item.categoryNames = lineage.map((entry) => entry.name);
+  });
+
+  return items;
+};
+
+// Build a nested tree ({ ...category, children: [] }) from a flat list
+categorySchema.statics.buildTree = function (categories) {
+  const nodes = new Map(
+    categories.map((category) => [
+      category._id.toString(),
+      { ...category.toObject(), children: [] },
+    ])
+  );
+  const roots = [];
+
+  nodes.forEach((node) => {
+    const parent = node.parent && nodes.get(node.parent.toString());
+    if (parent) {
+      parent.children.push(node);
+    } else {
+      roots.push(node);
+    }
+  });
+
+  const sortNodes = (list) => {
+    list.sort(
+      (a, b) => a.sortOrder - b.sortOrder || a.name.localeCompare(b.name)
+    );
+    list.forEach((node) => sortNodes(node.children));
+    return list;
+  };
+
+  return sortNodes(roots);
+};
+
+// Check if the category can be moved under a parent (null = root);
+// a category cannot be moved under itself or one of its descendants
+categorySchema.methods.canMoveUnder = function (parent) {
+  if (!parent) return true;
+  return (
+    !parent._id.equals(this._id) &&
+    !parent.ancestors.some((id) => id.equals(this._id))
+  );
+};
+
+// Move the category under a parent (null = root). Returns the old and new
+// paths for updateSubtreePaths once the category has been saved.
+categorySchema.methods.setParent = function (parent) {
+  if (!this.canMoveUnder(parent)) {
+    throw new Error("A category cannot be moved under itself");
+  }
+
+  const oldPath = [...this.ancestors, this._id];
+  this.parent = parent ? parent._id : null;
+  this.ancestors = parent ? [...parent.ancestors, parent._id] : [];
+
+  return { oldPath, newPath: [...this.ancestors, this._id] };
+};
+
+// Rewrite the ancestors of every descendant after a move, in one update so
+// no descendant is left with a stale path
+categorySchema.statics.updateSubtreePaths = function (
+  categoryId,
+  oldPath,
+  newPath,
+  session = null
+) {
+  return this.updateMany(
+    { ancestors: categoryId },
+    [
+      {
+        $set: {
+          ancestors: {
+            $concatArrays: [
+              newPath,
+              {
+                $slice: ["$ancestors", oldPath.length, { $size: "$ancestors" }],
+              },
+            ],
+          },
+        },
+      },
+    ],
+    { session }
+  );
+};
+
+const Category = mongoose.model("Category", categorySchema);
+
+export default Category;
@@ -0,0 +1,153 @@
+import mongoose from "mongoose";
+
+// Coupon Schema
+// A coupon grants a percentage or fixed discount, optionally restricted to
+// certain categories or brands, with expiry and usage limits
+const couponSchema = new mongoose.Schema(
+  {
+    code: {
+      type: String,
+      required: [true, "Coupon code is required"],
+      unique: true,
+      uppercase: true,
+      trim: true,
+      minlength: [3, "Coupon code must be at least 3 characters"],
+      maxlength: [30, "Coupon code cannot exceed 30 characters"],
+      match: [
+        /^[A-Z0-9_-]+$/,
+        "Coupon code can only contain letters, numbers, dashes and underscores",
+      ],
+    },
+    description: {
+      type: String,
+      trim: true,
+      maxlength: [200, "Description cannot exceed 200 characters"],
+    },
+    discountType: {
+      type: String,
+      enum: ["percentage", "fixed"],
+      required: [true, "Discount type is required"],
+    },
+    discountValue: {
+      type: Number,
+      required: [true, "Discount value is required"],
+      min: [0.01, "Discount value must be greater than 0"],
+      validate: {
+        validator: function (v) {
+          return this.discountType !== "percentage" || v <= 100;
+        },
+        message: "Percentage discount cannot exceed 100",
+      },
+    },
+    // Upper bound for percentage discounts (optional)
+    maxDiscountAmount: {
+      type: Number,
+      min: [0, "Maximum discount cannot be negative"],
+      default: null,
+    },
+    minOrderValue: {
+      type: Number,
+      min: [0, "Minimum order value cannot be negative"],
+      default: 0,
+    },
+    startsAt: {
+      type: Date,
+      default: Date.now,
+    },
+    expiresAt: {
+      type: Date,
+      default: null,
+    },
+    // Overall number of times the coupon can be redeemed (null = unlimited)
+    usageLimit: {
+      type: Number,
+      min: [1, "Usage limit must be at least 1"],
+      default: null,
+    },
+    // Number of times a single user can redeem the coupon (null = unlimited)
+    usageLimitPerUser: {
+      type: Number,
+      min: [1, "Per-user usage limit must be at least 1"],
+      default: 1,
+    },
+    usedCount: {
+      type: Number,
+      min: 0,
+      default: 0,
+    },
+    // Restrict the discount to items in these categories/brands (empty = all)
+    applicableCategories: {
+      type: [{ type: mongoose.Schema.Types.ObjectId, ref: "Category" }],
+      default: [],
+    },
+    applicableBrands: {
+      type: [String],
+      default: [],
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Create indexes for better query performance
+couponSchema.index({ isActive: 1, expiresAt: 1 });
+
+// Check if the coupon can be used at the given moment
+couponSchema.methods.isCurrentlyValid = function (now = new Date()) {
+  if (!this.isActive) return false;
+  if (this.startsAt && this.startsAt > now) return false;
+  if (this.expiresAt && this.expiresAt <= now) return false;
+  if (this.usageLimit !== null && this.usedCount >= this.usageLimit) {
+    return false;
+  }
+  return true;
+};
+
+// Check if an item ({ categoryIds, brand }) is covered by the coupon
+// A coupon for a category also covers products in its subcategories
+couponSchema.methods.appliesToItem = function (item) {
+  const categoryMatch =
+    this.applicableCategories.length === 0 ||
+    this.applicableCategories.some((categoryId) =>
+      (item.categoryIds || []).includes(categoryId.toString())
+    );
+  const brandMatch =
+    this.applicableBrands.length === 0 ||
+    this.applicableBrands.includes(item.brand);
+  return categoryMatch && brandMatch;
+};
+
+// Calculate the discount for items shaped as { price, quantity, categoryIds, brand }
+couponSchema.methods.calculateDiscount = function (items) {
+  const eligibleSubtotal = items
+    .filter((item) => this.appliesToItem(item))
+    .reduce((total, item) => total + item.price * item.quantity, 0);
+
+  let discount =
+    this.discountType === "percentage"
+      ? (eligibleSubtotal * this.discountValue) / 100
+      : this.discountValue;
+
+  if (this.discountType === "percentage" && this.maxDiscountAmount !== null) {
+    discount = Math.min(discount, this.maxDiscountAmount);
+  }
+
+  // Never discount more than the eligible items are worth
+  discount = Math.min(discount, eligibleSubtotal);
+
+  return Math.round(discount * 100) / 100;
+};
+
+const Coupon = mongoose.model("Coupon", couponSchema);
+
+export default Coupon;
@@ -0,0 +1,68 @@
+import mongoose from "mongoose";
+
+// Coupon Usage Schema
+// How many times a user has redeemed a coupon (one document per coupon and
+// user), so the per-user limit is enforced atomically at checkout
+const couponUsageSchema = new mongoose.Schema(
+  {
+    coupon: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Coupon",
+      required: [true, "Coupon is required"],
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: [true, "User is required"],
+    },
+    count: {
+      type: Number,
+      default: 0,
+      min: [0, "Usage count cannot be negative"],
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+couponUsageSchema.index({ coupon: 1, user: 1 }, { unique: true });
+
+// Static to atomically record one use of a coupon by a user, only while the
+// user is under `limit`. Resolves to false when the limit has been reached.
+couponUsageSchema.statics.consume = async function (
+  couponId,
+  userId,
+  limit,
+  session = null
+) {
+  try {
+    await this.findOneAndUpdate(
+      { coupon: couponId, user: userId, count: { $lt: limit } },
+      { $inc: { count: 1 } },
+      { upsert: true, session }
+    );
+    return true;
+  } catch (error) {
+    // The upsert collides with the existing document once it is at the limit
+    if (error.code === 11000) return false;
+    throw error;
+  }
+};
+
+// Static to give a use back (e.g. when the order is cancelled)
+couponUsageSchema.statics.release = function (
+  couponId,
+  userId,
+  session = null
+) {
+  return this.updateOne(
+    { coupon: couponId, user: userId, count: { $gt: 0 } },
+    { $inc: { count: -1 } },
+    { session }
+  );
+};
+
+const CouponUsage = mongoose.model("CouponUsage", couponUsageSchema);
+
+export default CouponUsage;
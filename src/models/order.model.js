@@ -1,4 +1,6 @@
 import mongoose from "mongoose";
+import { SHIPPING_METHODS } from "../configs/shipping.config.js";
+import Counter from "./counter.model.js";
 
 // A Schema for individual order items
 const orderItemSchema = new mongoose.Schema(
@@ -23,6 +25,12 @@ const orderItemSchema = new mongoose.Schema(
       required: [true, "Color is required"],
       trim: true,
     },
+    // Variant SKU at the time of the order, so the line still resolves
+    // after the catalog is edited (see Product.findBySku)
+    sku: {
+      type: String,
+      trim: true,
+    },
     quantity: {
       type: Number,
       required: [true, "Quantity is required"],
@@ -48,20 +56,165 @@ const orderItemSchema = new mongoose.Schema(
       required: true,
       min: 0,
     },
+    // Tax breakdown for this line (rate applied to the discounted subtotal)
+    taxRate: {
+      type: Number,
+      default: 0,
+      min: [0, "Tax rate cannot be negative"],
+    },
+    taxAmount: {
+      type: Number,
+      default: 0,
+      min: [0, "Tax amount cannot be negative"],
+    },
+    // Share of the order discount taken off this item
+    discountAmount: {
+      type: Number,
+      min: [0, "Discount amount cannot be negative"],
+    },
+  },
+  { _id: false }
+);
+
+// Allowed order status transitions (current status -> next statuses)
+export const ORDER_STATUS_TRANSITIONS = {
+  Pending: ["Processing", "Cancelled"],
+  Processing: ["Confirmed", "Cancelled"],
+  Confirmed: ["Shipped", "Cancelled"],
+  Shipped: ["Delivered"],
+  Delivered: [],
+  Cancelled: [],
+};
+
+export const ORDER_STATUSES = Object.keys(ORDER_STATUS_TRANSITIONS);
+
+// A Schema for a single entry in the order status timeline
+const statusHistorySchema = new mongoose.Schema(
+  {
+    status: {
+      type: String,
+      enum: ORDER_STATUSES,
+      required: [true, "Status is required"],
+    },
+    changedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    changedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    note: {
+      type: String,
+      maxlength: [500, "Status note cannot exceed 500 characters"],
+      trim: true,
+    },
   },
   { _id: false }
 );
 
+export const PAYMENT_STATUSES = [
+  "Pending",
+  "Paid",
+  "Failed",
+  "PartiallyRefunded",
+  "Refunded",
+];
+
+// A refund is reserved on the order (Pending) before the gateway is called,
+// then marked Succeeded or Failed with the gateway's answer
+export const REFUND_STATUSES = ["Pending", "Succeeded", "Failed"];
+
+// A Schema for a refund issued against an order
+const refundSchema = new mongoose.Schema(
+  {
+    amount: {
+      type: Number,
+      required: [true, "Refund amount is required"],
+      min: [0.01, "Refund amount must be greater than 0"],
+    },
+    // Items (and quantities) the refund covers; empty for amount-only refunds
+    items: [
+      {
+        product: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "Product",
+          required: true,
+        },
+        size: { type: String, required: true },
+        color: { type: String, required: true },
+        quantity: {
+          type: Number,
+          required: true,
+          min: [1, "Quantity must be at least 1"],
+        },
+        _id: false,
+      },
+    ],
+    reason: {
+      type: String,
+      required: [true, "Refund reason is required"],
+      maxlength: [500, "Refund reason cannot exceed 500 characters"],
+      trim: true,
+    },
+    actor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    provider: {
+      type: String,
+      default: "manual",
+    },
+    // Refund ID returned by the payment gateway (empty for manual refunds)
+    gatewayReference: {
+      type: String,
+    },
+    status: {
+      type: String,
+      enum: REFUND_STATUSES,
+      default: "Succeeded",
+    },
+    failureReason: {
+      type: String,
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  { _id: true }
+);
+
 // Overall Order Schema
 // This schema includes user details, order items, shipping address, payment method, and status
 const orderSchema = new mongoose.Schema(
   {
+    // Human-friendly sequential number, e.g. SW-2026-000123
+    orderNumber: {
+      type: String,
+      unique: true,
+      sparse: true,
+      uppercase: true,
+      trim: true,
+    },
+
     user: {
       type: mongoose.Schema.Types.ObjectId,
       ref: "User",
       required: true,
     },
 
+    // Sequential invoice number, assigned when the invoice is first issued
+    invoiceNumber: {
+      type: String,
+      unique: true,
+      sparse: true,
+    },
+
+    invoicedAt: {
+      type: Date,
+    },
+
     //   here is the individual order item schema used in array for multiple items in an order
     orderItems: [orderItemSchema],
 
@@ -82,23 +235,61 @@ const orderSchema = new mongoose.Schema(
 
     paymentStatus: {
       type: String,
-      enum: ["Pending", "Paid", "Failed", "Refunded"],
+      enum: PAYMENT_STATUSES,
       default: "Pending",
     },
 
+    refunds: {
+      type: [refundSchema],
+      default: [],
+    },
+
+    // Online payment details from the payment gateway
+    payment: {
+      provider: {
+        type: String,
+      },
+      intentId: {
+        type: String,
+      },
+      amount: {
+        type: Number, // in the smallest currency unit (e.g. cents)
+      },
+      currency: {
+        type: String,
+      },
+      paidAt: {
+        type: Date,
+      },
+      failureReason: {
+        type: String,
+      },
+      // Set when a payment arrives for an order that was already cancelled;
+      // the captured money must be returned by someone with orders:refund
+      refundRequired: {
+        type: Boolean,
+        default: false,
+      },
+    },
+
     orderStatus: {
       type: String,
-      enum: [
-        "Pending",
-        "Processing",
-        "Confirmed",
-        "Shipped",
-        "Delivered",
-        "Cancelled",
-      ],
+      enum: ORDER_STATUSES,
       default: "Pending",
     },
 
+    // Timeline of every status change, oldest first
+    statusHistory: {
+      type: [statusHistorySchema],
+      default: [],
+    },
+
+    shippingMethod: {
+      type: String,
+      enum: SHIPPING_METHODS,
+      default: "standard",
+    },
+
     trackingNumber: {
       type: String,
       trim: true,
@@ -147,6 +338,32 @@ const orderSchema = new mongoose.Schema(
       min: [0, "Discount cannot be negative"],
     },
 
+    taxAmount: {
+      type: Number,
+      default: 0,
+      min: [0, "Tax amount cannot be negative"],
+    },
+
+    // Snapshot of the coupon the discount was calculated from
+    coupon: {
+      couponId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Coupon",
+      },
+      code: {
+        type: String,
+        uppercase: true,
+        trim: true,
+      },
+      discountType: {
+        type: String,
+        enum: ["percentage", "fixed"],
+      },
+      discountValue: {
+        type: Number,
+      },
+    },
+
     notes: {
       type: String,
       maxlength: [500, "Notes cannot exceed 500 characters"],
@@ -161,6 +378,13 @@ const orderSchema = new mongoose.Schema(
     deliveredAt: {
       type: Date,
     },
+
+    // When a return was last requested. Every return request writes it in
+    // its transaction, so parallel requests for one order conflict and are
+    // checked one after another
+    returnRequestedAt: {
+      type: Date,
+    },
   },
   {
     timestamps: true,
@@ -173,6 +397,8 @@ orderSchema.index({ orderStatus: 1 });
 orderSchema.index({ paymentStatus: 1 });
 orderSchema.index({ createdAt: -1 });
 orderSchema.index({ "orderItems.product": 1 });
+orderSchema.index({ "coupon.couponId": 1, user: 1 });
+orderSchema.index({ "payment.intentId": 1 }, { sparse: true });
 
 // Pre-save middleware to calculate subtotals
 orderItemSchema.pre("validate", function () {
@@ -181,6 +407,26 @@ orderItemSchema.pre("validate", function () {
   }
 });
 
+// Pre-validate middleware to assign the next order number to new orders
+orderSchema.pre("validate", async function () {
+  if (this.isNew && !this.orderNumber) {
+    this.orderNumber = await this.constructor.generateOrderNumber(
+      this.$session()
+    );
+  }
+});
+
+// Pre-save middleware to record the initial status in the timeline
+orderSchema.pre("save", function (next) {
+  if (this.isNew && this.statusHistory.length === 0) {
+    this.statusHistory.push({
+      status: this.orderStatus,
+      changedBy: this.user,
+    });
+  }
+  next();
+});
+
 // Pre-save middleware to validate order amounts
 orderSchema.pre("save", function (next) {
   // Calculate total from order items
@@ -193,8 +439,18 @@ orderSchema.pre("save", function (next) {
     return next(new Error("Total amount does not match sum of order items"));
   }
 
-  // Validate that finalAmount = totalAmount + shippingCharge - discount
-  const expectedFinal = this.totalAmount + this.shippingCharge - this.discount;
+  // Validate that taxAmount matches the per-item tax breakdown
+  const itemsTax = this.orderItems.reduce((total, item) => {
+    return total + (item.taxAmount || 0);
+  }, 0);
+
+  if (Math.abs(this.taxAmount - itemsTax) > 0.01) {
+    return next(new Error("Tax amount does not match sum of item taxes"));
+  }
+
+  // Validate that finalAmount = totalAmount + shippingCharge - discount + taxAmount
+  const expectedFinal =
+    this.totalAmount + this.shippingCharge - this.discount + this.taxAmount;
   if (Math.abs(this.finalAmount - expectedFinal) > 0.01) {
     return next(new Error("Final amount calculation is incorrect"));
   }
@@ -202,50 +458,308 @@ orderSchema.pre("save", function (next) {
   next();
 });
 
+// Static to generate the next order number from a per-year counter
+// (`date` picks the year, e.g. the creation date when backfilling)
+orderSchema.statics.generateOrderNumber = async function (
+  session = null,
+  date = new Date()
+) {
+  const year = date.getFullYear();
+  const seq = await Counter.next(`order-${year}`, session);
+  return `SW-${year}-${String(seq).padStart(6, "0")}`;
+};
+
+// Payment statuses of orders that have been paid for
+const INVOICEABLE_PAYMENT_STATUSES = ["Paid", "PartiallyRefunded", "Refunded"];
+
 // Instance methods
-orderSchema.methods.canBeCancelled = function () {
-  return ["Pending", "Processing", "Confirmed"].includes(this.orderStatus);
+// Only paid orders that were not cancelled get an invoice
+orderSchema.methods.canBeInvoiced = function () {
+  return (
+    this.orderStatus !== "Cancelled" &&
+    INVOICEABLE_PAYMENT_STATUSES.includes(this.paymentStatus)
+  );
 };
 
-orderSchema.methods.cancel = function () {
-  if (!this.canBeCancelled()) {
-    throw new Error("Order cannot be cancelled at this stage");
+// Assign the next invoice number once; later calls return the stored one.
+// The counter moves in the same transaction as the order, so numbers are
+// only used up by orders that actually get them (no gaps)
+orderSchema.methods.assignInvoiceNumber = async function () {
+  if (this.invoiceNumber) return this.invoiceNumber;
+
+  if (!this.canBeInvoiced()) {
+    throw new Error("Only paid orders that are not cancelled can be invoiced");
   }
-  this.orderStatus = "Cancelled";
-  return this.save();
+
+  const session = await mongoose.startSession();
+  let current;
+
+  try {
+    await session.withTransaction(async () => {
+      current = await this.constructor
+        .findById(this._id)
+        .select("invoiceNumber invoicedAt orderStatus paymentStatus")
+        .session(session);
+
+      // Issued by a concurrent request (or no longer eligible)
+      if (current.invoiceNumber || !current.canBeInvoiced()) return;
+
+      const year = new Date().getFullYear();
+      const seq = await Counter.next(`invoice-${year}`, session);
+      current.invoiceNumber = `INV-${year}-${String(seq).padStart(6, "0")}`;
+      current.invoicedAt = new Date();
+
+      await this.constructor.updateOne(
+        { _id: this._id },
+        {
+          $set: {
+            invoiceNumber: current.invoiceNumber,
+            invoicedAt: current.invoicedAt,
+          },
+        },
+        { session }
+      );
+    });
+  } finally {
+    await session.endSession();
+  }
+
+  if (!current.invoiceNumber) {
+    throw new Error("Only paid orders that are not cancelled can be invoiced");
+  }
+
+  this.invoiceNumber = current.invoiceNumber;
+  this.invoicedAt = current.invoicedAt;
+  return this.invoiceNumber;
 };
 
-orderSchema.methods.markAsDelivered = function () {
-  this.orderStatus = "Delivered";
-  this.isDelivered = true;
-  this.deliveredAt = new Date();
-  return this.save();
+orderSchema.methods.canTransitionTo = function (newStatus) {
+  const allowed = ORDER_STATUS_TRANSITIONS[this.orderStatus] || [];
+  return allowed.includes(newStatus);
+};
+
+// Refunds that count against the order total (pending ones are reserved)
+orderSchema.methods.getActiveRefunds = function () {
+  return this.refunds.filter((refund) => refund.status !== "Failed");
+};
+
+orderSchema.methods.getRefundedAmount = function () {
+  const total = this.getActiveRefunds().reduce(
+    (sum, refund) => sum + refund.amount,
+    0
+  );
+  return Math.round(total * 100) / 100;
+};
+
+orderSchema.methods.getRefundableAmount = function () {
+  const isPaid =
+    ["Paid", "PartiallyRefunded"].includes(this.paymentStatus) ||
+    this.payment?.refundRequired;
+  if (!isPaid) return 0;
+  return Math.round((this.finalAmount - this.getRefundedAmount()) * 100) / 100;
+};
+
+// Quantity of an order item that has not been refunded yet
+orderSchema.methods.getRefundableQuantity = function (product, size, color) {
+  const matches = (item) =>
+    item.product.toString() === product.toString() &&
+    item.size === size &&
+    item.color === color;
+
+  const ordered = this.orderItems
+    .filter(matches)
+    .reduce((sum, item) => sum + item.quantity, 0);
+  const refunded = this.getActiveRefunds()
+    .flatMap((refund) => refund.items)
+    .filter(matches)
+    .reduce((sum, item) => sum + item.quantity, 0);
+
+  return ordered - refunded;
+};
+
+// Sum of the order's refund amounts whose status is one of `statuses`
+// (refunds stored before statuses existed count as Succeeded)
+const sumRefunds = (statuses) => ({
+  $sum: {
+    $map: {
+      input: {
+        $filter: {
+          input: "$refunds",
+          as: "refund",
+          cond: {
+            $in: [{ $ifNull: ["$$refund.status", "Succeeded"] }, statuses],
+          },
+        },
+      },
+      as: "refund",
+      in: "$$refund.amount",
+    },
+  },
+});
+
+// Atomically reserve a Pending refund on a paid order. Returns the updated
+// order, or null when the refund no longer fits in what is left to refund
+// (e.g. another refund was reserved first)
+orderSchema.statics.reserveRefund = function (orderId, refund) {
+  return this.findOneAndUpdate(
+    {
+      _id: orderId,
+      $or: [
+        { paymentStatus: { $in: ["Paid", "PartiallyRefunded"] } },
+        { "payment.refundRequired": true },
+      ],
+      $expr: {
+        $lte: [
+          { $add: [sumRefunds(["Pending", "Succeeded"]), refund.amount] },
+          { $add: ["$finalAmount", 0.001] },
+        ],
+      },
+    },
+    { $push: { refunds: { ...refund, status: "Pending" } } },
+    { new: true }
+  );
 };
 
-orderSchema.methods.updateStatus = function (newStatus, trackingNumber = null) {
-  if (
-    ![
-      "Pending",
-      "Processing",
-      "Confirmed",
-      "Shipped",
-      "Delivered",
-      "Cancelled",
-    ].includes(newStatus)
-  ) {
+// Mark a reserved refund as Succeeded and derive the payment status from
+// the refunds that went through. Returns the updated order
+orderSchema.statics.completeRefund = function (
+  orderId,
+  refundId,
+  { gatewayReference } = {}
+) {
+  const completed = gatewayReference
+    ? { status: "Succeeded", gatewayReference }
+    : { status: "Succeeded" };
+
+  return this.findOneAndUpdate(
+    {
+      _id: orderId,
+      refunds: { $elemMatch: { _id: refundId, status: "Pending" } },
+    },
+    [
+      {
+        $set: {
+          refunds: {
+            $map: {
+              input: "$refunds",
+              as: "refund",
+              in: {
+                $cond: [
+                  { $eq: ["$$refund._id", refundId] },
+                  { $mergeObjects: ["$$refund", completed] },
+                  "$$refund",
+                ],
+              },
+            },
+          },
+        },
+      },
+      {
+        $set: {
+          paymentStatus: {
+            $cond: [
+              {
+                $gte: [
+                  sumRefunds(["Succeeded"]),
+                  { $subtract: ["$finalAmount", 0.001] },
+                ],
+              },
+              "Refunded",
+              "PartiallyRefunded",
+            ],
+          },
+        },
+      },
+      {
+        $set: {
+          "payment.refundRequired": {
+            $and: [
+              "$payment.refundRequired",
+              { $ne: ["$paymentStatus", "Refunded"] },
+            ],
+          },
+        },
+      },
+    ],
+    { new: true }
+  );
+};
+
+// Release a reserved refund the gateway refused so its amount is refundable
+// again
+orderSchema.statics.failRefund = function (orderId, refundId, failureReason) {
+  return this.findOneAndUpdate(
+    { _id: orderId, "refunds._id": refundId },
+    {
+      $set: {
+        "refunds.$.status": "Failed",
+        "refunds.$.failureReason": failureReason,
+      },
+    },
+    { new: true }
+  );
+};
+
+orderSchema.methods.canBeCancelled = function () {
+  return this.canTransitionTo("Cancelled");
+};
+
+// Apply a status change and append it to the timeline (does not save)
+orderSchema.methods.transitionTo = function (
+  newStatus,
+  { changedBy = null, note = "" } = {}
+) {
+  if (!ORDER_STATUSES.includes(newStatus)) {
     throw new Error("Invalid order status");
   }
 
-  this.orderStatus = newStatus;
-
-  if (trackingNumber) {
-    this.trackingNumber = trackingNumber;
+  if (!this.canTransitionTo(newStatus)) {
+    throw new Error(
+      `Cannot change order status from ${this.orderStatus} to ${newStatus}`
+    );
   }
 
+  this.orderStatus = newStatus;
+  this.statusHistory.push({
+    status: newStatus,
+    changedBy,
+    changedAt: new Date(),
+    note,
+  });
+
   if (newStatus === "Delivered") {
     this.isDelivered = true;
     this.deliveredAt = new Date();
   }
+};
+
+orderSchema.methods.cancel = function (
+  changedBy = null,
+  note = "",
+  session = null
+) {
+  if (!this.canBeCancelled()) {
+    throw new Error("Order cannot be cancelled at this stage");
+  }
+  this.transitionTo("Cancelled", { changedBy, note });
+  return this.save({ session });
+};
+
+orderSchema.methods.markAsDelivered = function (changedBy = null, note = "") {
+  this.transitionTo("Delivered", { changedBy, note });
+  return this.save();
+};
+
+orderSchema.methods.updateStatus = function (
+  newStatus,
+  trackingNumber = null,
+  { changedBy = null, note = "" } = {}
+) {
+  this.transitionTo(newStatus, { changedBy, note });
+
+  if (trackingNumber) {
+    this.trackingNumber = trackingNumber;
+  }
 
   console.log(`Order status updated to ${newStatus}`);
 
@@ -261,5 +775,31 @@ orderSchema.virtual("totalItems").get(function () {
 orderSchema.set("toJSON", { virtuals: true });
 orderSchema.set("toObject", { virtuals: true });
 
+// Statuses of orders that are still being fulfilled
+orderSchema.statics.OPEN_STATUSES = [
+  "Pending",
+  "Processing",
+  "Confirmed",
+  "Shipped",
+];
+
+// Scrub the personal details of a deleted customer from their orders
+// The orders themselves are kept for accounting; the city and country stay
+// because tax and shipping were calculated from them.
+orderSchema.statics.anonymizeForUser = function (userId) {
+  return this.updateMany(
+    { user: userId },
+    {
+      $set: {
+        "shippingAddress.fullName": "Deleted user",
+        "shippingAddress.address": "[deleted]",
+        "shippingAddress.postalCode": "[deleted]",
+        "shippingAddress.phone": "[deleted]",
+        notes: "",
+      },
+    }
+  );
+};
+
 const Order = mongoose.model("Order", orderSchema);
 export default Order;
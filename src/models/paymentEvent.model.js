@@ -0,0 +1,32 @@
+import mongoose from "mongoose";
+
+// Payment Event Schema
+// Records every processed payment webhook event so replays are ignored
+const paymentEventSchema = new mongoose.Schema(
+  {
+    eventId: {
+      type: String,
+      required: [true, "Event ID is required"],
+      unique: true,
+    },
+    provider: {
+      type: String,
+      required: [true, "Provider is required"],
+    },
+    type: {
+      type: String,
+      required: [true, "Event type is required"],
+    },
+    order: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Order",
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+const PaymentEvent = mongoose.model("PaymentEvent", paymentEventSchema);
+
+export default PaymentEvent;
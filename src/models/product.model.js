@@ -1,4 +1,6 @@
 import mongoose from "mongoose";
+import StockMovement from "./stockMovement.model.js";
+import inventoryConfig from "../configs/inventory.config.js";
 
 const productSchema = new mongoose.Schema(
   {
@@ -26,20 +28,28 @@ const productSchema = new mongoose.Schema(
         message: "Price must be a valid positive number",
       },
     },
+    // Total of the variant quantities, kept in sync whenever they change
+    // (never set directly)
     stock: {
       type: Number,
-      required: [true, "Product stock is required"],
+      default: 0,
       min: 0,
     },
+    // Low-stock threshold for the variants (null = store default)
+    lowStockThreshold: {
+      type: Number,
+      min: [0, "Low-stock threshold cannot be negative"],
+      default: null,
+    },
     brand: {
       type: String,
       required: [true, "Product brand is required"],
       trim: true,
     },
     category: {
-      type: String,
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Category",
       required: [true, "Product category is required"],
-      trim: true,
     },
     variants: [
       {
@@ -53,6 +63,33 @@ const productSchema = new mongoose.Schema(
           required: [true, "Color is required for variants"],
           trim: true,
         },
+        // Stock keeping unit; stays the same when size/color are renamed.
+        // Generated on save when not given.
+        sku: {
+          type: String,
+          uppercase: true,
+          trim: true,
+          match: [
+            /^[A-Z0-9][A-Z0-9._-]{1,63}$/,
+            "SKU can only contain letters, numbers, dots, dashes and underscores",
+          ],
+        },
+        barcode: {
+          type: String,
+          trim: true,
+          match: [/^[0-9A-Za-z-]{4,48}$/, "Please provide a valid barcode"],
+        },
+        // Shipping weight in kg (falls back to the shipping default)
+        weight: {
+          type: Number,
+          min: [0, "Weight cannot be negative"],
+        },
+        // Overrides the product's low-stock threshold for this variant
+        lowStockThreshold: {
+          type: Number,
+          min: [0, "Low-stock threshold cannot be negative"],
+          default: null,
+        },
         quantity: {
           type: Number,
           default: 0,
@@ -124,6 +161,47 @@ productSchema.index({ brand: 1 });
 productSchema.index({ price: 1 });
 productSchema.index({ createdBy: 1 });
 productSchema.index({ "variants.size": 1, "variants.color": 1 });
+productSchema.index(
+  { "variants.sku": 1 },
+  {
+    unique: true,
+    partialFilterExpression: { "variants.sku": { $exists: true } },
+  }
+);
+productSchema.index({ "variants.barcode": 1 });
+
+// Build a default SKU from the product id, size and color
+const buildSku = (productId, size, color) =>
+  [productId.toString().slice(-8), size, color]
+    .map((part) =>
+      String(part)
+        .toUpperCase()
+        .replace(/[^A-Z0-9]+/g, "")
+    )
+    .join("-")
+    .slice(0, 64);
+
+// Give every variant a SKU, reject duplicates within the product and derive
+// the product stock
+productSchema.pre("validate", function (next) {
+  this.variants.forEach((variant) => {
+    if (!variant.sku) {
+      variant.sku = buildSku(this._id, variant.size, variant.color);
+    }
+  });
+
+  const skus = this.variants.map((variant) => variant.sku.toUpperCase());
+  if (new Set(skus).size !== skus.length) {
+    this.invalidate("variants", "Variant SKUs must be unique");
+  }
+
+  // Derive the product stock from its variants
+  this.stock = this.variants.reduce(
+    (total, variant) => total + (variant.quantity || 0),
+    0
+  );
+  next();
+});
 
 // Virtual for average rating
 productSchema.virtual("averageRating").get(function () {
@@ -132,35 +210,179 @@ productSchema.virtual("averageRating").get(function () {
   return Math.round((sum / this.reviews.length) * 10) / 10; // Round to 1 decimal
 });
 
-// Virtual for total stock across all variants
+// Virtual kept for API compatibility; same value as the persisted stock
 productSchema.virtual("totalStock").get(function () {
-  if (!this.variants || this.variants.length === 0) return 0;
-  return this.variants.reduce((total, variant) => total + variant.quantity, 0);
+  return this.stock;
 });
 
-// Method to check if product is in stock for specific variant
-productSchema.methods.isInStock = function (size, color, quantity = 1) {
-  if (!this.variants || this.variants.length === 0) return false;
-  const variant = this.variants.find(
-    (v) => v.size === size && v.color === color
-  );
-  return variant && variant.quantity >= quantity;
-};
-
 // Method to get variant by size and color
 productSchema.methods.getVariant = function (size, color) {
   if (!this.variants || this.variants.length === 0) return null;
   return this.variants.find((v) => v.size === size && v.color === color);
 };
 
-// Method to update variant stock
-productSchema.methods.updateVariantStock = function (size, color, quantity) {
-  const variant = this.getVariant(size, color);
-  if (variant) {
-    variant.quantity = Math.max(0, variant.quantity - quantity);
-    return this.save();
+// Method to get variant by SKU
+productSchema.methods.getVariantBySku = function (sku) {
+  const normalized = String(sku || "")
+    .trim()
+    .toUpperCase();
+  return this.variants.find((v) => v.sku === normalized) || null;
+};
+
+// Method to find the variant an order, cart or return line refers to: by
+// SKU when the line has one, falling back to size and color
+productSchema.methods.getLineVariant = function ({ sku, size, color }) {
+  return (sku && this.getVariantBySku(sku)) || this.getVariant(size, color);
+};
+
+// Static to find a product and its variant by SKU
+productSchema.statics.findBySku = async function (sku) {
+  const normalized = String(sku || "")
+    .trim()
+    .toUpperCase();
+  const product = await this.findOne({ "variants.sku": normalized });
+  if (!product) return null;
+
+  return { product, variant: product.getVariantBySku(normalized) };
+};
+
+// Run an atomic stock change on the variant matched by `variantMatch` and
+// record it in the stock ledger. Resolves to the updated variant, or null
+// when no variant matched (e.g. not enough stock left).
+productSchema.statics.changeVariantStock = async function (
+  productId,
+  variantMatch,
+  delta,
+  movement,
+  session = null
+) {
+  const product = await this.findOneAndUpdate(
+    { _id: productId, variants: { $elemMatch: variantMatch } },
+    { $inc: { "variants.$.quantity": delta, stock: delta } },
+    { new: true, session, projection: { "variants.$": 1 } }
+  );
+  if (!product) return null;
+
+  const [variant] = product.variants;
+  await StockMovement.record(product, variant, { ...movement, delta }, session);
+  return variant;
+};
+
+// Static to atomically reserve stock of the variant with id `variantId`.
+// Only decrements when enough quantity is left, so concurrent checkouts
+// cannot oversell the last unit.
+// Resolves to the updated variant, or null when there was not enough stock.
+productSchema.statics.reserveVariantStock = function (
+  productId,
+  variantId,
+  quantity,
+  session = null,
+  movement = {}
+) {
+  return this.changeVariantStock(
+    productId,
+    { _id: variantId, quantity: { $gte: quantity } },
+    -quantity,
+    { reason: "sale", ...movement },
+    session
+  );
+};
+
+// Static to atomically put variant stock back (e.g. on cancellation)
+// The variant is matched by the line's SKU when it has one, falling back to
+// size and color. movement.reason is required ("cancellation" or "return")
+// Resolves to the updated variant, or null when no variant matched.
+productSchema.statics.releaseVariantStock = async function (
+  productId,
+  { sku, size, color },
+  quantity,
+  session = null,
+  movement = {}
+) {
+  const matches = [{ size, color }];
+  if (sku) {
+    matches.unshift({ sku: String(sku).trim().toUpperCase() });
+  }
+
+  for (const match of matches) {
+    const variant = await this.changeVariantStock(
+      productId,
+      match,
+      quantity,
+      movement,
+      session
+    );
+    if (variant) return variant;
   }
-  throw new Error("Variant not found");
+
+  return null;
+};
+
+// Static to manually adjust a variant's stock by `delta` (never below zero)
+// Resolves to the updated variant, or null if it would go negative
+productSchema.statics.adjustVariantStock = function (
+  productId,
+  variantId,
+  delta,
+  movement = {},
+  session = null
+) {
+  const match = { _id: variantId };
+  if (delta < 0) {
+    match.quantity = { $gte: -delta };
+  }
+
+  return this.changeVariantStock(
+    productId,
+    match,
+    delta,
+    { reason: "adjustment", ...movement },
+    session
+  );
+};
+
+// Method to record ledger movements for quantities changed by editing the
+// variants directly (creating, updating or deleting a product).
+// `previousVariants` and `currentVariants` are the variants (plain objects
+// or subdocuments) before and after the edit. Pass the session the edit was
+// saved in so the ledger rows commit with it.
+productSchema.methods.recordVariantChanges = async function (
+  previousVariants = [],
+  movement = {},
+  currentVariants = this.variants,
+  session = null
+) {
+  const movements = [];
+
+  currentVariants.forEach((variant) => {
+    const previous = previousVariants.find((v) => v._id.equals(variant._id));
+    const delta = variant.quantity - (previous?.quantity ?? 0);
+    if (delta !== 0) {
+      movements.push([variant, delta]);
+    }
+  });
+
+  // Variants that were removed take their remaining stock with them
+  previousVariants.forEach((previous) => {
+    const removed = !currentVariants.some((v) => v._id.equals(previous._id));
+    if (removed && previous.quantity !== 0) {
+      movements.push([{ ...previous, quantity: 0 }, -previous.quantity]);
+    }
+  });
+
+  for (const [variant, delta] of movements) {
+    await StockMovement.record(this, variant, { ...movement, delta }, session);
+  }
+};
+
+// Method to get the low-stock threshold of a variant
+// (variant threshold > product threshold > store default)
+productSchema.methods.getLowStockThreshold = function (variant) {
+  return (
+    variant?.lowStockThreshold ??
+    this.lowStockThreshold ??
+    inventoryConfig.defaultLowStockThreshold
+  );
 };
 
 // Method to get final price including variant modifier
@@ -0,0 +1,182 @@
+import mongoose from "mongoose";
+
+// Allowed return request status transitions (current status -> next statuses)
+export const RETURN_STATUS_TRANSITIONS = {
+  Requested: ["Approved", "Rejected"],
+  Approved: ["Received"],
+  Received: ["Refunded"],
+  Rejected: [],
+  Refunded: [],
+};
+
+export const RETURN_STATUSES = Object.keys(RETURN_STATUS_TRANSITIONS);
+
+// A Schema for an item being returned
+const returnItemSchema = new mongoose.Schema(
+  {
+    product: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Product",
+      required: [true, "Product is required"],
+    },
+    productName: {
+      type: String,
+      required: [true, "Product name is required"],
+      trim: true,
+    },
+    size: {
+      type: String,
+      required: [true, "Size is required"],
+      trim: true,
+    },
+    color: {
+      type: String,
+      required: [true, "Color is required"],
+      trim: true,
+    },
+    // SKU of the ordered variant, used to restock the exact variant
+    sku: {
+      type: String,
+      trim: true,
+    },
+    quantity: {
+      type: Number,
+      required: [true, "Quantity is required"],
+      min: [1, "Quantity must be at least 1"],
+      validate: {
+        validator: Number.isInteger,
+        message: "Quantity must be a whole number",
+      },
+    },
+  },
+  { _id: false }
+);
+
+// Return Request Schema
+// A customer's request to return or exchange items from a delivered order
+const returnRequestSchema = new mongoose.Schema(
+  {
+    order: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Order",
+      required: true,
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    type: {
+      type: String,
+      enum: ["return", "exchange"],
+      default: "return",
+    },
+    items: {
+      type: [returnItemSchema],
+      validate: {
+        validator: (items) => items.length > 0,
+        message: "At least one item is required",
+      },
+    },
+    reason: {
+      type: String,
+      required: [true, "Return reason is required"],
+      minlength: [10, "Return reason must be at least 10 characters"],
+      maxlength: [500, "Return reason cannot exceed 500 characters"],
+      trim: true,
+    },
+    status: {
+      type: String,
+      enum: RETURN_STATUSES,
+      default: "Requested",
+    },
+    statusHistory: [
+      {
+        status: { type: String, enum: RETURN_STATUSES, required: true },
+        changedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+        changedAt: { type: Date, default: Date.now },
+        note: { type: String, maxlength: 500, trim: true },
+        _id: false,
+      },
+    ],
+    // The refund (in Order.refunds) issued for this return
+    refundId: {
+      type: mongoose.Schema.Types.ObjectId,
+    },
+    receivedAt: {
+      type: Date,
+    },
+    // Set when the return was received but the order had nothing left to
+    // refund through the gateway, so staff must settle it by hand
+    refundRequired: {
+      type: Boolean,
+      default: false,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Create indexes for better query performance
+returnRequestSchema.index({ order: 1 });
+returnRequestSchema.index({ user: 1, createdAt: -1 });
+returnRequestSchema.index({ status: 1 });
+
+// Pre-save middleware to record the initial status in the timeline
+returnRequestSchema.pre("save", function (next) {
+  if (this.isNew && this.statusHistory.length === 0) {
+    this.statusHistory.push({ status: this.status, changedBy: this.user });
+  }
+  next();
+});
+
+// Instance methods
+returnRequestSchema.methods.canTransitionTo = function (newStatus) {
+  const allowed = RETURN_STATUS_TRANSITIONS[this.status] || [];
+  return allowed.includes(newStatus);
+};
+
+// Apply a status change and append it to the timeline (does not save)
+returnRequestSchema.methods.transitionTo = function (
+  newStatus,
+  { changedBy = null, note = "" } = {}
+) {
+  if (!this.canTransitionTo(newStatus)) {
+    throw new Error(
+      `Cannot change return status from ${this.status} to ${newStatus}`
+    );
+  }
+
+  this.status = newStatus;
+  this.statusHistory.push({
+    status: newStatus,
+    changedBy,
+    changedAt: new Date(),
+    note,
+  });
+
+  if (newStatus === "Received") {
+    this.receivedAt = new Date();
+  }
+};
+
+// Static to claim a received return for a new refund attempt. Only one
+// request can swap `previousRefundId` for `refundId`, so a return is never
+// refunded twice in parallel. Resolves to the return, or null if another
+// attempt claimed it first.
+returnRequestSchema.statics.claimRefund = function (
+  returnId,
+  previousRefundId,
+  refundId
+) {
+  return this.findOneAndUpdate(
+    { _id: returnId, status: "Received", refundId: previousRefundId ?? null },
+    { $set: { refundId } },
+    { new: true }
+  );
+};
+
+const ReturnRequest = mongoose.model("ReturnRequest", returnRequestSchema);
+
+export default ReturnRequest;
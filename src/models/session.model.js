@@ -0,0 +1,195 @@
+import mongoose from "mongoose";
+import crypto from "crypto";
+import jwt from "jsonwebtoken";
+
+// How many previous refresh tokens are kept per session for reuse detection
+const MAX_ROTATED_TOKENS = 100;
+
+export const SESSION_REVOKE_REASONS = [
+  "logout",
+  "revoked",
+  "reuse_detected",
+  "password_changed",
+  "password_reset",
+  "suspended",
+  "account_deleted",
+];
+
+// Session Schema
+// One document per logged in device. The session is the refresh token
+// family: every refresh rotates the token and keeps the hash of the old one,
+// so presenting an already rotated token revokes the whole session.
+const sessionSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: [true, "User is required"],
+    },
+    // SHA-256 hash of the current refresh token
+    tokenHash: {
+      type: String,
+      select: false,
+    },
+    // Hashes of refresh tokens that were already rotated
+    rotatedTokenHashes: {
+      type: [String],
+      default: [],
+      select: false,
+    },
+    userAgent: {
+      type: String,
+      default: "",
+    },
+    ipAddress: {
+      type: String,
+      default: "",
+    },
+    lastUsedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    revokedAt: {
+      type: Date,
+    },
+    revokedReason: {
+      type: String,
+      enum: SESSION_REVOKE_REASONS,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+sessionSchema.index({ user: 1, revokedAt: 1 });
+// Remove sessions once their refresh token has expired
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Hash a refresh token before storing or comparing it
+sessionSchema.statics.hashToken = function (token) {
+  return crypto.createHash("sha256").update(token).digest("hex");
+};
+
+// Expiry date of a signed refresh token
+const getTokenExpiry = (token) => new Date(jwt.decode(token).exp * 1000);
+
+// Device details of the request that uses the session
+const getClientInfo = (req) => ({
+  userAgent: (req.get("user-agent") || "").slice(0, 500),
+  ipAddress: req.ip || "",
+});
+
+// Start a new session for the user on the requesting device
+// Returns the session and its first refresh token
+sessionSchema.statics.start = async function (user, req) {
+  const session = new this({
+    user: user._id,
+    ...getClientInfo(req),
+  });
+
+  const refreshToken = user.generateRefreshToken(session._id);
+  session.tokenHash = this.hashToken(refreshToken);
+  session.expiresAt = getTokenExpiry(refreshToken);
+  await session.save();
+
+  return { session, refreshToken };
+};
+
+// Exchange the current refresh token of a session for a new one
+// Returns { session, refreshToken } on success. If the token was already
+// rotated the session is revoked and { reuseDetected: true } is returned.
+sessionSchema.statics.rotate = async function (sessionId, token, user, req) {
+  const tokenHash = this.hashToken(token);
+  const refreshToken = user.generateRefreshToken(sessionId);
+  const now = new Date();
+
+  // Conditional update so two refreshes with the same token cannot both win
+  const session = await this.findOneAndUpdate(
+    {
+      _id: sessionId,
+      user: user._id,
+      tokenHash,
+      revokedAt: null,
+      expiresAt: { $gt: now },
+    },
+    {
+      $set: {
+        tokenHash: this.hashToken(refreshToken),
+        lastUsedAt: now,
+        expiresAt: getTokenExpiry(refreshToken),
+        ...getClientInfo(req),
+      },
+      $push: {
+        rotatedTokenHashes: { $each: [tokenHash], $slice: -MAX_ROTATED_TOKENS },
+      },
+    },
+    { new: true }
+  );
+
+  if (session) {
+    return { session, refreshToken };
+  }
+
+  // An old token of this family was replayed - revoke the family
+  const reused = await this.findOneAndUpdate(
+    { _id: sessionId, rotatedTokenHashes: tokenHash, revokedAt: null },
+    { $set: { revokedAt: now, revokedReason: "reuse_detected" } }
+  );
+
+  return { reuseDetected: Boolean(reused) };
+};
+
+// Revoke a single session of a user
+sessionSchema.statics.revoke = function (sessionId, userId, reason) {
+  return this.updateOne(
+    { _id: sessionId, user: userId, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+};
+
+// Revoke every active session of a user, optionally keeping one
+sessionSchema.statics.revokeAllForUser = function (
+  userId,
+  reason,
+  exceptSessionId = null
+) {
+  const query = { user: userId, revokedAt: null };
+  if (exceptSessionId) {
+    query._id = { $ne: exceptSessionId };
+  }
+
+  return this.updateMany(query, {
+    $set: { revokedAt: new Date(), revokedReason: reason },
+  });
+};
+
+// Active (not revoked, not expired) sessions of a user
+sessionSchema.statics.findActiveForUser = function (userId) {
+  return this.find({
+    user: userId,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() },
+  }).sort({ lastUsedAt: -1 });
+};
+
+// Whether a session of the user is still active (not revoked, not expired)
+sessionSchema.statics.isActive = async function (sessionId, userId) {
+  if (!mongoose.isValidObjectId(sessionId)) return false;
+
+  const session = await this.exists({
+    _id: sessionId,
+    user: userId,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() },
+  });
+  return session !== null;
+};
+
+const Session = mongoose.model("Session", sessionSchema);
+
+export default Session;
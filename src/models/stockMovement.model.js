@@ -0,0 +1,213 @@
+import mongoose from "mongoose";
+
+export const STOCK_MOVEMENT_REASONS = [
+  "sale", // stock reserved by an order
+  "cancellation", // stock put back when an order is cancelled
+  "return", // returned items received back into stock
+  "adjustment", // manual correction by staff (counts, damage, loss)
+  "import", // stock received or loaded from outside the store
+];
+
+// Stock Movement Schema
+// Append-only ledger of every change to a variant's quantity. The current
+// quantity of a variant should always equal the sum of its movements.
+const stockMovementSchema = new mongoose.Schema(
+  {
+    product: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Product",
+      required: [true, "Product is required"],
+    },
+    variant: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: [true, "Variant is required"],
+    },
+    // Variant details at the time of the movement
+    sku: {
+      type: String,
+      default: "",
+    },
+    size: {
+      type: String,
+      default: "",
+    },
+    color: {
+      type: String,
+      default: "",
+    },
+    delta: {
+      type: Number,
+      required: [true, "Quantity change is required"],
+      validate: {
+        validator: (v) => Number.isInteger(v) && v !== 0,
+        message: "Quantity change must be a non-zero whole number",
+      },
+    },
+    // Variant quantity right after this movement
+    quantityAfter: {
+      type: Number,
+      default: null,
+    },
+    reason: {
+      type: String,
+      enum: STOCK_MOVEMENT_REASONS,
+      required: [true, "Reason is required"],
+    },
+    // Document that caused the movement (order, return request, ...)
+    referenceModel: {
+      type: String,
+      enum: ["Order", "ReturnRequest", null],
+      default: null,
+    },
+    reference: {
+      type: mongoose.Schema.Types.ObjectId,
+      refPath: "referenceModel",
+      default: null,
+    },
+    // Staff member or customer behind the movement (null for the system)
+    actor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    note: {
+      type: String,
+      trim: true,
+      maxlength: 500,
+      default: "",
+    },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+  }
+);
+
+stockMovementSchema.index({ product: 1, variant: 1, createdAt: -1 });
+stockMovementSchema.index({ reference: 1 });
+
+// Movements are never changed or removed once written
+const rejectChange = function () {
+  throw new Error("Stock movements are append-only");
+};
+
+stockMovementSchema.pre(
+  [
+    "updateOne",
+    "updateMany",
+    "findOneAndUpdate",
+    "findOneAndReplace",
+    "replaceOne",
+    "deleteOne",
+    "deleteMany",
+    "findOneAndDelete",
+  ],
+  rejectChange
+);
+
+stockMovementSchema.pre("save", function (next) {
+  if (!this.isNew) {
+    return next(new Error("Stock movements are append-only"));
+  }
+  next();
+});
+
+// Record a movement for a variant of a product
+// movement: { delta, reason, reference, referenceModel, actor, note }
+stockMovementSchema.statics.record = async function (
+  product,
+  variant,
+  movement,
+  session = null
+) {
+  const [stockMovement] = await this.create(
+    [
+      {
+        product: product._id,
+        variant: variant._id,
+        sku: variant.sku || "",
+        size: variant.size,
+        color: variant.color,
+        quantityAfter: variant.quantity ?? null,
+        ...movement,
+      },
+    ],
+    { session }
+  );
+  return stockMovement;
+};
+
+// Compare every variant's quantity against the sum of its movements.
+// Resolves to the variants that do not match (optionally for one product).
+stockMovementSchema.statics.reconcile = async function (productId = null) {
+  const Product = this.model("Product");
+  const productMatch = productId
+    ? { _id: new mongoose.Types.ObjectId(String(productId)) }
+    : {};
+
+  const [products, totals] = await Promise.all([
+    Product.find(productMatch).select("name variants"),
+    this.aggregate([
+      { $match: productId ? { product: productMatch._id } : {} },
+      {
+        $group: {
+          _id: { product: "$product", variant: "$variant" },
+          ledgerQuantity: { $sum: "$delta" },
+          movements: { $sum: 1 },
+        },
+      },
+    ]),
+  ]);
+
+  const ledger = new Map(
+    totals.map((total) => [`${total._id.product}:${total._id.variant}`, total])
+  );
+
+  const mismatches = [];
+  products.forEach((product) => {
+    product.variants.forEach((variant) => {
+      const key = `${product._id}:${variant._id}`;
+      const total = ledger.get(key);
+      ledger.delete(key);
+
+      const ledgerQuantity = total?.ledgerQuantity ?? 0;
+      if (ledgerQuantity !== variant.quantity) {
+        mismatches.push({
+          product: product._id,
+          productName: product.name,
+          variant: variant._id,
+          sku: variant.sku,
+          size: variant.size,
+          color: variant.color,
+          quantity: variant.quantity,
+          ledgerQuantity,
+          difference: variant.quantity - ledgerQuantity,
+          movements: total?.movements ?? 0,
+        });
+      }
+    });
+  });
+
+  // Movements left over belong to variants that no longer exist
+  ledger.forEach((total) => {
+    if (total.ledgerQuantity !== 0) {
+      mismatches.push({
+        product: total._id.product,
+        variant: total._id.variant,
+        quantity: 0,
+        ledgerQuantity: total.ledgerQuantity,
+        difference: -total.ledgerQuantity,
+        movements: total.movements,
+        variantDeleted: true,
+      });
+    }
+  });
+
+  return {
+    checkedVariants: products.reduce((n, p) => n + p.variants.length, 0),
+    mismatches,
+  };
+};
+
+const StockMovement = mongoose.model("StockMovement", stockMovementSchema);
+
+export default StockMovement;
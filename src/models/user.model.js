@@ -1,6 +1,11 @@
 import mongoose from "mongoose";
 import bcrypt from "bcryptjs";
 import jwt from "jsonwebtoken";
+import crypto from "crypto";
+import { ROLES, roleHasPermission } from "../configs/roles.config.js";
+import lockoutConfig from "../configs/lockout.config.js";
+import twoFactorConfig from "../configs/twoFactor.config.js";
+import { verifyCode } from "../utils/totp.js";
 
 // Email Regex
 const emailRegex = /^[\w-\.]+@([\w-]+\.)+[\w-]{2,4}$/;
@@ -9,6 +14,52 @@ const emailRegex = /^[\w-\.]+@([\w-]+\.)+[\w-]{2,4}$/;
 const passwordRegex =
   /^(?=.*[A-Za-z])(?=.*\d)(?=.*[@$!%*#?&])[A-Za-z\d@$!%*#?&]{8,}$/;
 
+// Account statuses; suspended users cannot log in or use their tokens and
+// deleted accounts have been anonymized
+export const USER_STATUSES = ["active", "suspended", "deleted"];
+
+// Maximum number of saved addresses per user
+export const MAX_SAVED_ADDRESSES = 10;
+
+// Saved address (same fields as an order's shippingAddress)
+const savedAddressSchema = new mongoose.Schema(
+  {
+    label: {
+      type: String,
+      trim: true,
+      maxlength: 50,
+      default: "Home",
+    },
+    fullName: { type: String, required: true, trim: true },
+    address: { type: String, required: true, trim: true },
+    city: { type: String, required: true, trim: true },
+    postalCode: { type: String, required: true, trim: true },
+    country: { type: String, required: true, trim: true },
+    phone: {
+      type: String,
+      required: true,
+      match: [/^[\+]?[1-9][\d]{0,15}$/, "Please enter a valid phone number"],
+    },
+    isDefault: {
+      type: Boolean,
+      default: false,
+    },
+  },
+  { timestamps: true }
+);
+
+// Copy of the address in the shape of an order's shippingAddress
+savedAddressSchema.methods.toShippingAddress = function () {
+  return {
+    fullName: this.fullName,
+    address: this.address,
+    city: this.city,
+    postalCode: this.postalCode,
+    country: this.country,
+    phone: this.phone,
+  };
+};
+
 // 🔐 User Schema Definition
 const userSchema = new mongoose.Schema(
   {
@@ -38,13 +89,34 @@ const userSchema = new mongoose.Schema(
     },
     role: {
       type: String,
-      enum: ["user", "admin"],
+      enum: ROLES,
       default: "user",
     },
+    status: {
+      type: String,
+      enum: USER_STATUSES,
+      default: "active",
+    },
+    suspendedAt: {
+      type: Date,
+    },
+    suspensionReason: {
+      type: String,
+      trim: true,
+      maxlength: 500,
+    },
+    deletedAt: {
+      type: Date,
+    },
     address: {
       type: String,
       default: "",
     },
+    // Saved shipping addresses (at most one is the default)
+    addresses: {
+      type: [savedAddressSchema],
+      default: [],
+    },
     phone: {
       type: String,
       default: "",
@@ -61,6 +133,11 @@ const userSchema = new mongoose.Schema(
       default:
         "https://rugby.vlaanderen/wp-content/uploads/2018/03/Anonymous-Profile-pic.jpg",
     },
+    // Cloudinary public id of the uploaded picture (empty for the default one)
+    profilePicturePublicId: {
+      type: String,
+      default: "",
+    },
     wishlist: [
       {
         product: {
@@ -76,6 +153,11 @@ const userSchema = new mongoose.Schema(
           type: String,
           required: true,
         },
+        // Variant SKU snapshot (stays valid if size/color are renamed)
+        sku: {
+          type: String,
+          default: "",
+        },
         priceAtTime: {
           type: Number,
           required: true,
@@ -102,6 +184,11 @@ const userSchema = new mongoose.Schema(
           type: String,
           required: true,
         },
+        // Variant SKU snapshot (stays valid if size/color are renamed)
+        sku: {
+          type: String,
+          default: "",
+        },
         quantity: {
           type: Number,
           default: 1,
@@ -119,9 +206,83 @@ const userSchema = new mongoose.Schema(
         },
       },
     ],
-    refreshToken: {
+    // Coupon code applied to the current cart (validated again at checkout)
+    appliedCoupon: {
       type: String,
-      default: "",
+      uppercase: true,
+      trim: true,
+      default: null,
+    },
+    isEmailVerified: {
+      type: Boolean,
+      default: false,
+    },
+    // Email verification (only the SHA-256 hash of the token is stored)
+    emailVerificationToken: {
+      type: String,
+      select: false,
+    },
+    emailVerificationExpires: {
+      type: Date,
+      select: false,
+    },
+    // Two-factor authentication (TOTP). The pending secret is kept until the
+    // first code is verified; recovery codes are stored as SHA-256 hashes.
+    twoFactorEnabled: {
+      type: Boolean,
+      default: false,
+    },
+    twoFactorSecret: {
+      type: String,
+      select: false,
+    },
+    twoFactorPendingSecret: {
+      type: String,
+      select: false,
+    },
+    twoFactorRecoveryCodes: {
+      type: [String],
+      default: [],
+      select: false,
+    },
+    // Last accepted time step, so a code cannot be used twice
+    twoFactorLastUsedStep: {
+      type: Number,
+      select: false,
+    },
+    // Login lockout: consecutive wrong passwords, lock end and the number
+    // of lockouts since the last successful login (for the backoff)
+    failedLoginAttempts: {
+      type: Number,
+      default: 0,
+      select: false,
+    },
+    lockUntil: {
+      type: Date,
+      select: false,
+    },
+    lockoutCount: {
+      type: Number,
+      default: 0,
+      select: false,
+    },
+    // Emailed unlock link (only the SHA-256 hash of the token is stored)
+    unlockToken: {
+      type: String,
+      select: false,
+    },
+    unlockTokenExpires: {
+      type: Date,
+      select: false,
+    },
+    // Password reset (only the SHA-256 hash of the token is stored)
+    passwordResetToken: {
+      type: String,
+      select: false,
+    },
+    passwordResetExpires: {
+      type: Date,
+      select: false,
     },
   },
   { timestamps: true }
@@ -134,15 +295,20 @@ userSchema.pre("save", async function (next) {
   next();
 });
 
+// Check whether the user's role grants a permission
+userSchema.methods.hasPermission = function (permission) {
+  return roleHasPermission(this.role, permission);
+};
+
 // Compare password method
 userSchema.methods.comparePassword = async function (candidatePassword) {
   return await bcrypt.compare(candidatePassword, this.password);
 };
 
-// generate JWT access token
-userSchema.methods.generateAccessToken = function () {
+// generate JWT access token (sessionId identifies the device session)
+userSchema.methods.generateAccessToken = function (sessionId) {
   return jwt.sign(
-    { id: this._id, email: this.email, role: this.role },
+    { id: this._id, email: this.email, role: this.role, sid: sessionId },
     process.env.ACCESS_TOKEN_SECRET,
     {
       expiresIn: process.env.ACCESS_TOKEN_EXPIRY,
@@ -150,10 +316,16 @@ userSchema.methods.generateAccessToken = function () {
   );
 };
 
-// generate JWT refresh token
-userSchema.methods.generateRefreshToken = function () {
+// generate JWT refresh token for a session (jti makes every token unique)
+userSchema.methods.generateRefreshToken = function (sessionId) {
   return jwt.sign(
-    { id: this._id, email: this.email, role: this.role },
+    {
+      id: this._id,
+      email: this.email,
+      role: this.role,
+      sid: sessionId,
+      jti: crypto.randomUUID(),
+    },
     process.env.REFRESH_TOKEN_SECRET,
     {
       expiresIn: process.env.REFRESH_TOKEN_EXPIRY,
@@ -161,13 +333,256 @@ userSchema.methods.generateRefreshToken = function () {
   );
 };
 
+// Get the default saved address (falls back to the first one)
+userSchema.methods.getDefaultAddress = function () {
+  return (
+    this.addresses.find((address) => address.isDefault) || this.addresses[0]
+  );
+};
+
+// Make the given saved address the only default one
+userSchema.methods.setDefaultAddress = function (addressId) {
+  this.addresses.forEach((address) => {
+    address.isDefault = address._id.equals(addressId);
+  });
+};
+
+// Hash a one-time token (reset/verification) before storing or looking it up
+userSchema.statics.hashToken = function (token) {
+  return crypto.createHash("sha256").update(token).digest("hex");
+};
+
+// Key for 2FA challenge tokens, derived so they never pass as access tokens
+const getTwoFactorChallengeSecret = () =>
+  crypto
+    .createHmac("sha256", process.env.ACCESS_TOKEN_SECRET)
+    .update("2fa-challenge")
+    .digest("hex");
+
+// Normalise a recovery code before hashing ("ABCD-1234" -> "abcd1234")
+const normalizeRecoveryCode = (code) =>
+  String(code || "")
+    .replace(/[\s-]/g, "")
+    .toLowerCase();
+
+// Check whether the user's role must use two-factor authentication
+userSchema.methods.isTwoFactorRequired = function () {
+  return twoFactorConfig.requiredRoles.includes(this.role);
+};
+
+// generate a short-lived token proving the password step of a 2FA login
+userSchema.methods.generateTwoFactorChallenge = function () {
+  return jwt.sign(
+    { id: this._id, purpose: "2fa-challenge" },
+    getTwoFactorChallengeSecret(),
+    { expiresIn: twoFactorConfig.challengeExpiry }
+  );
+};
+
+// Verify a 2FA challenge token and return its payload (throws if invalid)
+userSchema.statics.verifyTwoFactorChallenge = function (token) {
+  const decoded = jwt.verify(token, getTwoFactorChallengeSecret());
+  if (decoded.purpose !== "2fa-challenge") {
+    throw new jwt.JsonWebTokenError("Invalid challenge token");
+  }
+  return decoded;
+};
+
+// Replace the recovery codes (returns the raw codes to show once)
+userSchema.methods.generateRecoveryCodes = function () {
+  const codes = Array.from(
+    { length: twoFactorConfig.recoveryCodeCount },
+    () => {
+      const raw = crypto.randomBytes(5).toString("hex");
+      return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+    }
+  );
+
+  this.twoFactorRecoveryCodes = codes.map((code) =>
+    this.constructor.hashToken(normalizeRecoveryCode(code))
+  );
+  return codes;
+};
+
+// Accept a TOTP code for the enabled secret (needs +twoFactorSecret)
+// Each time step can only be used once, even by parallel requests
+userSchema.methods.consumeTwoFactorCode = async function (code) {
+  if (!this.twoFactorSecret) return false;
+
+  const step = verifyCode(this.twoFactorSecret, code, twoFactorConfig.window);
+  if (step === null) return false;
+
+  const result = await this.constructor.updateOne(
+    {
+      _id: this._id,
+      $or: [
+        { twoFactorLastUsedStep: null },
+        { twoFactorLastUsedStep: { $lt: step } },
+      ],
+    },
+    { $set: { twoFactorLastUsedStep: step } }
+  );
+  return result.modifiedCount === 1;
+};
+
+// Use up a recovery code; returns false if it is unknown or already used
+userSchema.methods.consumeRecoveryCode = async function (code) {
+  const hash = this.constructor.hashToken(normalizeRecoveryCode(code));
+
+  const result = await this.constructor.updateOne(
+    { _id: this._id, twoFactorRecoveryCodes: hash },
+    { $pull: { twoFactorRecoveryCodes: hash } }
+  );
+  return result.modifiedCount === 1;
+};
+
+// Anonymize a deleted account. The document is kept (with a random
+// password) so orders and reviews still resolve, now showing "Deleted user".
+userSchema.methods.anonymize = async function () {
+  const unusablePassword = await bcrypt.hash(
+    crypto.randomBytes(32).toString("hex"),
+    10
+  );
+
+  return this.constructor.updateOne(
+    { _id: this._id },
+    {
+      $set: {
+        name: "Deleted user",
+        email: `deleted-${this._id}@deleted.stallionwear.com`,
+        password: unusablePassword,
+        role: "user",
+        status: "deleted",
+        deletedAt: new Date(),
+        address: "",
+        phone: "",
+        addresses: [],
+        cart: [],
+        wishlist: [],
+        appliedCoupon: null,
+        profilePicturePublicId: "",
+        isEmailVerified: false,
+        twoFactorEnabled: false,
+        twoFactorRecoveryCodes: [],
+      },
+      $unset: {
+        profilePicture: 1,
+        twoFactorSecret: 1,
+        twoFactorPendingSecret: 1,
+        twoFactorLastUsedStep: 1,
+        emailVerificationToken: 1,
+        emailVerificationExpires: 1,
+        passwordResetToken: 1,
+        passwordResetExpires: 1,
+        unlockToken: 1,
+        unlockTokenExpires: 1,
+        lockUntil: 1,
+        suspendedAt: 1,
+        suspensionReason: 1,
+      },
+    }
+  );
+};
+
+// Check whether the account is currently locked (needs +lockUntil)
+userSchema.methods.isLocked = function () {
+  return Boolean(this.lockUntil && this.lockUntil > Date.now());
+};
+
+// Record a failed login and lock the account once the limit is reached
+// Returns { lockUntil, lockMinutes, unlockToken } when this failure locked
+// the account, otherwise null. Uses atomic updates so parallel guesses are
+// all counted and only one of them locks the account.
+userSchema.methods.registerFailedLogin = async function () {
+  const User = this.constructor;
+
+  const counted = await User.findOneAndUpdate(
+    { _id: this._id },
+    { $inc: { failedLoginAttempts: 1 } },
+    { new: true, projection: "failedLoginAttempts lockoutCount" }
+  );
+
+  if (
+    !counted ||
+    counted.failedLoginAttempts < lockoutConfig.maxFailedAttempts
+  ) {
+    return null;
+  }
+
+  // Exponential backoff on repeated lockouts
+  const lockMinutes = Math.min(
+    lockoutConfig.baseLockMinutes * 2 ** counted.lockoutCount,
+    lockoutConfig.maxLockMinutes
+  );
+  const lockUntil = new Date(Date.now() + lockMinutes * 60000);
+  const unlockToken = crypto.randomBytes(32).toString("hex");
+
+  const locked = await User.findOneAndUpdate(
+    {
+      _id: this._id,
+      failedLoginAttempts: { $gte: lockoutConfig.maxFailedAttempts },
+      $or: [{ lockUntil: null }, { lockUntil: { $lte: new Date() } }],
+    },
+    {
+      $set: {
+        failedLoginAttempts: 0,
+        lockUntil,
+        unlockToken: User.hashToken(unlockToken),
+        unlockTokenExpires: lockUntil,
+      },
+      $inc: { lockoutCount: 1 },
+    }
+  );
+
+  return locked ? { lockUntil, lockMinutes, unlockToken } : null;
+};
+
+// Clear the failed login counters and any lock (after a successful login,
+// an unlock link or a password reset)
+userSchema.methods.clearLoginFailures = function () {
+  return this.constructor.updateOne(
+    { _id: this._id },
+    {
+      $set: { failedLoginAttempts: 0, lockoutCount: 0 },
+      $unset: { lockUntil: 1, unlockToken: 1, unlockTokenExpires: 1 },
+    }
+  );
+};
+
+// generate a single-use password reset token (returns the raw token)
+userSchema.methods.createPasswordResetToken = function () {
+  const token = crypto.randomBytes(32).toString("hex");
+  const expiresInMinutes =
+    Number(process.env.PASSWORD_RESET_TOKEN_EXPIRY_MINUTES) || 30;
+
+  this.passwordResetToken = this.constructor.hashToken(token);
+  this.passwordResetExpires = new Date(Date.now() + expiresInMinutes * 60000);
+
+  return token;
+};
+
+// generate a single-use email verification token (returns the raw token)
+userSchema.methods.createEmailVerificationToken = function () {
+  const token = crypto.randomBytes(32).toString("hex");
+  const expiresInHours =
+    Number(process.env.EMAIL_VERIFICATION_TOKEN_EXPIRY_HOURS) || 24;
+
+  this.emailVerificationToken = this.constructor.hashToken(token);
+  this.emailVerificationExpires = new Date(
+    Date.now() + expiresInHours * 3600000
+  );
+
+  return token;
+};
+
 // Cart utility methods
 userSchema.methods.addToCart = function (
   productId,
   size,
   color,
   price,
-  quantity = 1
+  quantity = 1,
+  sku = ""
 ) {
   const cartItemIndex = this.cart.findIndex(
     (item) =>
@@ -180,12 +595,14 @@ userSchema.methods.addToCart = function (
     // Update existing item
     this.cart[cartItemIndex].quantity += quantity;
     this.cart[cartItemIndex].priceAtTime = price; // Update price
+    this.cart[cartItemIndex].sku = sku;
   } else {
     // Add new item
     this.cart.push({
       product: productId,
       size,
       color,
+      sku,
       quantity,
       priceAtTime: price,
     });
@@ -217,7 +634,13 @@ userSchema.methods.getCartTotal = function () {
 };
 
 // Wishlist utility methods
-userSchema.methods.addToWishlist = function (productId, size, color, price) {
+userSchema.methods.addToWishlist = function (
+  productId,
+  size,
+  color,
+  price,
+  sku = ""
+) {
   const idx = this.wishlist.findIndex(
     (item) =>
       item.product.toString() === productId.toString() &&
@@ -228,12 +651,14 @@ userSchema.methods.addToWishlist = function (productId, size, color, price) {
   if (idx > -1) {
     // Update price snapshot & timestamp
     this.wishlist[idx].priceAtTime = price;
+    this.wishlist[idx].sku = sku;
     this.wishlist[idx].addedAt = Date.now();
   } else {
     this.wishlist.push({
       product: productId,
       size,
       color,
+      sku,
       priceAtTime: price,
     });
   }
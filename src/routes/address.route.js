@@ -0,0 +1,46 @@
+import express from "express";
+import {
+  getAddresses,
+  addAddress,
+  updateAddress,
+  setDefaultAddress,
+  deleteAddress,
+} from "../controllers/address.controller.js";
+import {
+  validateAddress,
+  validateAddressUpdate,
+} from "../middlewares/validation.middleware.js";
+import authMiddleware from "../middlewares/auth.middleware.js";
+
+// Mounted under /api/user/me/addresses
+const addressRouter = express.Router();
+
+// Apply authentication middleware to all routes
+addressRouter.use(authMiddleware);
+
+// @desc Get the saved addresses of the logged in user
+// @route GET /api/user/me/addresses
+// @access Private
+addressRouter.get("/", getAddresses);
+
+// @desc Save a new address
+// @route POST /api/user/me/addresses
+// @access Private
+addressRouter.post("/", validateAddress, addAddress);
+
+// @desc Update a saved address
+// @route PATCH /api/user/me/addresses/:addressId
+// @access Private
+addressRouter.patch("/:addressId", validateAddressUpdate, updateAddress);
+
+// @desc Make a saved address the default one
+// @route PATCH /api/user/me/addresses/:addressId/default
+// @access Private
+addressRouter.patch("/:addressId/default", setDefaultAddress);
+
+// @desc Delete a saved address
+// @route DELETE /api/user/me/addresses/:addressId
+// @access Private
+addressRouter.delete("/:addressId", deleteAddress);
+
+export default addressRouter;
@@ -6,6 +6,9 @@ import {
   getCartDetails,
   decrementCartItem,
   incrementCartItem,
+  applyCoupon,
+  removeCoupon,
+  getShippingOptions,
 } from "../controllers/cart.controller.js";
 import authMiddleware from "../middlewares/auth.middleware.js";
 
@@ -14,7 +17,7 @@ const cartRouter = express.Router();
 // All routes require authentication
 cartRouter.use(authMiddleware);
 
-// @desc Get cart details
+// @desc Get cart details (with estimated tax for ?country=&city=)
 // @route GET /api/cart
 // @access Private
 cartRouter.get("/", getCartDetails);
@@ -44,4 +47,19 @@ cartRouter.patch("/decrement", decrementCartItem);
 // @access Private
 cartRouter.patch("/increment", incrementCartItem);
 
+// @desc Apply a coupon code to the cart
+// @route POST /api/cart/apply-coupon
+// @access Private
+cartRouter.post("/apply-coupon", applyCoupon);
+
+// @desc Remove the applied coupon from the cart
+// @route DELETE /api/cart/coupon
+// @access Private
+cartRouter.delete("/coupon", removeCoupon);
+
+// @desc Quote shipping options for the cart
+// @route GET /api/cart/shipping-options?country=&city=
+// @access Private
+cartRouter.get("/shipping-options", getShippingOptions);
+
 export default cartRouter;
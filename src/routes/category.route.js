@@ -0,0 +1,75 @@
+import express from "express";
+import {
+  getCategoryTree,
+  getAllCategories,
+  getCategoryBySlug,
+  createCategory,
+  updateCategory,
+  deleteCategory,
+} from "../controllers/category.controller.js";
+import authMiddleware, {
+  requirePermission,
+} from "../middlewares/auth.middleware.js";
+import { uploadCategoryImage } from "../middlewares/multer.middleware.js";
+import {
+  validateCategory,
+  validateCategoryUpdate,
+} from "../middlewares/validation.middleware.js";
+
+const categoryRouter = express.Router();
+
+// @desc Get the tree of active categories
+// @route GET /api/category/tree
+// @access Public
+categoryRouter.get("/tree", getCategoryTree);
+
+// @desc Get all categories as a tree, including inactive ones
+// @route GET /api/category
+// @access Admin
+categoryRouter.get(
+  "/",
+  authMiddleware,
+  requirePermission("categories:manage"),
+  getAllCategories
+);
+
+// @desc Get a category by slug with its breadcrumb and subcategories
+// @route GET /api/category/:slug
+// @access Public
+categoryRouter.get("/:slug", getCategoryBySlug);
+
+// @desc Create a category (multipart, optional "image" file)
+// @route POST /api/category
+// @access Admin
+categoryRouter.post(
+  "/",
+  authMiddleware,
+  requirePermission("categories:manage"),
+  uploadCategoryImage,
+  validateCategory,
+  createCategory
+);
+
+// @desc Update or move a category (multipart, optional "image" file)
+// @route PATCH /api/category/:categoryId
+// @access Admin
+categoryRouter.patch(
+  "/:categoryId",
+  authMiddleware,
+  requirePermission("categories:manage"),
+  uploadCategoryImage,
+  validateCategoryUpdate,
+  updateCategory
+);
+
+// @desc Delete an empty category
+// @route DELETE /api/category/:categoryId
+// @access Admin
+categoryRouter.delete(
+  "/:categoryId",
+  authMiddleware,
+  requirePermission("categories:manage"),
+  deleteCategory
+);
+
+export default categoryRouter;
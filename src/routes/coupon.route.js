@@ -0,0 +1,47 @@
+import express from "express";
+import {
+  createCoupon,
+  getAllCoupons,
+  getCouponById,
+  updateCoupon,
+  deleteCoupon,
+} from "../controllers/coupon.controller.js";
+import authMiddleware, {
+  requirePermission,
+} from "../middlewares/auth.middleware.js";
+import {
+  validateCouponCreation,
+  validateCouponUpdate,
+} from "../middlewares/validation.middleware.js";
+
+const couponRouter = express.Router();
+
+// All routes require authentication and coupons:manage
+couponRouter.use(authMiddleware, requirePermission("coupons:manage"));
+
+// @desc Create a coupon (Admin only)
+// @route POST /api/coupon
+// @access Admin
+couponRouter.post("/", validateCouponCreation, createCoupon);
+
+// @desc Get all coupons (Admin only)
+// @route GET /api/coupon
+// @access Admin
+couponRouter.get("/", getAllCoupons);
+
+// @desc Get a coupon by ID (Admin only)
+// @route GET /api/coupon/:couponId
+// @access Admin
+couponRouter.get("/:couponId", getCouponById);
+
+// @desc Update a coupon (Admin only)
+// @route PUT /api/coupon/:couponId
+// @access Admin
+couponRouter.put("/:couponId", validateCouponUpdate, updateCoupon);
+
+// @desc Delete a coupon (Admin only)
+// @route DELETE /api/coupon/:couponId
+// @access Admin
+couponRouter.delete("/:couponId", deleteCoupon);
+
+export default couponRouter;
@@ -3,12 +3,19 @@ import {
   createOrder,
   getUserOrders,
   getOrderById,
+  getOrderByNumber,
+  getOrderInvoice,
   cancelOrder,
   updateOrderStatus,
   getAllOrders,
   getOrderAnalytics,
+  refundOrder,
 } from "../controllers/order.controller.js";
-import authMiddleware from "../middlewares/auth.middleware.js";
+import authMiddleware, {
+  requirePermission,
+  requireVerifiedEmail,
+} from "../middlewares/auth.middleware.js";
+import returnRouter from "./return.route.js";
 import { validateOrderCreation } from "../middlewares/validation.middleware.js";
 
 const orderRouter = express.Router();
@@ -19,36 +26,68 @@ orderRouter.use(authMiddleware);
 // @desc Create a new order
 // @route POST /api/order
 // @access Private
-orderRouter.post("/", validateOrderCreation, createOrder);
+orderRouter.post("/", requireVerifiedEmail, validateOrderCreation, createOrder);
 
 // @desc Get current user's orders
 // @route GET /api/order/my-orders
 // @access Private
 orderRouter.get("/my-orders", getUserOrders);
 
+// @desc Get specific order by order number (e.g. SW-2026-000123)
+// @route GET /api/order/number/:orderNumber
+// @access Private (own orders) / orders:read (all orders)
+orderRouter.get("/number/:orderNumber", getOrderByNumber);
+
 // @desc Get specific order by ID
 // @route GET /api/order/:orderId
-// @access Private (own orders) / Admin (all orders)
+// @access Private (own orders) / orders:read (all orders)
 orderRouter.get("/:orderId", getOrderById);
 
+// @desc Download the PDF invoice of an order
+// @route GET /api/order/:orderId/invoice
+// @access Private (own orders) / orders:read (all orders)
+orderRouter.get("/:orderId/invoice", getOrderInvoice);
+
 // @desc Cancel an order
 // @route PATCH /api/order/:orderId/cancel
-// @access Private (own orders) / Admin (all orders)
+// @access Private (own orders) / orders:manage (all orders)
 orderRouter.patch("/:orderId/cancel", cancelOrder);
 
-// @desc Update order status (Admin only)
+// @desc Update order status
 // @route PATCH /api/order/:orderId/status
-// @access Admin
-orderRouter.patch("/:orderId/status", updateOrderStatus);
+// @access orders:manage
+orderRouter.patch(
+  "/:orderId/status",
+  requirePermission("orders:manage"),
+  updateOrderStatus
+);
+
+// @desc Issue a full or partial refund
+// @route POST /api/order/:orderId/refunds
+// @access orders:refund
+orderRouter.post(
+  "/:orderId/refunds",
+  requirePermission("orders:refund"),
+  refundOrder
+);
+
+// @desc Return requests for an order
+// @route /api/order/:orderId/returns
+// @access Private (own orders) / Staff
+orderRouter.use("/:orderId/returns", returnRouter);
 
-// @desc Get all orders with filtering (Admin only)
+// @desc Get all orders with filtering
 // @route GET /api/order/admin/all
-// @access Admin
-orderRouter.get("/admin/all", getAllOrders);
+// @access orders:read
+orderRouter.get("/admin/all", requirePermission("orders:read"), getAllOrders);
 
-// @desc Get order analytics (Admin only)
+// @desc Get order analytics
 // @route GET /api/order/admin/analytics
-// @access Admin
-orderRouter.get("/admin/analytics", getOrderAnalytics);
+// @access analytics:read
+orderRouter.get(
+  "/admin/analytics",
+  requirePermission("analytics:read"),
+  getOrderAnalytics
+);
 
 export default orderRouter;
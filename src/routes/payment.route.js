@@ -0,0 +1,21 @@
+import express from "express";
+import {
+  createPaymentIntent,
+  handlePaymentWebhook,
+} from "../controllers/payment.controller.js";
+import authMiddleware from "../middlewares/auth.middleware.js";
+
+const paymentRouter = express.Router();
+
+// @desc Receive signed payment events from a payment gateway (the configured
+// gateway when no provider is given)
+// @route POST /api/payment/webhook/:provider?
+// @access Public (verified by signature against the raw body, see app.js)
+paymentRouter.post("/webhook{/:provider}", handlePaymentWebhook);
+
+// @desc Create a payment intent for an order
+// @route POST /api/payment/:orderId/intent
+// @access Private (own orders)
+paymentRouter.post("/:orderId/intent", authMiddleware, createPaymentIntent);
+
+export default paymentRouter;
@@ -7,9 +7,19 @@ import {
   deleteProduct,
   getNewArrivals,
   getTopSellingProducts,
+  getProductBySku,
 } from "../controllers/product.controller.js";
+import {
+  adjustVariantStock,
+  getVariantStockHistory,
+  getStockReconciliation,
+  getLowStockVariants,
+} from "../controllers/inventory.controller.js";
 import { uploadMultiple } from "../middlewares/multer.middleware.js";
-import authMiddleware from "../middlewares/auth.middleware.js";
+import authMiddleware, {
+  requirePermission,
+} from "../middlewares/auth.middleware.js";
+import { validateStockAdjustment } from "../middlewares/validation.middleware.js";
 
 const productRouter = express.Router();
 
@@ -23,15 +33,35 @@ productRouter.get("/newArrivals", getNewArrivals);
 // get top selling products
 productRouter.get("/topSelling", getTopSellingProducts);
 
+// Compare variant stock against the stock ledger
+productRouter.get(
+  "/admin/stock-reconciliation",
+  authMiddleware,
+  requirePermission("products:write"),
+  getStockReconciliation
+);
+
+// List variants at or below their low-stock threshold
+productRouter.get(
+  "/admin/low-stock",
+  authMiddleware,
+  requirePermission("products:write"),
+  getLowStockVariants
+);
+
+// Get product and variant by SKU
+productRouter.get("/sku/:sku", getProductBySku);
+
 // Get product by ID
 productRouter.get("/:id", getProductById);
 
-// Protected routes (require authentication)
+// Protected routes (require authentication and products:write)
 
 // Create product
 productRouter.post(
   "/create",
   authMiddleware,
+  requirePermission("products:write"),
   uploadMultiple, // This handles req.files (array of files)
   createProduct
 );
@@ -40,11 +70,34 @@ productRouter.post(
 productRouter.put(
   "/update/:id",
   authMiddleware,
+  requirePermission("products:write"),
   uploadMultiple, // This handles req.files (array of files)
   updateProduct
 );
 
 // Delete product
-productRouter.delete("/:id", authMiddleware, deleteProduct);
+productRouter.delete(
+  "/:id",
+  authMiddleware,
+  requirePermission("products:write"),
+  deleteProduct
+);
+
+// Adjust the stock of a variant
+productRouter.post(
+  "/:id/variants/:variantId/stock-adjustments",
+  authMiddleware,
+  requirePermission("products:write"),
+  validateStockAdjustment,
+  adjustVariantStock
+);
+
+// Get the stock movement history of a variant
+productRouter.get(
+  "/:id/variants/:variantId/stock-movements",
+  authMiddleware,
+  requirePermission("products:write"),
+  getVariantStockHistory
+);
 
 export default productRouter;
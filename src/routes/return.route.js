@@ -0,0 +1,68 @@
+import express from "express";
+import {
+  createReturnRequest,
+  getOrderReturns,
+  getReturnById,
+  approveReturn,
+  rejectReturn,
+  receiveReturn,
+  refundReturnRequest,
+} from "../controllers/return.controller.js";
+import { requirePermission } from "../middlewares/auth.middleware.js";
+
+// Mounted under /api/order/:orderId/returns (authentication is applied by
+// the order router)
+const returnRouter = express.Router({ mergeParams: true });
+
+// @desc Request a return or exchange for a delivered order
+// @route POST /api/order/:orderId/returns
+// @access Private (own orders)
+returnRouter.post("/", createReturnRequest);
+
+// @desc Get the return requests of an order
+// @route GET /api/order/:orderId/returns
+// @access Private (own orders) / orders:read (all orders)
+returnRouter.get("/", getOrderReturns);
+
+// @desc Get a return request
+// @route GET /api/order/:orderId/returns/:returnId
+// @access Private (own orders) / orders:read (all orders)
+returnRouter.get("/:returnId", getReturnById);
+
+// @desc Approve a return request
+// @route PATCH /api/order/:orderId/returns/:returnId/approve
+// @access returns:manage
+returnRouter.patch(
+  "/:returnId/approve",
+  requirePermission("returns:manage"),
+  approveReturn
+);
+
+// @desc Reject a return request
+// @route PATCH /api/order/:orderId/returns/:returnId/reject
+// @access returns:manage
+returnRouter.patch(
+  "/:returnId/reject",
+  requirePermission("returns:manage"),
+  rejectReturn
+);
+
+// @desc Mark returned items as received, restock and refund if permitted
+// @route PATCH /api/order/:orderId/returns/:returnId/receive
+// @access returns:manage
+returnRouter.patch(
+  "/:returnId/receive",
+  requirePermission("returns:manage"),
+  receiveReturn
+);
+
+// @desc Refund a received return
+// @route PATCH /api/order/:orderId/returns/:returnId/refund
+// @access orders:refund
+returnRouter.patch(
+  "/:returnId/refund",
+  requirePermission("orders:refund"),
+  refundReturnRequest
+);
+
+export default returnRouter;
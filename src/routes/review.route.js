@@ -18,7 +18,7 @@ reviewRouter.get("/orders", authMiddleware, getOrdersToReview);
 // Add a review
 reviewRouter.post("/add", authMiddleware, addReview);
 
-// Delete a review
+// Delete a review (own reviews, or any review with reviews:moderate)
 reviewRouter.delete(
   "/:productId/reviews/:reviewId",
   authMiddleware,
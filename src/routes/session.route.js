@@ -0,0 +1,30 @@
+import express from "express";
+import {
+  getSessions,
+  revokeSession,
+  revokeOtherSessions,
+} from "../controllers/session.controller.js";
+import authMiddleware from "../middlewares/auth.middleware.js";
+
+// Mounted under /api/user/me/sessions
+const sessionRouter = express.Router();
+
+// Apply authentication middleware to all routes
+sessionRouter.use(authMiddleware);
+
+// @desc Get the active sessions (devices) of the logged in user
+// @route GET /api/user/me/sessions
+// @access Private
+sessionRouter.get("/", getSessions);
+
+// @desc Revoke every session except the current one
+// @route DELETE /api/user/me/sessions
+// @access Private
+sessionRouter.delete("/", revokeOtherSessions);
+
+// @desc Revoke a session
+// @route DELETE /api/user/me/sessions/:sessionId
+// @access Private
+sessionRouter.delete("/:sessionId", revokeSession);
+
+export default sessionRouter;
@@ -0,0 +1,62 @@
+import express from "express";
+import {
+  getTwoFactorStatus,
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes,
+} from "../controllers/twoFactor.controller.js";
+import authMiddleware from "../middlewares/auth.middleware.js";
+import { authLimiter } from "../middlewares/rateLimiter.middleware.js";
+import {
+  validateTwoFactorCode,
+  validateTwoFactorDisable,
+} from "../middlewares/validation.middleware.js";
+
+// Mounted under /api/user/me/2fa
+const twoFactorRouter = express.Router();
+
+// Apply authentication middleware to all routes
+twoFactorRouter.use(authMiddleware);
+
+// @desc Get the 2FA status of the logged in user
+// @route GET /api/user/me/2fa
+// @access Private
+twoFactorRouter.get("/", getTwoFactorStatus);
+
+// @desc Start 2FA enrollment (returns the otpauth URI)
+// @route POST /api/user/me/2fa/setup
+// @access Private
+twoFactorRouter.post("/setup", setupTwoFactor);
+
+// @desc Verify the first code and enable 2FA (returns recovery codes)
+// @route POST /api/user/me/2fa/enable
+// @access Private
+twoFactorRouter.post(
+  "/enable",
+  authLimiter,
+  validateTwoFactorCode,
+  enableTwoFactor
+);
+
+// @desc Disable 2FA
+// @route POST /api/user/me/2fa/disable
+// @access Private
+twoFactorRouter.post(
+  "/disable",
+  authLimiter,
+  validateTwoFactorDisable,
+  disableTwoFactor
+);
+
+// @desc Replace the recovery codes
+// @route POST /api/user/me/2fa/recovery-codes
+// @access Private
+twoFactorRouter.post(
+  "/recovery-codes",
+  authLimiter,
+  validateTwoFactorCode,
+  regenerateRecoveryCodes
+);
+
+export default twoFactorRouter;
@@ -4,14 +4,38 @@ import {
   loginUser,
   logoutUser,
   refreshAccessToken,
+  forgotPassword,
+  resetPassword,
+  verifyEmail,
+  resendVerificationEmail,
+  getCurrentUser,
+  updateCurrentUser,
+  changePassword,
+  updateProfilePicture,
+  unlockAccount,
+  verifyTwoFactorLogin,
+  exportUserData,
+  deleteAccount,
 } from "../controllers/user.controller.js";
 import { uploadSingle } from "../middlewares/multer.middleware.js";
 import { authLimiter } from "../middlewares/rateLimiter.middleware.js";
 import {
   validateUserRegistration,
   validateUserLogin,
+  validateForgotPassword,
+  validatePasswordReset,
+  validateEmailVerification,
+  validateProfileUpdate,
+  validatePasswordChange,
+  validateAccountUnlock,
+  validateTwoFactorLogin,
+  validateAccountDeletion,
 } from "../middlewares/validation.middleware.js";
 import authMiddleware from "../middlewares/auth.middleware.js";
+import addressRouter from "./address.route.js";
+import sessionRouter from "./session.route.js";
+import twoFactorRouter from "./twoFactor.route.js";
+import userAdminRouter from "./userAdmin.route.js";
 
 const userRouter = express.Router();
 
@@ -35,6 +59,14 @@ userRouter.post(
   loginUser
 );
 
+// @desc Route to complete a login with a two-factor code
+userRouter.post(
+  "/login/2fa",
+  authLimiter, // Apply rate limiting
+  validateTwoFactorLogin, // Apply validation
+  verifyTwoFactorLogin
+);
+
 // @desc Route to logout a user
 userRouter.post(
   "/logout",
@@ -42,5 +74,108 @@ userRouter.post(
   logoutUser
 );
 
+// @desc Route to request a password reset email
+userRouter.post(
+  "/forgot-password",
+  authLimiter, // Apply rate limiting
+  validateForgotPassword, // Apply validation
+  forgotPassword
+);
+
+// @desc Route to reset the password with a reset token
+userRouter.post(
+  "/reset-password",
+  authLimiter, // Apply rate limiting
+  validatePasswordReset, // Apply validation
+  resetPassword
+);
+
+// @desc Route to unlock a locked account with the emailed unlock token
+userRouter.post(
+  "/unlock-account",
+  authLimiter, // Apply rate limiting
+  validateAccountUnlock, // Apply validation
+  unlockAccount
+);
+
+// @desc Route to verify an email address with a verification token
+userRouter.post(
+  "/verify-email",
+  authLimiter, // Apply rate limiting
+  validateEmailVerification, // Apply validation
+  verifyEmail
+);
+
+// @desc Route to resend the verification email
+userRouter.post(
+  "/resend-verification",
+  authLimiter, // Apply rate limiting
+  authMiddleware, // Require authentication
+  resendVerificationEmail
+);
+
+// @desc Route to get the logged in user's profile
+userRouter.get(
+  "/me",
+  authMiddleware, // Require authentication
+  getCurrentUser
+);
+
+// @desc Route to update the logged in user's profile
+userRouter.patch(
+  "/me",
+  authMiddleware, // Require authentication
+  validateProfileUpdate, // Apply validation
+  updateCurrentUser
+);
+
+// @desc Route to delete (anonymize) the logged in user's account
+userRouter.delete(
+  "/me",
+  authLimiter, // Apply rate limiting
+  authMiddleware, // Require authentication
+  validateAccountDeletion, // Apply validation
+  deleteAccount
+);
+
+// @desc Route to export the logged in user's personal data
+userRouter.get(
+  "/me/export",
+  authMiddleware, // Require authentication
+  exportUserData
+);
+
+// @desc Route to change the logged in user's password
+userRouter.patch(
+  "/me/password",
+  authLimiter, // Apply rate limiting
+  authMiddleware, // Require authentication
+  validatePasswordChange, // Apply validation
+  changePassword
+);
+
+// @desc Route to replace the logged in user's profile picture
+userRouter.patch(
+  "/me/profile-picture",
+  authMiddleware, // Require authentication
+  uploadSingle, // Handle single profile picture upload
+  updateProfilePicture
+);
+
+// @desc Saved address book of the logged in user
+// @route /api/user/me/addresses
+userRouter.use("/me/addresses", addressRouter);
+
+// @desc Active sessions (devices) of the logged in user
+// @route /api/user/me/sessions
+userRouter.use("/me/sessions", sessionRouter);
+
+// @desc Two-factor authentication settings of the logged in user
+// @route /api/user/me/2fa
+userRouter.use("/me/2fa", twoFactorRouter);
+
+// @desc User management for staff
+// @route /api/user/admin
+userRouter.use("/admin", userAdminRouter);
 
 export default userRouter;
@@ -0,0 +1,67 @@
+import express from "express";
+import {
+  getAllUsers,
+  getUserById,
+  getUserOrdersForAdmin,
+  updateUserRole,
+  suspendUser,
+  reactivateUser,
+} from "../controllers/userAdmin.controller.js";
+import authMiddleware, {
+  requirePermission,
+} from "../middlewares/auth.middleware.js";
+
+// Mounted under /api/user/admin
+const userAdminRouter = express.Router();
+
+// All routes require authentication
+userAdminRouter.use(authMiddleware);
+
+// @desc List and search users (?search=&role=&status=&page=&limit=)
+// @route GET /api/user/admin
+// @access users:read
+userAdminRouter.get("/", requirePermission("users:read"), getAllUsers);
+
+// @desc Get a user
+// @route GET /api/user/admin/:userId
+// @access users:read
+userAdminRouter.get("/:userId", requirePermission("users:read"), getUserById);
+
+// @desc Get the orders of a user
+// @route GET /api/user/admin/:userId/orders
+// @access users:read and orders:read
+userAdminRouter.get(
+  "/:userId/orders",
+  requirePermission("users:read"),
+  requirePermission("orders:read"),
+  getUserOrdersForAdmin
+);
+
+// @desc Change the role of a user
+// @route PATCH /api/user/admin/:userId/role
+// @access users:manage
+userAdminRouter.patch(
+  "/:userId/role",
+  requirePermission("users:manage"),
+  updateUserRole
+);
+
+// @desc Suspend a user account
+// @route PATCH /api/user/admin/:userId/suspend
+// @access users:manage
+userAdminRouter.patch(
+  "/:userId/suspend",
+  requirePermission("users:manage"),
+  suspendUser
+);
+
+// @desc Reactivate a suspended user account
+// @route PATCH /api/user/admin/:userId/reactivate
+// @access users:manage
+userAdminRouter.patch(
+  "/:userId/reactivate",
+  requirePermission("users:manage"),
+  reactivateUser
+);
+
+export default userAdminRouter;
@@ -0,0 +1,97 @@
+import Product from "../models/product.model.js";
+import ApiError from "../utils/ApiError.js";
+
+// Stock is tracked per variant; Product.stock is the persisted total of the
+// variant quantities. Every stock check in the cart, wishlist and order
+// flows goes through these helpers so they all give the same answer.
+
+// Function to get the quantity left of a product variant (0 if unknown)
+export const getAvailableQuantity = (product, size, color) =>
+  product?.getVariant(size, color)?.quantity ?? 0;
+
+// Function to check if a variant has at least `quantity` units left
+export const isVariantAvailable = (product, size, color, quantity = 1) =>
+  getAvailableQuantity(product, size, color) >= quantity;
+
+// Function to make sure the variant of a line ({ sku, size, color }) exists
+// and has enough stock. Throws a 400 describing what is missing
+const assertLineAvailable = (product, line, quantity = 1) => {
+  const variant = product.getLineVariant(line);
+  const label = `(${line.size}, ${line.color})`;
+
+  if (!variant) {
+    throw new ApiError(400, `Variant ${label} not found for ${product.name}`);
+  }
+
+  if (variant.quantity < quantity) {
+    throw new ApiError(
+      400,
+      variant.quantity > 0
+        ? `Only ${variant.quantity} left in stock for ${product.name} ${label}`
+        : `${product.name} ${label} is out of stock`
+    );
+  }
+
+  return variant;
+};
+
+// Function to make sure a variant exists and has enough stock
+// Throws a 400 describing what is missing
+export const assertVariantAvailable = (product, size, color, quantity = 1) =>
+  assertLineAvailable(product, { size, color }, quantity);
+
+// Function to reserve variant stock for a sale, atomically so concurrent
+// checkouts cannot oversell. The variant is resolved by the line's SKU when
+// it has one, else by size and color. Throws a 400 when there is not enough
+// left. Resolves to the variant with its quantity after the sale.
+export const reserveStock = async (
+  product,
+  { sku, size, color, quantity },
+  { session = null, movement = {} } = {}
+) => {
+  const variant = assertLineAvailable(product, { sku, size, color }, quantity);
+
+  const reservedVariant = await Product.reserveVariantStock(
+    product._id,
+    variant._id,
+    quantity,
+    session,
+    movement
+  );
+
+  if (!reservedVariant) {
+    throw new ApiError(
+      400,
+      `Insufficient stock for ${product.name} (${size}, ${color})`
+    );
+  }
+
+  return reservedVariant;
+};
+
+// Function to put variant stock back (cancellations and returns)
+// movement.reason is required ("cancellation" or "return")
+// Throws a 409 when the variant no longer exists, so the caller does not
+// carry on as if the stock had been restored
+export const releaseStock = async (
+  productId,
+  { sku, size, color, quantity },
+  { session = null, movement = {} } = {}
+) => {
+  const variant = await Product.releaseVariantStock(
+    productId,
+    { sku, size, color },
+    quantity,
+    session,
+    movement
+  );
+
+  if (!variant) {
+    throw new ApiError(
+      409,
+      `Cannot restock (${size}, ${color}): the variant no longer exists`
+    );
+  }
+
+  return variant;
+};
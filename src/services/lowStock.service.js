@@ -0,0 +1,178 @@
+import logNotifier from "./notifications/log.notifier.js";
+import emailNotifier from "./notifications/email.notifier.js";
+import webhookNotifier from "./notifications/webhook.notifier.js";
+import Product from "../models/product.model.js";
+import Order from "../models/order.model.js";
+import inventoryConfig from "../configs/inventory.config.js";
+import ApiError from "../utils/ApiError.js";
+
+// Registered low-stock notifiers. Each notifier implements:
+// - name
+// - send(alerts) -> { id }
+// where alerts are [{ product, productName, variant, sku, size, color,
+// quantity, threshold }]
+const notifiers = {
+  [logNotifier.name]: logNotifier,
+  [emailNotifier.name]: emailNotifier,
+  [webhookNotifier.name]: webhookNotifier,
+};
+
+// Function to register an additional notifier (e.g. a chat integration)
+export const registerLowStockNotifier = (notifier) => {
+  notifiers[notifier.name] = notifier;
+};
+
+// Function to get the notifier selected by LOW_STOCK_NOTIFIER (default: log)
+export const getLowStockNotifier = (name = inventoryConfig.notifier) => {
+  const notifier = notifiers[name];
+  if (!notifier) {
+    throw new ApiError(500, `Unknown low-stock notifier: ${name}`);
+  }
+
+  return notifier;
+};
+
+// Function to check if a sale took a variant across its low-stock threshold
+// `variant` holds the quantity after the sale. Each drop below the threshold
+// only matches the one sale that crossed it, so the alert fires once.
+export const getLowStockCrossing = (product, variant, soldQuantity) => {
+  const threshold = product.getLowStockThreshold(variant);
+  const quantityBefore = variant.quantity + Number(soldQuantity);
+
+  if (quantityBefore <= threshold || variant.quantity > threshold) {
+    return null;
+  }
+
+  return {
+    product: product._id,
+    productName: product.name,
+    variant: variant._id,
+    sku: variant.sku,
+    size: variant.size,
+    color: variant.color,
+    quantity: variant.quantity,
+    threshold,
+  };
+};
+
+// Function to send low-stock alerts. Never throws: a failed notification
+// must not fail the sale that triggered it.
+export const notifyLowStock = async (alerts) => {
+  if (alerts.length === 0) return;
+
+  try {
+    await getLowStockNotifier().send(alerts);
+  } catch (error) {
+    console.error("Failed to send low-stock alert:", error);
+  }
+};
+
+const roundTo = (value, digits) => Number(value.toFixed(digits));
+
+// Function to list variants at or below their low-stock threshold with their
+// sales velocity (units sold per day over the last `days` days)
+export const getLowStockReport = async ({
+  days = inventoryConfig.salesVelocityDays,
+} = {}) => {
+  const lowStockVariants = await Product.aggregate([
+    { $unwind: "$variants" },
+    {
+      $addFields: {
+        threshold: {
+          $ifNull: [
+            "$variants.lowStockThreshold",
+            {
+              $ifNull: [
+                "$lowStockThreshold",
+                inventoryConfig.defaultLowStockThreshold,
+              ],
+            },
+          ],
+        },
+      },
+    },
+    { $match: { $expr: { $lte: ["$variants.quantity", "$threshold"] } } },
+    {
+      $project: {
+        name: 1,
+        brand: 1,
+        category: 1,
+        variant: "$variants",
+        threshold: 1,
+      },
+    },
+  ]);
+
+  if (lowStockVariants.length === 0) return [];
+
+  // Units sold per variant since the start of the window
+  const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+  const productIds = [...new Set(lowStockVariants.map((entry) => entry._id))];
+
+  const sales = await Order.aggregate([
+    {
+      $match: {
+        createdAt: { $gte: since },
+        orderStatus: { $ne: "Cancelled" },
+        "orderItems.product": { $in: productIds },
+      },
+    },
+    { $unwind: "$orderItems" },
+    { $match: { "orderItems.product": { $in: productIds } } },
+    {
+      $group: {
+        _id: {
+          product: "$orderItems.product",
+          sku: "$orderItems.sku",
+          size: "$orderItems.size",
+          color: "$orderItems.color",
+        },
+        unitsSold: { $sum: "$orderItems.quantity" },
+      },
+    },
+  ]);
+
+  // Match sales by SKU, or by size and color for orders placed before SKUs
+  const getUnitsSold = (productId, variant) =>
+    sales
+      .filter(
+        ({ _id: sale }) =>
+          sale.product.equals(productId) &&
+          (sale.sku
+            ? sale.sku === variant.sku
+            : sale.size === variant.size && sale.color === variant.color)
+      )
+      .reduce((total, sale) => total + sale.unitsSold, 0);
+
+  return lowStockVariants
+    .map((entry) => {
+      const unitsSold = getUnitsSold(entry._id, entry.variant);
+      const dailyVelocity = roundTo(unitsSold / days, 2);
+
+      return {
+        product: entry._id,
+        productName: entry.name,
+        brand: entry.brand,
+        category: entry.category,
+        variant: entry.variant._id,
+        sku: entry.variant.sku,
+        size: entry.variant.size,
+        color: entry.variant.color,
+        quantity: entry.variant.quantity,
+        threshold: entry.threshold,
+        unitsSold,
+        dailyVelocity,
+        // Days until the variant sells out at the current pace
+        daysOfStockLeft:
+          unitsSold > 0
+            ? roundTo((entry.variant.quantity * days) / unitsSold, 1)
+            : null,
+      };
+    })
+    .sort(
+      (a, b) =>
+        a.quantity - b.quantity ||
+        (a.daysOfStockLeft ?? Infinity) - (b.daysOfStockLeft ?? Infinity) ||
+        b.dailyVelocity - a.dailyVelocity
+    );
+};
@@ -0,0 +1,55 @@
+import consoleTransport from "./mail/console.transport.js";
+import fileTransport from "./mail/file.transport.js";
+import smtpTransport from "./mail/smtp.transport.js";
+import ApiError from "../utils/ApiError.js";
+
+// Registered mail transports. Each transport implements:
+// - name
+// - send({ from, to, subject, text, html }) -> { id }
+const transports = {
+  [consoleTransport.name]: consoleTransport,
+  [fileTransport.name]: fileTransport,
+  [smtpTransport.name]: smtpTransport,
+};
+
+// Function to register an additional transport (e.g. an email API provider)
+export const registerMailTransport = (transport) => {
+  transports[transport.name] = transport;
+};
+
+// The console transport only logs emails, so production must choose a
+// transport explicitly
+const getDefaultTransportName = () => {
+  if (process.env.NODE_ENV === "production") {
+    throw new ApiError(500, "MAIL_TRANSPORT must be set in production");
+  }
+  return "console";
+};
+
+// Function to get the transport selected by MAIL_TRANSPORT (default: console
+// outside production)
+export const getMailTransport = () => {
+  const name = process.env.MAIL_TRANSPORT || getDefaultTransportName();
+  const transport = transports[name];
+
+  if (!transport) {
+    throw new ApiError(500, `Unknown mail transport: ${name}`);
+  }
+
+  return transport;
+};
+
+// Function to send an email through the configured transport
+const sendMail = async ({ to, subject, text, html }) => {
+  const transport = getMailTransport();
+
+  return transport.send({
+    from: process.env.MAIL_FROM || "StallionWear <no-reply@stallionwear.com>",
+    to,
+    subject,
+    text,
+    html,
+  });
+};
+
+export default sendMail;
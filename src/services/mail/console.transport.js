@@ -0,0 +1,14 @@
+// Console transport: prints emails instead of sending them (local runs)
+const consoleTransport = {
+  name: "console",
+
+  async send(message) {
+    console.log("📧 Email (console transport)");
+    console.log(`To: ${message.to}`);
+    console.log(`Subject: ${message.subject}`);
+    console.log(message.text);
+    return { id: `console-${Date.now()}` };
+  },
+};
+
+export default consoleTransport;
@@ -0,0 +1,28 @@
+import fs from "fs/promises";
+import path from "path";
+
+// Directory the file transport writes emails to
+const getOutputDir = () =>
+  process.env.MAIL_FILE_DIR || "/tmp/stallionwear-mail";
+
+// File transport: writes each email as a JSON file (development and tests)
+const fileTransport = {
+  name: "file",
+
+  async send(message) {
+    const dir = getOutputDir();
+    await fs.mkdir(dir, { recursive: true });
+
+    const id = `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+    const filePath = path.join(dir, `${id}.json`);
+
+    await fs.writeFile(
+      filePath,
+      JSON.stringify({ ...message, sentAt: new Date().toISOString() }, null, 2)
+    );
+
+    return { id, filePath };
+  },
+};
+
+export default fileTransport;
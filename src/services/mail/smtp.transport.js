@@ -0,0 +1,30 @@
+import nodemailer from "nodemailer";
+
+let transporter = null;
+
+// Create the SMTP connection lazily from the environment
+const getTransporter = () => {
+  if (!transporter) {
+    transporter = nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port: Number(process.env.SMTP_PORT) || 587,
+      secure: process.env.SMTP_SECURE === "true",
+      auth: process.env.SMTP_USER
+        ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASSWORD }
+        : undefined,
+    });
+  }
+  return transporter;
+};
+
+// SMTP transport for production email delivery
+const smtpTransport = {
+  name: "smtp",
+
+  async send(message) {
+    const info = await getTransporter().sendMail(message);
+    return { id: info.messageId };
+  },
+};
+
+export default smtpTransport;
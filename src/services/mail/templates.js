@@ -0,0 +1,78 @@
+// Email templates. Each returns { subject, text, html }
+
+export const passwordResetEmail = ({ name, resetUrl, expiresInMinutes }) => ({
+  subject: "Reset your StallionWear password",
+  text: [
+    `Hi ${name},`,
+    "",
+    "We received a request to reset your password. Use the link below to choose a new one:",
+    resetUrl,
+    "",
+    `This link expires in ${expiresInMinutes} minutes and can only be used once.`,
+    "If you did not request a password reset, you can ignore this email.",
+  ].join("\n"),
+  html: `<p>Hi ${name},</p>
+<p>We received a request to reset your password. Use the link below to choose a new one:</p>
+<p><a href="${resetUrl}">Reset your password</a></p>
+<p>This link expires in ${expiresInMinutes} minutes and can only be used once.</p>
+<p>If you did not request a password reset, you can ignore this email.</p>`,
+});
+
+export const accountLockedEmail = ({ name, unlockUrl, lockMinutes }) => ({
+  subject: "Your StallionWear account has been locked",
+  text: [
+    `Hi ${name},`,
+    "",
+    "We locked your account after several failed login attempts.",
+    `It will unlock automatically in ${lockMinutes} minutes. If this was you, you can unlock it now using the link below:`,
+    unlockUrl,
+    "",
+    "If this was not you, we recommend resetting your password.",
+  ].join("\n"),
+  html: `<p>Hi ${name},</p>
+<p>We locked your account after several failed login attempts.</p>
+<p>It will unlock automatically in ${lockMinutes} minutes. If this was you, you can unlock it now using the link below:</p>
+<p><a href="${unlockUrl}">Unlock your account</a></p>
+<p>If this was not you, we recommend resetting your password.</p>`,
+});
+
+export const emailVerificationEmail = ({
+  name,
+  verifyUrl,
+  expiresInHours,
+}) => ({
+  subject: "Verify your StallionWear email address",
+  text: [
+    `Hi ${name},`,
+    "",
+    "Welcome to StallionWear! Please confirm your email address using the link below:",
+    verifyUrl,
+    "",
+    `This link expires in ${expiresInHours} hours.`,
+  ].join("\n"),
+  html: `<p>Hi ${name},</p>
+<p>Welcome to StallionWear! Please confirm your email address using the link below:</p>
+<p><a href="${verifyUrl}">Verify your email</a></p>
+<p>This link expires in ${expiresInHours} hours.</p>`,
+});
+
+export const lowStockEmail = ({ alerts }) => ({
+  subject: `Low stock alert (${alerts.length})`,
+  text: [
+    "These variants dropped to or below their low-stock threshold:",
+    "",
+    ...alerts.map(
+      (alert) =>
+        `- ${alert.productName} (${alert.size}, ${alert.color}) SKU ${alert.sku}: ${alert.quantity} left (threshold ${alert.threshold})`
+    ),
+  ].join("\n"),
+  html: `<p>These variants dropped to or below their low-stock threshold:</p>
+<ul>
+${alerts
+  .map(
+    (alert) =>
+      `<li>${alert.productName} (${alert.size}, ${alert.color}) SKU ${alert.sku}: <strong>${alert.quantity}</strong> left (threshold ${alert.threshold})</li>`
+  )
+  .join("\n")}
+</ul>`,
+});
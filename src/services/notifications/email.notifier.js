@@ -0,0 +1,18 @@
+import sendMail from "../mail.service.js";
+import { lowStockEmail } from "../mail/templates.js";
+
+// Email notifier: sends low-stock alerts to LOW_STOCK_ALERT_EMAIL
+const emailNotifier = {
+  name: "email",
+
+  async send(alerts) {
+    const to = process.env.LOW_STOCK_ALERT_EMAIL;
+    if (!to) {
+      throw new Error("LOW_STOCK_ALERT_EMAIL is not configured");
+    }
+
+    return sendMail({ to, ...lowStockEmail({ alerts }) });
+  },
+};
+
+export default emailNotifier;
@@ -0,0 +1,17 @@
+// Log notifier: prints low-stock alerts instead of sending them anywhere
+// (local stand-in for email and webhook delivery)
+
+const logNotifier = {
+  name: "log",
+
+  async send(alerts) {
+    alerts.forEach((alert) => {
+      console.warn(
+        `📉 Low stock: ${alert.productName} (${alert.size}, ${alert.color}) SKU ${alert.sku} has ${alert.quantity} left (threshold ${alert.threshold})`
+      );
+    });
+    return { id: `log-${Date.now()}` };
+  },
+};
+
+export default logNotifier;
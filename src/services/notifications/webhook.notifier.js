@@ -0,0 +1,42 @@
+import { signPayload } from "../payments/signature.js";
+
+// Webhook notifier: posts low-stock alerts as JSON to LOW_STOCK_WEBHOOK_URL.
+// When LOW_STOCK_WEBHOOK_SECRET is set the body is signed the same way as
+// payment webhooks (X-StallionWear-Signature: t=...,v1=...).
+const webhookNotifier = {
+  name: "webhook",
+
+  async send(alerts) {
+    const url = process.env.LOW_STOCK_WEBHOOK_URL;
+    if (!url) {
+      throw new Error("LOW_STOCK_WEBHOOK_URL is not configured");
+    }
+
+    const payload = JSON.stringify({
+      type: "inventory.low_stock",
+      created: Math.floor(Date.now() / 1000),
+      data: { alerts },
+    });
+    const secret = process.env.LOW_STOCK_WEBHOOK_SECRET;
+
+    const response = await fetch(url, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        ...(secret && {
+          "X-StallionWear-Signature": signPayload(payload, secret),
+        }),
+      },
+      body: payload,
+      signal: AbortSignal.timeout(10000),
+    });
+
+    if (!response.ok) {
+      throw new Error(`Low-stock webhook failed with ${response.status}`);
+    }
+
+    return { id: `webhook-${Date.now()}`, status: response.status };
+  },
+};
+
+export default webhookNotifier;
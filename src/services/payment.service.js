@@ -0,0 +1,53 @@
+import stripeGateway from "./payments/stripe.gateway.js";
+import fakeGateway from "./payments/fake.gateway.js";
+import ApiError from "../utils/ApiError.js";
+
+// Registered payment gateways. Each gateway implements:
+// - name
+// - createPaymentIntent({ amount, currency, metadata, idempotencyKey })
+//   -> { id, clientSecret, status, amount }
+// - retrievePaymentIntent(intentId) -> { id, clientSecret, status, amount }
+// - cancelPaymentIntent({ intentId, idempotencyKey }) -> { id, status, ... }
+// - createRefund({ intentId, amount, reason }) -> { id, status }
+// - constructWebhookEvent(rawBody, signatureHeader) -> verified event object
+const gateways = {
+  [stripeGateway.name]: stripeGateway,
+  [fakeGateway.name]: fakeGateway,
+};
+
+// Order payment methods that are paid online through a gateway
+export const ONLINE_PAYMENT_METHODS = ["Stripe"];
+
+// Pick the gateway when PAYMENT_GATEWAY is not set: Stripe when a secret key
+// is configured, the local fake gateway outside production, none otherwise
+const getDefaultGatewayName = () => {
+  if (process.env.STRIPE_SECRET_KEY) return "stripe";
+
+  if (process.env.NODE_ENV === "production") {
+    throw new ApiError(500, "No payment gateway is configured");
+  }
+  return "fake";
+};
+
+// Function to check whether a payment gateway is registered under a name
+export const isPaymentGateway = (name) =>
+  Object.prototype.hasOwnProperty.call(gateways, name);
+
+// Function to get a payment gateway by name, or the configured one
+// PAYMENT_GATEWAY selects it explicitly (the fake gateway is only used in
+// production when selected this way)
+export const getPaymentGateway = (
+  name = process.env.PAYMENT_GATEWAY || getDefaultGatewayName()
+) => {
+  const gateway = gateways[name];
+  if (!gateway) {
+    throw new ApiError(500, `Unknown payment gateway: ${name}`);
+  }
+
+  return gateway;
+};
+
+// Convert an amount to the smallest currency unit (e.g. cents)
+export const toMinorUnits = (amount) => Math.round(amount * 100);
+
+export default getPaymentGateway;
@@ -0,0 +1,103 @@
+import crypto from "crypto";
+import ApiError from "../../utils/ApiError.js";
+import {
+  parseWebhookPayload,
+  signPayload,
+  verifySignature,
+} from "./signature.js";
+
+// Secret used to sign fake webhook events (there is no built-in default, so
+// nobody can forge events without knowing the configured secret)
+const getWebhookSecret = () => {
+  const secret = process.env.FAKE_PAYMENT_WEBHOOK_SECRET;
+  if (!secret) {
+    throw new ApiError(500, "Fake payment webhook secret is not configured");
+  }
+  return secret;
+};
+
+// Payment intents created by this process (id -> intent)
+const intents = new Map();
+
+// Local fake adapter for development and tests. It never moves money; use
+// `createSignedEvent` to simulate the provider calling the webhook.
+const fakeGateway = {
+  name: "fake",
+
+  async createPaymentIntent({ amount, currency, metadata }) {
+    const id = `pi_fake_${crypto.randomBytes(12).toString("hex")}`;
+    const intent = {
+      id,
+      object: "payment_intent",
+      amount,
+      currency: currency.toLowerCase(),
+      metadata: metadata || {},
+      status: "requires_payment_method",
+      client_secret: `${id}_secret_${crypto.randomBytes(8).toString("hex")}`,
+    };
+    intents.set(id, intent);
+
+    return this.retrievePaymentIntent(id);
+  },
+
+  // Intents are only kept in memory, so ones from an earlier run are reported
+  // as cancelled
+  async retrievePaymentIntent(intentId) {
+    const intent = intents.get(intentId) || {
+      id: intentId,
+      status: "canceled",
+    };
+
+    return {
+      id: intent.id,
+      clientSecret: intent.client_secret,
+      status: intent.status,
+      amount: intent.amount,
+    };
+  },
+
+  async cancelPaymentIntent({ intentId }) {
+    const intent = intents.get(intentId);
+    if (intent) intent.status = "canceled";
+
+    return this.retrievePaymentIntent(intentId);
+  },
+
+  async createRefund({ intentId, amount }) {
+    return {
+      id: `re_fake_${crypto.randomBytes(12).toString("hex")}`,
+      status: "succeeded",
+      intentId,
+      amount,
+    };
+  },
+
+  constructWebhookEvent(rawBody, signatureHeader) {
+    const payload = Buffer.isBuffer(rawBody)
+      ? rawBody.toString("utf8")
+      : rawBody;
+    verifySignature(payload, signatureHeader, getWebhookSecret());
+    return parseWebhookPayload(payload);
+  },
+
+  // Build a signed webhook event for an intent, e.g.
+  // createSignedEvent(intentId, "payment_intent.succeeded")
+  createSignedEvent(intentId, type, overrides = {}) {
+    const intent = intents.get(intentId) || { id: intentId };
+    const event = {
+      id: `evt_fake_${crypto.randomBytes(12).toString("hex")}`,
+      type,
+      created: Math.floor(Date.now() / 1000),
+      data: { object: { ...intent, ...overrides } },
+    };
+    const payload = JSON.stringify(event);
+
+    return {
+      event,
+      payload,
+      signature: signPayload(payload, getWebhookSecret()),
+    };
+  },
+};
+
+export default fakeGateway;
@@ -0,0 +1,75 @@
+import crypto from "crypto";
+import ApiError from "../../utils/ApiError.js";
+
+// Webhook signatures follow the Stripe scheme:
+// header "t=<unix seconds>,v1=<hex hmac-sha256 of `${t}.${payload}`>"
+
+// Maximum age of a signed webhook before it is rejected (seconds)
+const DEFAULT_TOLERANCE = 300;
+
+const computeSignature = (payload, timestamp, secret) =>
+  crypto
+    .createHmac("sha256", secret)
+    .update(`${timestamp}.${payload}`, "utf8")
+    .digest("hex");
+
+// Function to sign a payload (used by the fake gateway and for local testing)
+export const signPayload = (payload, secret, timestamp = null) => {
+  const t = timestamp ?? Math.floor(Date.now() / 1000);
+  return `t=${t},v1=${computeSignature(payload, t, secret)}`;
+};
+
+// Function to verify a signature header against the raw payload
+export const verifySignature = (
+  payload,
+  header,
+  secret,
+  tolerance = DEFAULT_TOLERANCE
+) => {
+  if (!secret) {
+    throw new ApiError(500, "Webhook signing secret is not configured");
+  }
+
+  if (!header || typeof header !== "string") {
+    throw new ApiError(400, "Missing webhook signature");
+  }
+
+  // Parse "t=...,v1=...,v1=..." (several v1 entries are allowed)
+  const parts = header.split(",").map((part) => part.trim().split("="));
+  const timestamp = Number(parts.find(([key]) => key === "t")?.[1]);
+  const signatures = parts
+    .filter(([key]) => key === "v1")
+    .map(([, value]) => value);
+
+  if (!Number.isFinite(timestamp) || signatures.length === 0) {
+    throw new ApiError(400, "Malformed webhook signature");
+  }
+
+  if (Math.abs(Math.floor(Date.now() / 1000) - timestamp) > tolerance) {
+    throw new ApiError(400, "Webhook signature timestamp is too old");
+  }
+
+  const expected = Buffer.from(computeSignature(payload, timestamp, secret));
+  const isValid = signatures.some((signature) => {
+    const received = Buffer.from(signature);
+    return (
+      received.length === expected.length &&
+      crypto.timingSafeEqual(received, expected)
+    );
+  });
+
+  if (!isValid) {
+    throw new ApiError(400, "Invalid webhook signature");
+  }
+
+  return true;
+};
+
+// Function to parse a verified webhook payload into an event
+export const parseWebhookPayload = (payload) => {
+  try {
+    return JSON.parse(payload);
+  } catch (error) {
+    throw new ApiError(400, "Invalid webhook payload");
+  }
+};
@@ -0,0 +1,126 @@
+import ApiError from "../../utils/ApiError.js";
+import { parseWebhookPayload, verifySignature } from "./signature.js";
+
+const STRIPE_API_URL = "https://api.stripe.com/v1";
+
+// Encode a nested object as Stripe-style form parameters (metadata[orderId]=...)
+const toFormParams = (data, prefix = "", params = new URLSearchParams()) => {
+  Object.entries(data).forEach(([key, value]) => {
+    if (value === undefined || value === null) return;
+    const name = prefix ? `${prefix}[${key}]` : key;
+    if (typeof value === "object") {
+      toFormParams(value, name, params);
+    } else {
+      params.append(name, String(value));
+    }
+  });
+  return params;
+};
+
+// Call the Stripe API and return the parsed response
+const stripeRequest = async (
+  path,
+  { method = "POST", params, idempotencyKey } = {}
+) => {
+  if (!process.env.STRIPE_SECRET_KEY) {
+    throw new ApiError(500, "Stripe secret key is not configured");
+  }
+
+  const response = await fetch(`${STRIPE_API_URL}${path}`, {
+    method,
+    headers: {
+      Authorization: `Bearer ${process.env.STRIPE_SECRET_KEY}`,
+      "Content-Type": "application/x-www-form-urlencoded",
+      ...(idempotencyKey && { "Idempotency-Key": idempotencyKey }),
+    },
+    body: params ? toFormParams(params) : undefined,
+  });
+
+  const data = await response.json();
+
+  if (!response.ok) {
+    throw new ApiError(
+      502,
+      `Payment provider error: ${data.error?.message || response.statusText}`
+    );
+  }
+
+  return data;
+};
+
+// Map a Stripe PaymentIntent to the gateway intent shape
+const toIntent = (data) => ({
+  id: data.id,
+  clientSecret: data.client_secret,
+  status: data.status,
+  amount: data.amount,
+});
+
+// Stripe PaymentIntent adapter
+const stripeGateway = {
+  name: "stripe",
+
+  // Create a PaymentIntent; amount is in the smallest currency unit (cents)
+  async createPaymentIntent({ amount, currency, metadata, idempotencyKey }) {
+    const data = await stripeRequest("/payment_intents", {
+      params: {
+        amount,
+        currency: currency.toLowerCase(),
+        metadata,
+        "automatic_payment_methods[enabled]": true,
+      },
+      idempotencyKey,
+    });
+
+    return toIntent(data);
+  },
+
+  // Look up a PaymentIntent created earlier
+  async retrievePaymentIntent(intentId) {
+    const data = await stripeRequest(
+      `/payment_intents/${encodeURIComponent(intentId)}`,
+      { method: "GET" }
+    );
+
+    return toIntent(data);
+  },
+
+  // Cancel a PaymentIntent so it can no longer be paid
+  async cancelPaymentIntent({ intentId, idempotencyKey }) {
+    const data = await stripeRequest(
+      `/payment_intents/${encodeURIComponent(intentId)}/cancel`,
+      { idempotencyKey }
+    );
+
+    return toIntent(data);
+  },
+
+  // Refund all or part of a PaymentIntent; amount is in cents
+  async createRefund({ intentId, amount, reason, idempotencyKey }) {
+    const data = await stripeRequest("/refunds", {
+      params: {
+        payment_intent: intentId,
+        amount,
+        metadata: { reason },
+      },
+      idempotencyKey,
+    });
+
+    return { id: data.id, status: data.status };
+  },
+
+  // Verify the Stripe-Signature header and parse the event
+  constructWebhookEvent(rawBody, signatureHeader) {
+    const payload = Buffer.isBuffer(rawBody)
+      ? rawBody.toString("utf8")
+      : rawBody;
+    verifySignature(
+      payload,
+      signatureHeader,
+      process.env.STRIPE_WEBHOOK_SECRET
+    );
+    return parseWebhookPayload(payload);
+  },
+};
+
+export default stripeGateway;
@@ -0,0 +1,159 @@
+import mongoose from "mongoose";
+import Order from "../models/order.model.js";
+import ApiError from "../utils/ApiError.js";
+import getPaymentGateway, { toMinorUnits } from "./payment.service.js";
+
+const roundMoney = (value) => Math.round(value * 100) / 100;
+
+// Amount paid for one unit of an order item, after its share of the order
+// discount and including its tax. Orders placed before the share was stored
+// per item spread the discount over all items
+const getUnitRefundAmount = (order, orderItem) => {
+  const discountShare =
+    orderItem.discountAmount ??
+    (order.totalAmount > 0
+      ? (order.discount * orderItem.subtotal) / order.totalAmount
+      : 0);
+  return (
+    (orderItem.subtotal - discountShare + (orderItem.taxAmount || 0)) /
+    orderItem.quantity
+  );
+};
+
+// Function to refund all or part of an order through its payment gateway
+// - amount: explicit refund amount (defaults to the items' value, or to the
+//   whole remaining refundable amount when no items are given)
+// - items: [{ product, size, color, quantity }] covered by the refund
+// - refundId: id to give the refund (lets callers link it up front)
+// Returns the refund and the updated order
+const issueRefund = async (
+  order,
+  {
+    amount,
+    items = [],
+    reason,
+    actor,
+    refundId = new mongoose.Types.ObjectId(),
+  }
+) => {
+  const refundable = order.getRefundableAmount();
+
+  if (refundable <= 0) {
+    throw new ApiError(409, "Order has no refundable amount");
+  }
+
+  if (!reason) {
+    throw new ApiError(400, "Refund reason is required");
+  }
+
+  // Validate the refunded items against what was ordered and not yet refunded
+  let itemsValue = 0;
+  const refundItems = items.map((item) => {
+    const quantity = Number(item.quantity);
+    const orderItem = order.orderItems.find(
+      (orderItem) =>
+        orderItem.product.toString() === String(item.product) &&
+        orderItem.size === item.size &&
+        orderItem.color === item.color
+    );
+
+    if (!orderItem) {
+      throw new ApiError(
+        400,
+        `Item (${item.size}, ${item.color}) is not part of this order`
+      );
+    }
+
+    if (
+      !Number.isInteger(quantity) ||
+      quantity < 1 ||
+      quantity >
+        order.getRefundableQuantity(orderItem.product, item.size, item.color)
+    ) {
+      throw new ApiError(
+        400,
+        `Invalid refund quantity for ${orderItem.productName} (${item.size}, ${item.color})`
+      );
+    }
+
+    itemsValue += getUnitRefundAmount(order, orderItem) * quantity;
+
+    return {
+      product: orderItem.product,
+      size: item.size,
+      color: item.color,
+      quantity,
+    };
+  });
+
+  const refundAmount = roundMoney(
+    amount !== undefined && amount !== null
+      ? Number(amount)
+      : refundItems.length > 0
+      ? Math.min(itemsValue, refundable)
+      : refundable
+  );
+
+  if (!Number.isFinite(refundAmount) || refundAmount <= 0) {
+    throw new ApiError(400, "Refund amount must be greater than 0");
+  }
+
+  // The total refunded can never exceed what the customer paid
+  if (refundAmount > refundable) {
+    throw new ApiError(
+      400,
+      `Refund cannot exceed the remaining refundable amount of ${refundable}`
+    );
+  }
+
+  const gateway = order.payment?.intentId
+    ? getPaymentGateway(order.payment.provider)
+    : null;
+
+  // Reserve the refund on the order first so concurrent refunds cannot
+  // together exceed what was paid, and the record exists before money moves
+  const reservedOrder = await Order.reserveRefund(order._id, {
+    _id: refundId,
+    amount: refundAmount,
+    items: refundItems,
+    reason,
+    actor,
+    provider: gateway ? gateway.name : "manual",
+  });
+
+  if (!reservedOrder) {
+    throw new ApiError(
+      409,
+      "Refund exceeds the remaining refundable amount of this order"
+    );
+  }
+
+  // Refund through the gateway when the order was paid online
+  let gatewayReference;
+
+  if (gateway) {
+    try {
+      const gatewayRefund = await gateway.createRefund({
+        intentId: order.payment.intentId,
+        amount: toMinorUnits(refundAmount),
+        reason,
+        idempotencyKey: `refund_${refundId}`,
+      });
+      gatewayReference = gatewayRefund.id;
+    } catch (error) {
+      await Order.failRefund(order._id, refundId, error.message);
+      throw error;
+    }
+  }
+
+  const updatedOrder = await Order.completeRefund(order._id, refundId, {
+    gatewayReference,
+  });
+
+  return {
+    order: updatedOrder,
+    refund: updatedOrder.refunds.id(refundId),
+  };
+};
+
+export default issueRefund;
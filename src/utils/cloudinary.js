@@ -166,5 +166,17 @@ const deleteFromCloudinary = async (publicId) => {
   }
 };
 
+// Function to get the public id of an image from its Cloudinary URL, e.g.
+// https://res.cloudinary.com/<cloud>/image/upload/v123/StallionWear/abc.jpg
+// -> "StallionWear/abc". Returns null for images not stored in this account
+const getPublicIdFromUrl = (url) => {
+  const match = String(url || "").match(
+    /^https?:\/\/res\.cloudinary\.com\/([^/]+)\/[^/]+\/upload\/(?:[^/]+\/)*?v\d+\/(.+?)(?:\.[^./]+)?$/
+  );
+
+  if (!match || match[1] !== process.env.CLOUDINARY_CLOUD_NAME) return null;
+  return decodeURIComponent(match[2]);
+};
+
 export default uploadOnCloudinary;
-export { uploadMultipleOnCloudinary, deleteFromCloudinary };
+export { uploadMultipleOnCloudinary, deleteFromCloudinary, getPublicIdFromUrl };
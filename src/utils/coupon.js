@@ -0,0 +1,107 @@
+import Coupon from "../models/coupon.model.js";
+import CouponUsage from "../models/couponUsage.model.js";
+import Order from "../models/order.model.js";
+import ApiError from "./ApiError.js";
+
+// Function to validate a coupon code for a user and compute its discount
+// items: [{ price, quantity, categoryIds, brand }] (see Category.attachLineage)
+const evaluateCoupon = async ({ code, userId, items, session = null }) => {
+  if (!code || typeof code !== "string") {
+    throw new ApiError(400, "Coupon code is required");
+  }
+
+  const coupon = await Coupon.findOne({
+    code: code.trim().toUpperCase(),
+  }).session(session);
+
+  if (!coupon) {
+    throw new ApiError(404, "Coupon not found");
+  }
+
+  if (!coupon.isCurrentlyValid()) {
+    throw new ApiError(400, "Coupon is expired or no longer available");
+  }
+
+  // Check the minimum order value against the whole order subtotal
+  const subtotal = items.reduce(
+    (total, item) => total + item.price * item.quantity,
+    0
+  );
+
+  if (subtotal < coupon.minOrderValue) {
+    throw new ApiError(
+      400,
+      `Coupon requires a minimum order value of ${coupon.minOrderValue}`
+    );
+  }
+
+  // Check how many times this user has already redeemed the coupon. This
+  // gives an early answer (and covers orders placed before CouponUsage was
+  // kept); redeemCoupon enforces the limit atomically
+  if (coupon.usageLimitPerUser !== null) {
+    const userUsage = await Order.countDocuments({
+      user: userId,
+      "coupon.couponId": coupon._id,
+      orderStatus: { $ne: "Cancelled" },
+    }).session(session);
+
+    if (userUsage >= coupon.usageLimitPerUser) {
+      throw new ApiError(400, "You have already used this coupon");
+    }
+  }
+
+  const discount = coupon.calculateDiscount(items);
+
+  if (discount <= 0) {
+    throw new ApiError(400, "Coupon does not apply to any items in your order");
+  }
+
+  return { coupon, discount, subtotal };
+};
+
+// Function to atomically consume one use of a coupon, overall and for the
+// user. The per-user count is kept in CouponUsage so two parallel checkouts
+// by the same user cannot both pass the limit.
+const redeemCoupon = async (coupon, userId, session = null) => {
+  const result = await Coupon.updateOne(
+    {
+      _id: coupon._id,
+      $or: [
+        { usageLimit: null },
+        { $expr: { $lt: ["$usedCount", "$usageLimit"] } },
+      ],
+    },
+    { $inc: { usedCount: 1 } },
+    { session }
+  );
+
+  if (result.modifiedCount !== 1) {
+    throw new ApiError(409, "Coupon usage limit has been reached");
+  }
+
+  if (coupon.usageLimitPerUser !== null) {
+    const consumed = await CouponUsage.consume(
+      coupon._id,
+      userId,
+      coupon.usageLimitPerUser,
+      session
+    );
+
+    if (!consumed) {
+      throw new ApiError(400, "You have already used this coupon");
+    }
+  }
+};
+
+// Function to give back a coupon use (e.g. when an order is cancelled)
+const releaseCoupon = async (couponId, userId, session = null) => {
+  await Coupon.updateOne(
+    { _id: couponId, usedCount: { $gt: 0 } },
+    { $inc: { usedCount: -1 } },
+    { session }
+  );
+  await CouponUsage.release(couponId, userId, session);
+};
+
+export default evaluateCoupon;
+export { redeemCoupon, releaseCoupon };
@@ -0,0 +1,164 @@
+import PDFDocument from "pdfkit";
+
+const formatMoney = (value, currency = "USD") =>
+  `${currency} ${Number(value || 0).toFixed(2)}`;
+
+const formatDate = (date) =>
+  new Date(date).toLocaleDateString("en-GB", {
+    day: "2-digit",
+    month: "short",
+    year: "numeric",
+  });
+
+// Column layout of the line items table (x positions and widths in points)
+const columns = [
+  { key: "item", label: "Item", x: 50, width: 190 },
+  { key: "variant", label: "Size / Color", x: 240, width: 90 },
+  { key: "quantity", label: "Qty", x: 330, width: 35, align: "right" },
+  { key: "price", label: "Unit Price", x: 370, width: 70, align: "right" },
+  { key: "tax", label: "Tax", x: 440, width: 50, align: "right" },
+  { key: "subtotal", label: "Amount", x: 490, width: 60, align: "right" },
+];
+
+const drawRow = (doc, y, values, font = "Helvetica") => {
+  doc.font(font).fontSize(9);
+  columns.forEach((column) => {
+    doc.text(String(values[column.key] ?? ""), column.x, y, {
+      width: column.width,
+      align: column.align || "left",
+    });
+  });
+  return doc.y;
+};
+
+// Function to render an order invoice as a PDF buffer
+// The order should have `user` populated with name and email
+const generateInvoicePdf = (order, { currency = "USD" } = {}) =>
+  new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: "A4", margin: 50 });
+    const chunks = [];
+
+    doc.on("data", (chunk) => chunks.push(chunk));
+    doc.on("end", () => resolve(Buffer.concat(chunks)));
+    doc.on("error", reject);
+
+    // Header
+    doc.font("Helvetica-Bold").fontSize(20).text("StallionWear", 50, 50);
+    doc
+      .fontSize(16)
+      .text("INVOICE", 50, 50, { align: "right" })
+      .font("Helvetica")
+      .fontSize(9)
+      .text(`Invoice No: ${order.invoiceNumber}`, { align: "right" })
+      .text(`Invoice Date: ${formatDate(order.invoicedAt)}`, { align: "right" })
+      .text(`Order No: ${order.orderNumber || order._id}`, { align: "right" })
+      .text(`Order Date: ${formatDate(order.createdAt)}`, { align: "right" });
+
+    // Billing and shipping details
+    const address = order.shippingAddress || {};
+    const detailsTop = 130;
+
+    doc.font("Helvetica-Bold").fontSize(10).text("Bill To", 50, detailsTop);
+    doc
+      .font("Helvetica")
+      .fontSize(9)
+      .text(order.user?.name || address.fullName || "")
+      .text(order.user?.email || "");
+
+    doc.font("Helvetica-Bold").fontSize(10).text("Ship To", 300, detailsTop);
+    doc
+      .font("Helvetica")
+      .fontSize(9)
+      .text(address.fullName || "", 300)
+      .text(address.address || "", 300)
+      .text(`${address.city || ""} ${address.postalCode || ""}`.trim(), 300)
+      .text(address.country || "", 300)
+      .text(address.phone || "", 300);
+
+    // Line items
+    let y = 230;
+    y = drawRow(
+      doc,
+      y,
+      Object.fromEntries(columns.map((c) => [c.key, c.label])),
+      "Helvetica-Bold"
+    );
+    doc
+      .moveTo(50, y + 2)
+      .lineTo(550, y + 2)
+      .stroke();
+    y += 8;
+
+    order.orderItems.forEach((item) => {
+      if (y > 720) {
+        doc.addPage();
+        y = 50;
+      }
+      y =
+        drawRow(doc, y, {
+          item: item.productName,
+          variant: `${item.size} / ${item.color}`,
+          quantity: item.quantity,
+          price: Number(item.price).toFixed(2),
+          tax: Number(item.taxAmount || 0).toFixed(2),
+          subtotal: Number(item.subtotal).toFixed(2),
+        }) + 4;
+    });
+
+    doc.moveTo(50, y).lineTo(550, y).stroke();
+    y += 10;
+
+    // Charges
+    const charges = [
+      ["Subtotal", order.totalAmount],
+      [
+        `Shipping${order.shippingMethod ? ` (${order.shippingMethod})` : ""}`,
+        order.shippingCharge,
+      ],
+      [
+        `Discount${order.coupon?.code ? ` (${order.coupon.code})` : ""}`,
+        -(order.discount || 0),
+      ],
+      ["Tax", order.taxAmount],
+    ];
+
+    charges.forEach(([label, value]) => {
+      doc.font("Helvetica").fontSize(9);
+      doc.text(label, 350, y, { width: 110 });
+      doc.text(formatMoney(value, currency), 460, y, {
+        width: 90,
+        align: "right",
+      });
+      y += 14;
+    });
+
+    doc.font("Helvetica-Bold").fontSize(11);
+    doc.text("Total", 350, y, { width: 110 });
+    doc.text(formatMoney(order.finalAmount, currency), 460, y, {
+      width: 90,
+      align: "right",
+    });
+    y += 24;
+
+    // Payment details
+    const refunded = order.getRefundedAmount ? order.getRefundedAmount() : 0;
+
+    doc.font("Helvetica").fontSize(9);
+    doc.text(`Payment Method: ${order.paymentMethod}`, 50, y);
+    doc.text(`Payment Status: ${order.paymentStatus}`);
+    if (refunded > 0) {
+      doc.text(`Refunded: ${formatMoney(refunded, currency)}`);
+    }
+
+    doc
+      .fontSize(8)
+      .fillColor("#666666")
+      .text("Thank you for shopping with StallionWear.", 50, 780, {
+        align: "center",
+        width: 500,
+      });
+
+    doc.end();
+  });
+
+export default generateInvoicePdf;
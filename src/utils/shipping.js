@@ -0,0 +1,115 @@
+import shippingConfig, {
+  SHIPPING_METHODS,
+} from "../configs/shipping.config.js";
+import ApiError from "./ApiError.js";
+
+const normalize = (value) =>
+  String(value || "")
+    .trim()
+    .toLowerCase();
+
+// Function to find the most specific shipping zone for an address
+export const findShippingZone = (address = {}) => {
+  const country = normalize(address.country);
+  const city = normalize(address.city);
+
+  const countryMatches = (zone) =>
+    zone.countries.includes("*") ||
+    zone.countries.some((c) => normalize(c) === country);
+
+  const cityZone = shippingConfig.zones.find(
+    (zone) =>
+      zone.cities &&
+      countryMatches(zone) &&
+      zone.cities.some((c) => normalize(c) === city)
+  );
+  if (cityZone) return cityZone;
+
+  const countryZone = shippingConfig.zones.find(
+    (zone) =>
+      !zone.cities &&
+      !zone.countries.includes("*") &&
+      zone.countries.some((c) => normalize(c) === country)
+  );
+  if (countryZone) return countryZone;
+
+  return (
+    shippingConfig.zones.find(
+      (zone) => !zone.cities && zone.countries.includes("*")
+    ) || null
+  );
+};
+
+// Function to price one shipping method for items shaped as { quantity, weight }
+const priceMethod = (zone, method, items, subtotal) => {
+  const rules = zone.methods[method];
+
+  const measure =
+    rules.basis === "weight"
+      ? items.reduce(
+          (total, item) =>
+            total +
+            (item.weight ?? shippingConfig.defaultItemWeight) * item.quantity,
+          0
+        )
+      : items.reduce((total, item) => total + item.quantity, 0);
+
+  const tier = rules.tiers.find((t) => t.upTo === null || measure <= t.upTo);
+
+  const isFree =
+    method === "standard" &&
+    zone.freeShippingThreshold !== null &&
+    subtotal >= zone.freeShippingThreshold;
+
+  return {
+    method,
+    charge: isFree ? 0 : tier.rate,
+    isFree,
+    estimatedDays: rules.estimatedDays,
+    zone: zone.name,
+    currency: shippingConfig.currency,
+  };
+};
+
+// Function to list every available shipping option for an address and items
+export const getShippingOptions = ({ address, items, subtotal }) => {
+  const zone = findShippingZone(address);
+
+  if (!zone) {
+    throw new ApiError(400, "We do not ship to this address");
+  }
+
+  const options = SHIPPING_METHODS.filter((method) => zone.methods[method]).map(
+    (method) => priceMethod(zone, method, items, subtotal)
+  );
+
+  // Amount still needed to qualify for free standard shipping
+  const freeShippingRemaining =
+    zone.freeShippingThreshold !== null
+      ? Math.max(0, zone.freeShippingThreshold - subtotal)
+      : null;
+
+  return { zone: zone.name, options, freeShippingRemaining };
+};
+
+// Function to compute the charge for the chosen shipping method
+const calculateShipping = ({
+  address,
+  items,
+  subtotal,
+  method = "standard",
+}) => {
+  const { options } = getShippingOptions({ address, items, subtotal });
+  const option = options.find((o) => o.method === method);
+
+  if (!option) {
+    throw new ApiError(
+      400,
+      `Shipping method "${method}" is not available for this address`
+    );
+  }
+
+  return option;
+};
+
+export default calculateShipping;
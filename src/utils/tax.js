@@ -0,0 +1,80 @@
+import taxConfig from "../configs/tax.config.js";
+
+const normalize = (value) =>
+  String(value || "")
+    .trim()
+    .toLowerCase();
+
+const roundMoney = (value) => Math.round(value * 100) / 100;
+
+// Case-insensitive lookup of a key in a config object
+const findEntry = (entries = {}, name) => {
+  const key = Object.keys(entries).find(
+    (entry) => normalize(entry) === normalize(name)
+  );
+  return key ? entries[key] : null;
+};
+
+// Rate of the nearest category in the lineage that has one configured
+const findCategoryRate = (categoryRates, categories) =>
+  categories
+    .map((category) => findEntry(categoryRates, category))
+    .find((rate) => rate !== null && rate !== undefined) ?? null;
+
+// Function to resolve the tax rate for a category at a destination
+// `category` is a name or a list of names from the category up to its root,
+// so a subcategory inherits the rate of its parent
+export const getTaxRate = (address = {}, category) => {
+  const country = findEntry(taxConfig.countries, address.country);
+  if (!country) return taxConfig.defaultRate;
+
+  const categories = [].concat(category ?? []);
+  const region = findEntry(country.regions, address.city);
+  const candidates = [
+    region && findCategoryRate(region.categoryRates, categories),
+    region && region.rate,
+    findCategoryRate(country.categoryRates, categories),
+    country.rate,
+  ];
+
+  const rate = candidates.find(
+    (candidate) => candidate !== null && candidate !== undefined
+  );
+  return rate ?? taxConfig.defaultRate;
+};
+
+// Function to calculate tax for items shaped as
+// { subtotal, categoryNames, discountable }
+// The order discount is spread across the items the coupon covered
+// (`discountable`, default true) in proportion to their subtotal, so items
+// outside the coupon are taxed on their full price
+const calculateTax = ({ address, items, discount = 0 }) => {
+  const isDiscountable = (item) => item.discountable !== false;
+  const discountableTotal = items
+    .filter(isDiscountable)
+    .reduce((total, item) => total + item.subtotal, 0);
+
+  const itemTaxes = items.map((item) => {
+    const share =
+      isDiscountable(item) && discountableTotal > 0
+        ? item.subtotal / discountableTotal
+        : 0;
+    const discountAmount = roundMoney(discount * share);
+    const taxableAmount = Math.max(0, item.subtotal - discountAmount);
+    const taxRate = getTaxRate(address, item.categoryNames);
+
+    return {
+      taxRate,
+      taxAmount: roundMoney(taxableAmount * taxRate),
+      discountAmount,
+    };
+  });
+
+  const taxAmount = roundMoney(
+    itemTaxes.reduce((total, item) => total + item.taxAmount, 0)
+  );
+
+  return { items: itemTaxes, taxAmount };
+};
+
+export default calculateTax;
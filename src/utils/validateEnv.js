@@ -13,11 +13,16 @@ const requiredEnvVars = [
   "CLOUDINARY_API_SECRET",
 ];
 
+// Additionally required in production, where the development defaults
+// (e.g. logging emails to the console) must not be used
+const requiredProductionEnvVars = ["MAIL_TRANSPORT"];
+
 // Validate environment variables
 export const validateEnvVars = () => {
-  const missingVars = requiredEnvVars.filter(
-    (varName) => !process.env[varName]
-  );
+  const missingVars = [
+    ...requiredEnvVars,
+    ...(process.env.NODE_ENV === "production" ? requiredProductionEnvVars : []),
+  ].filter((varName) => !process.env[varName]);
 
   if (missingVars.length > 0) {
     console.error("Missing required environment variables:");
@@ -0,0 +1,102 @@
+import { after, before, beforeEach, describe, it } from "node:test";
+import assert from "node:assert/strict";
+import mongoose from "mongoose";
+import Order from "../src/models/order.model.js";
+import Product from "../src/models/product.model.js";
+import Category from "../src/models/category.model.js";
+import User from "../src/models/user.model.js";
+import StockMovement from "../src/models/stockMovement.model.js";
+import { createOrder } from "../src/controllers/order.controller.js";
+import {
+  clearDatabase,
+  createProduct,
+  createUser,
+  placeOrder,
+  runController,
+  shippingAddress,
+  startDatabase,
+  stopDatabase,
+} from "./helpers.js";
+
+const models = [Order, Product, Category, User, StockMovement];
+
+describe("checkout", () => {
+  let replSet;
+  let product;
+
+  before(async () => {
+    replSet = await startDatabase(models);
+  });
+
+  after(async () => {
+    await stopDatabase(replSet);
+  });
+
+  beforeEach(async () => {
+    await clearDatabase(models);
+
+    const admin = await createUser("admin@example.com");
+    product = await createProduct(admin._id);
+  });
+
+  it("sells the last unit to only one of two parallel purchases", async () => {
+    const buyers = await Promise.all([
+      createUser("first@example.com"),
+      createUser("second@example.com"),
+    ]);
+
+    const results = await Promise.all(
+      buyers.map((user) => placeOrder(user, product))
+    );
+
+    const succeeded = results.filter((result) => result.statusCode === 201);
+    const failed = results.filter((result) => result.error);
+
+    assert.equal(succeeded.length, 1);
+    assert.equal(failed.length, 1);
+    assert.equal(failed[0].error.statusCode, 400);
+
+    const stored = await Product.findById(product._id);
+    assert.equal(stored.variants[0].quantity, 0);
+    assert.equal(stored.stock, 0);
+    assert.equal(await Order.countDocuments(), 1);
+
+    // Only the committed sale reaches the stock ledger
+    const movements = await StockMovement.find({ reason: "sale" });
+    assert.equal(movements.length, 1);
+    assert.equal(movements[0].delta, -1);
+  });
+
+  it("leaves stock untouched when any item of an order fails", async () => {
+    const user = await createUser("buyer@example.com");
+
+    const result = await runController(createOrder, {
+      user,
+      body: {
+        orderItems: [
+          {
+            product: product._id.toString(),
+            size: "M",
+            color: "Black",
+            quantity: 1,
+          },
+          {
+            product: new mongoose.Types.ObjectId().toString(),
+            size: "M",
+            color: "Black",
+            quantity: 1,
+          },
+        ],
+        shippingAddress,
+        paymentMethod: "CashOnDelivery",
+      },
+    });
+
+    assert.equal(result.error?.statusCode, 404);
+
+    const stored = await Product.findById(product._id);
+    assert.equal(stored.variants[0].quantity, 1);
+    assert.equal(await Order.countDocuments(), 0);
+    assert.equal(await StockMovement.countDocuments({ reason: "sale" }), 0);
+  });
+});
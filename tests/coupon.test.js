@@ -0,0 +1,93 @@
+import { after, before, beforeEach, describe, it } from "node:test";
+import assert from "node:assert/strict";
+import Order from "../src/models/order.model.js";
+import Product from "../src/models/product.model.js";
+import Category from "../src/models/category.model.js";
+import User from "../src/models/user.model.js";
+import Coupon from "../src/models/coupon.model.js";
+import CouponUsage from "../src/models/couponUsage.model.js";
+import StockMovement from "../src/models/stockMovement.model.js";
+import {
+  clearDatabase,
+  createProduct,
+  createUser,
+  placeOrder,
+  startDatabase,
+  stopDatabase,
+} from "./helpers.js";
+
+const models = [
+  Order,
+  Product,
+  Category,
+  User,
+  Coupon,
+  CouponUsage,
+  StockMovement,
+];
+
+describe("coupon limits", () => {
+  let replSet;
+  let product;
+  let coupon;
+
+  before(async () => {
+    replSet = await startDatabase(models);
+  });
+
+  after(async () => {
+    await stopDatabase(replSet);
+  });
+
+  beforeEach(async () => {
+    await clearDatabase(models);
+
+    const admin = await createUser("admin@example.com", { role: "admin" });
+    product = await createProduct(admin._id, { quantity: 10 });
+    coupon = await Coupon.create({
+      code: "ONCE10",
+      discountType: "percentage",
+      discountValue: 10,
+      usageLimitPerUser: 1,
+      createdBy: admin._id,
+    });
+  });
+
+  it("redeems a once-per-user coupon for only one of two parallel checkouts", async () => {
+    const user = await createUser("buyer@example.com");
+
+    const results = await Promise.all(
+      [1, 2].map(() => placeOrder(user, product, { couponCode: "ONCE10" }))
+    );
+
+    const succeeded = results.filter((result) => result.statusCode === 201);
+    const failed = results.filter((result) => result.error);
+
+    assert.equal(succeeded.length, 1);
+    assert.equal(failed.length, 1);
+    assert.equal(failed[0].error.statusCode, 400);
+
+    assert.equal(await Order.countDocuments({ user: user._id }), 1);
+    assert.equal((await Coupon.findById(coupon._id)).usedCount, 1);
+
+    const usage = await CouponUsage.findOne({ coupon: coupon._id });
+    assert.equal(usage.count, 1);
+  });
+
+  it("counts the per-user limit separately for each user", async () => {
+    const buyers = await Promise.all([
+      createUser("first@example.com"),
+      createUser("second@example.com"),
+    ]);
+
+    const results = await Promise.all(
+      buyers.map((user) => placeOrder(user, product, { couponCode: "ONCE10" }))
+    );
+
+    assert.deepEqual(
+      results.map((result) => result.statusCode),
+      [201, 201]
+    );
+    assert.equal((await Coupon.findById(coupon._id)).usedCount, 2);
+  });
+});
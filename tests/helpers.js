@@ -0,0 +1,142 @@
+import mongoose from "mongoose";
+import { MongoMemoryReplSet } from "mongodb-memory-server";
+import Category from "../src/models/category.model.js";
+import Order from "../src/models/order.model.js";
+import Product from "../src/models/product.model.js";
+import User from "../src/models/user.model.js";
+import { createOrder } from "../src/controllers/order.controller.js";
+
+// Shared setup for the tests in this folder.
+//
+// The tests run against an in-memory MongoDB replica set (transactions need
+// one). mongodb-memory-server downloads the mongod version pinned in
+// package.json ("config.mongodbMemoryServer") on first use and caches it.
+// Where it cannot download (e.g. CI without internet access), install that
+// mongod version and point MONGOMS_SYSTEM_BINARY at it:
+//
+//   MONGOMS_SYSTEM_BINARY=/usr/bin/mongod npm test
+
+// Settings the code under test reads from the environment. Payments always
+// go through the local fake gateway and emails to the console transport
+process.env.ACCESS_TOKEN_SECRET ||= "test-access-token-secret";
+process.env.ACCESS_TOKEN_EXPIRY ||= "15m";
+process.env.REFRESH_TOKEN_SECRET ||= "test-refresh-token-secret";
+process.env.REFRESH_TOKEN_EXPIRY ||= "7d";
+process.env.FAKE_PAYMENT_WEBHOOK_SECRET ||= "test-webhook-secret";
+process.env.PAYMENT_GATEWAY = "fake";
+process.env.MAIL_TRANSPORT = "console";
+
+export const TEST_PASSWORD = "Password1!";
+
+export const shippingAddress = {
+  fullName: "Test Buyer",
+  address: "1 Main Street",
+  city: "Springfield",
+  postalCode: "12345",
+  country: "US",
+  phone: "5551234567",
+};
+
+// Start the replica set, connect and create the collections of `models`
+// (collections cannot be created inside a transaction)
+export const startDatabase = async (models) => {
+  const replSet = await MongoMemoryReplSet.create({
+    replSet: { count: 1, storageEngine: "wiredTiger" },
+  });
+  await mongoose.connect(replSet.getUri());
+  await Promise.all(models.map((model) => model.createCollection()));
+  return replSet;
+};
+
+export const stopDatabase = async (replSet) => {
+  await mongoose.disconnect();
+  await replSet?.stop();
+};
+
+export const clearDatabase = (models) =>
+  Promise.all(models.map((model) => model.deleteMany({})));
+
+// Run a controller like Express would and resolve with the response or the
+// error handed to next()
+export const runController = (controller, req) =>
+  new Promise((resolve) => {
+    const res = {
+      status(code) {
+        this.statusCode = code;
+        return this;
+      },
+      cookie() {
+        return this;
+      },
+      clearCookie() {
+        return this;
+      },
+      json(body) {
+        resolve({ statusCode: this.statusCode, body });
+        return this;
+      },
+    };
+    controller(
+      {
+        params: {},
+        query: {},
+        body: {},
+        cookies: {},
+        headers: {},
+        ip: "127.0.0.1",
+        get: () => "node-test",
+        ...req,
+      },
+      res,
+      (error) => resolve({ error })
+    );
+  });
+
+export const createUser = (email, fields = {}) =>
+  User.create({ name: "Buyer", email, password: TEST_PASSWORD, ...fields });
+
+// Create a product in a new category with a single M/Black variant
+export const createProduct = async (createdBy, { quantity = 1 } = {}) => {
+  const category = await Category.create({ name: "Shirts" });
+
+  return Product.create({
+    name: "Last Shirt",
+    description: "The only shirt left in stock",
+    price: 20,
+    brand: "StallionWear",
+    category: category._id,
+    images: ["https://example.com/shirt.jpg"],
+    variants: [{ size: "M", color: "Black", quantity }],
+    createdBy,
+  });
+};
+
+// Check out `quantity` units of the product's M/Black variant
+export const placeOrder = (
+  user,
+  product,
+  { quantity = 1, paymentMethod = "CashOnDelivery", couponCode } = {}
+) =>
+  runController(createOrder, {
+    user,
+    body: {
+      orderItems: [
+        {
+          product: product._id.toString(),
+          size: "M",
+          color: "Black",
+          quantity,
+        },
+      ],
+      shippingAddress,
+      paymentMethod,
+      couponCode,
+    },
+  });
+
+// Place an order and load it, failing the test if checkout fails
+export const createOrderFor = async (user, product, options) => {
+  const { body, error } = await placeOrder(user, product, options);
+  if (error) throw error;
+  return Order.findById(body.data._id);
+};
@@ -0,0 +1,130 @@
+import {
+  after,
+  afterEach,
+  before,
+  beforeEach,
+  describe,
+  it,
+  mock,
+} from "node:test";
+import assert from "node:assert/strict";
+import User from "../src/models/user.model.js";
+import Session from "../src/models/session.model.js";
+import AuditLog from "../src/models/auditLog.model.js";
+import {
+  loginUser,
+  unlockAccount,
+} from "../src/controllers/user.controller.js";
+import consoleTransport from "../src/services/mail/console.transport.js";
+import lockoutConfig from "../src/configs/lockout.config.js";
+import {
+  clearDatabase,
+  createUser,
+  runController,
+  startDatabase,
+  stopDatabase,
+  TEST_PASSWORD,
+} from "./helpers.js";
+
+const models = [User, Session, AuditLog];
+
+describe("account lockout", () => {
+  let replSet;
+  let user;
+  let sentMail;
+
+  const login = (password) =>
+    runController(loginUser, { body: { email: user.email, password } });
+
+  // Fail the login until the account locks; resolves with the locking attempt
+  const lockAccount = async () => {
+    for (let i = 1; i < lockoutConfig.maxFailedAttempts; i++) {
+      assert.equal((await login("Wrong-password1")).error?.statusCode, 401);
+    }
+    return login("Wrong-password1");
+  };
+
+  // Minutes left on the current lock
+  const getLockMinutes = async () => {
+    const { lockUntil } = await User.findById(user._id).select("+lockUntil");
+    return Math.round((lockUntil - Date.now()) / 60000);
+  };
+
+  // Let the current lock run out
+  const expireLock = () =>
+    User.updateOne(
+      { _id: user._id },
+      { $set: { lockUntil: new Date(Date.now() - 1000) } }
+    );
+
+  before(async () => {
+    replSet = await startDatabase(models);
+  });
+
+  after(async () => {
+    await stopDatabase(replSet);
+  });
+
+  beforeEach(async () => {
+    await clearDatabase(models);
+    user = await createUser("buyer@example.com");
+
+    sentMail = [];
+    mock.method(consoleTransport, "send", async (message) => {
+      sentMail.push(message);
+      return { id: "test" };
+    });
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it("locks the account and doubles the lock on each repeated lockout", async () => {
+    const locked = await lockAccount();
+    assert.equal(locked.error?.statusCode, 423);
+    assert.equal(await getLockMinutes(), lockoutConfig.baseLockMinutes);
+
+    // The right password does not get through a lock
+    assert.equal((await login(TEST_PASSWORD)).error?.statusCode, 423);
+
+    await expireLock();
+    assert.equal((await lockAccount()).error?.statusCode, 423);
+    assert.equal(
+      await getLockMinutes(),
+      Math.min(lockoutConfig.baseLockMinutes * 2, lockoutConfig.maxLockMinutes)
+    );
+  });
+
+  it("resets the backoff after a successful login", async () => {
+    await lockAccount();
+    await expireLock();
+
+    const loggedIn = await login(TEST_PASSWORD);
+    assert.equal(loggedIn.statusCode, 200);
+
+    const reset = await User.findById(user._id).select(
+      "+failedLoginAttempts +lockoutCount"
+    );
+    assert.equal(reset.failedLoginAttempts, 0);
+    assert.equal(reset.lockoutCount, 0);
+
+    await lockAccount();
+    assert.equal(await getLockMinutes(), lockoutConfig.baseLockMinutes);
+  });
+
+  it("unlocks the account with the emailed unlock link", async () => {
+    await lockAccount();
+
+    assert.equal(sentMail.length, 1);
+    const [, token] = sentMail[0].text.match(/token=([a-f0-9]+)/);
+
+    const unlocked = await runController(unlockAccount, { body: { token } });
+    assert.equal(unlocked.statusCode, 200);
+    assert.equal((await login(TEST_PASSWORD)).statusCode, 200);
+
+    // The link only works once
+    const reused = await runController(unlockAccount, { body: { token } });
+    assert.equal(reused.error?.statusCode, 400);
+  });
+});
@@ -0,0 +1,140 @@
+import { after, before, beforeEach, describe, it } from "node:test";
+import assert from "node:assert/strict";
+import Order from "../src/models/order.model.js";
+import Product from "../src/models/product.model.js";
+import Category from "../src/models/category.model.js";
+import User from "../src/models/user.model.js";
+import PaymentEvent from "../src/models/paymentEvent.model.js";
+import StockMovement from "../src/models/stockMovement.model.js";
+import {
+  createPaymentIntent,
+  handlePaymentWebhook,
+} from "../src/controllers/payment.controller.js";
+import fakeGateway from "../src/services/payments/fake.gateway.js";
+import issueRefund from "../src/services/refund.service.js";
+import {
+  clearDatabase,
+  createOrderFor,
+  createProduct,
+  createUser,
+  runController,
+  startDatabase,
+  stopDatabase,
+} from "./helpers.js";
+
+const SUCCEEDED = "payment_intent.succeeded";
+const FAILED = "payment_intent.payment_failed";
+
+const models = [Order, Product, Category, User, PaymentEvent, StockMovement];
+
+// Deliver a webhook the way the provider would (raw body + signature header)
+const sendWebhook = ({ payload, signature }) =>
+  runController(handlePaymentWebhook, {
+    headers: { "stripe-signature": signature },
+    body: Buffer.from(payload),
+  });
+
+describe("payment webhooks", () => {
+  let replSet;
+  let buyer;
+  let order;
+  let intentId;
+
+  before(async () => {
+    replSet = await startDatabase(models);
+  });
+
+  after(async () => {
+    await stopDatabase(replSet);
+  });
+
+  beforeEach(async () => {
+    await clearDatabase(models);
+
+    const admin = await createUser("admin@example.com", { role: "admin" });
+    const product = await createProduct(admin._id);
+    buyer = await createUser("buyer@example.com");
+    order = await createOrderFor(buyer, product, { paymentMethod: "Stripe" });
+
+    const { body } = await runController(createPaymentIntent, {
+      user: buyer,
+      params: { orderId: order._id.toString() },
+    });
+    intentId = body.data.paymentIntentId;
+  });
+
+  it("rejects events whose signature does not match the body", async () => {
+    const { payload, signature } = fakeGateway.createSignedEvent(
+      intentId,
+      SUCCEEDED
+    );
+    const forged = payload.replace(SUCCEEDED, FAILED);
+
+    const result = await sendWebhook({ payload: forged, signature });
+
+    assert.equal(result.error?.statusCode, 400);
+    assert.equal((await Order.findById(order._id)).paymentStatus, "Pending");
+    assert.equal(await PaymentEvent.countDocuments(), 0);
+  });
+
+  it("rejects events without a signature", async () => {
+    const { payload } = fakeGateway.createSignedEvent(intentId, SUCCEEDED);
+
+    const result = await sendWebhook({ payload, signature: undefined });
+
+    assert.equal(result.error?.statusCode, 400);
+    assert.equal((await Order.findById(order._id)).paymentStatus, "Pending");
+  });
+
+  it("applies a replayed event only once", async () => {
+    const event = fakeGateway.createSignedEvent(intentId, SUCCEEDED);
+
+    const first = await sendWebhook(event);
+    const replay = await sendWebhook(event);
+
+    assert.equal(first.statusCode, 200);
+    assert.equal(first.body.data.duplicate, false);
+    assert.equal(replay.statusCode, 200);
+    assert.equal(replay.body.data.duplicate, true);
+
+    const paid = await Order.findById(order._id);
+    assert.equal(paid.paymentStatus, "Paid");
+    assert.equal(paid.orderStatus, "Processing");
+    assert.equal(
+      paid.statusHistory.filter((entry) => entry.status === "Processing")
+        .length,
+      1
+    );
+    assert.equal(await PaymentEvent.countDocuments({ order: order._id }), 1);
+  });
+
+  it("ignores payment events once the order has been refunded", async () => {
+    await sendWebhook(fakeGateway.createSignedEvent(intentId, SUCCEEDED));
+    await issueRefund(await Order.findById(order._id), {
+      reason: "Customer changed their mind",
+      actor: buyer._id,
+    });
+
+    const late = await sendWebhook(
+      fakeGateway.createSignedEvent(intentId, SUCCEEDED)
+    );
+    const failed = await sendWebhook(
+      fakeGateway.createSignedEvent(intentId, FAILED)
+    );
+
+    assert.equal(late.statusCode, 200);
+    assert.equal(failed.statusCode, 200);
+    assert.equal((await Order.findById(order._id)).paymentStatus, "Refunded");
+  });
+
+  it("hands back the open payment intent instead of creating another", async () => {
+    const result = await runController(createPaymentIntent, {
+      user: buyer,
+      params: { orderId: order._id.toString() },
+    });
+
+    assert.equal(result.statusCode, 200);
+    assert.equal(result.body.data.paymentIntentId, intentId);
+    assert.equal((await Order.findById(order._id)).payment.intentId, intentId);
+  });
+});
@@ -0,0 +1,179 @@
+import {
+  after,
+  afterEach,
+  before,
+  beforeEach,
+  describe,
+  it,
+  mock,
+} from "node:test";
+import assert from "node:assert/strict";
+import Order from "../src/models/order.model.js";
+import Product from "../src/models/product.model.js";
+import Category from "../src/models/category.model.js";
+import User from "../src/models/user.model.js";
+import StockMovement from "../src/models/stockMovement.model.js";
+import { updateOrderStatus } from "../src/controllers/order.controller.js";
+import { createPaymentIntent } from "../src/controllers/payment.controller.js";
+import fakeGateway from "../src/services/payments/fake.gateway.js";
+import issueRefund from "../src/services/refund.service.js";
+import ApiError from "../src/utils/ApiError.js";
+import {
+  clearDatabase,
+  createOrderFor,
+  createProduct,
+  createUser,
+  runController,
+  startDatabase,
+  stopDatabase,
+} from "./helpers.js";
+
+const models = [Order, Product, Category, User, StockMovement];
+
+const reason = "Customer changed their mind";
+
+describe("refunds", () => {
+  let replSet;
+  let admin;
+  let order;
+
+  before(async () => {
+    replSet = await startDatabase(models);
+  });
+
+  after(async () => {
+    await stopDatabase(replSet);
+  });
+
+  beforeEach(async () => {
+    await clearDatabase(models);
+
+    admin = await createUser("admin@example.com", { role: "admin" });
+    const product = await createProduct(admin._id, { quantity: 2 });
+    const buyer = await createUser("buyer@example.com");
+    const placed = await createOrderFor(buyer, product, {
+      quantity: 2,
+      paymentMethod: "Stripe",
+    });
+
+    // Pay online through the fake gateway (marked paid as the webhook would)
+    await runController(createPaymentIntent, {
+      user: buyer,
+      params: { orderId: placed._id.toString() },
+    });
+    await Order.updateOne({ _id: placed._id }, { paymentStatus: "Paid" });
+    order = await Order.findById(placed._id);
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it("lets only one of two parallel full refunds through", async () => {
+    const results = await Promise.allSettled([
+      issueRefund(order, { reason, actor: admin._id }),
+      issueRefund(order, { reason, actor: admin._id }),
+    ]);
+
+    const rejected = results.filter((result) => result.status === "rejected");
+    assert.equal(rejected.length, 1);
+    assert.equal(rejected[0].reason.statusCode, 409);
+
+    const refunded = await Order.findById(order._id);
+    assert.equal(refunded.paymentStatus, "Refunded");
+    assert.equal(refunded.refunds.length, 1);
+    assert.equal(refunded.getRefundedAmount(), order.getRefundableAmount());
+  });
+
+  it("rejects refunds above the remaining refundable amount", async () => {
+    const actor = admin._id;
+
+    await assert.rejects(
+      issueRefund(order, { amount: order.finalAmount + 1, reason, actor }),
+      { statusCode: 400 }
+    );
+
+    const { order: partly } = await issueRefund(order, {
+      amount: 5,
+      reason,
+      actor,
+    });
+    assert.equal(partly.paymentStatus, "PartiallyRefunded");
+
+    await assert.rejects(
+      issueRefund(partly, { amount: order.finalAmount - 4, reason, actor }),
+      { statusCode: 400 }
+    );
+  });
+
+  it("counts a pending refund against the cap until the gateway answers", async () => {
+    let gatewayCalled;
+    let answerGateway;
+    const called = new Promise((resolve) => {
+      gatewayCalled = resolve;
+    });
+    const answer = new Promise((resolve) => {
+      answerGateway = resolve;
+    });
+
+    mock.method(fakeGateway, "createRefund", async () => {
+      gatewayCalled();
+      await answer;
+      return { id: "re_fake_pending", status: "succeeded" };
+    });
+
+    const first = issueRefund(order, { reason, actor: admin._id });
+    await called;
+
+    const pending = await Order.findById(order._id);
+    assert.equal(pending.refunds[0].status, "Pending");
+    assert.equal(pending.paymentStatus, "Paid");
+
+    // The copy loaded before the refund started still passes the in-memory
+    // checks, so only the reservation stops it
+    await assert.rejects(issueRefund(order, { reason, actor: admin._id }), {
+      statusCode: 409,
+    });
+
+    answerGateway();
+    const { refund } = await first;
+
+    assert.equal(refund.status, "Succeeded");
+    assert.equal(refund.gatewayReference, "re_fake_pending");
+    assert.equal((await Order.findById(order._id)).paymentStatus, "Refunded");
+  });
+
+  it("releases the reservation of a refund the gateway declined", async () => {
+    mock.method(fakeGateway, "createRefund", async () => {
+      throw new ApiError(502, "Payment provider error: Card declined");
+    });
+
+    await assert.rejects(issueRefund(order, { reason, actor: admin._id }), {
+      statusCode: 502,
+    });
+
+    const failed = await Order.findById(order._id);
+    assert.equal(failed.refunds[0].status, "Failed");
+    assert.equal(failed.paymentStatus, "Paid");
+    assert.equal(failed.getRefundableAmount(), order.getRefundableAmount());
+
+    mock.restoreAll();
+    const { order: refunded } = await issueRefund(failed, {
+      reason,
+      actor: admin._id,
+    });
+
+    assert.equal(refunded.paymentStatus, "Refunded");
+  });
+
+  it("does not let staff set refund states by hand", async () => {
+    const result = await runController(updateOrderStatus, {
+      user: admin,
+      params: { orderId: order._id.toString() },
+      body: { paymentStatus: "Refunded" },
+    });
+
+    assert.equal(result.error?.statusCode, 400);
+    assert.equal((await Order.findById(order._id)).paymentStatus, "Paid");
+  });
+});
@@ -0,0 +1,152 @@
+import { after, before, beforeEach, describe, it } from "node:test";
+import assert from "node:assert/strict";
+import Order from "../src/models/order.model.js";
+import Product from "../src/models/product.model.js";
+import Category from "../src/models/category.model.js";
+import User from "../src/models/user.model.js";
+import ReturnRequest from "../src/models/returnRequest.model.js";
+import StockMovement from "../src/models/stockMovement.model.js";
+import {
+  approveReturn,
+  createReturnRequest,
+  receiveReturn,
+  rejectReturn,
+} from "../src/controllers/return.controller.js";
+import {
+  clearDatabase,
+  createOrderFor,
+  createProduct,
+  createUser,
+  runController,
+  startDatabase,
+  stopDatabase,
+} from "./helpers.js";
+
+const models = [Order, Product, Category, User, ReturnRequest, StockMovement];
+
+describe("returns", () => {
+  let replSet;
+  let admin;
+  let buyer;
+  let product;
+  let order;
+
+  // Ask to return `quantity` units of the ordered variant
+  const requestReturn = (quantity) =>
+    runController(createReturnRequest, {
+      user: buyer,
+      params: { orderId: order._id.toString() },
+      body: {
+        items: [
+          {
+            product: product._id.toString(),
+            size: "M",
+            color: "Black",
+            quantity,
+          },
+        ],
+        reason: "The shirt does not fit",
+      },
+    });
+
+  // Run a staff action on a return request
+  const handleReturn = (controller, returnId) =>
+    runController(controller, {
+      user: admin,
+      params: { orderId: order._id.toString(), returnId: returnId.toString() },
+    });
+
+  before(async () => {
+    replSet = await startDatabase(models);
+  });
+
+  after(async () => {
+    await stopDatabase(replSet);
+  });
+
+  beforeEach(async () => {
+    await clearDatabase(models);
+
+    admin = await createUser("admin@example.com", { role: "admin" });
+    buyer = await createUser("buyer@example.com");
+    product = await createProduct(admin._id, { quantity: 3 });
+    order = await createOrderFor(buyer, product, { quantity: 2 });
+
+    await Order.updateOne(
+      { _id: order._id },
+      { orderStatus: "Delivered", isDelivered: true, deliveredAt: new Date() }
+    );
+  });
+
+  it("restocks and refunds a return through its lifecycle", async () => {
+    await Order.updateOne({ _id: order._id }, { paymentStatus: "Paid" });
+
+    const requested = await requestReturn(1);
+    assert.equal(requested.statusCode, 201);
+    const returnId = requested.body.data._id;
+
+    // Items cannot be received before the return is approved
+    const early = await handleReturn(receiveReturn, returnId);
+    assert.equal(early.error?.statusCode, 409);
+
+    const approved = await handleReturn(approveReturn, returnId);
+    assert.equal(approved.body.data.status, "Approved");
+
+    const received = await handleReturn(receiveReturn, returnId);
+    assert.equal(received.statusCode, 200);
+    assert.equal(received.body.message, "Returned items received");
+
+    const returnRequest = await ReturnRequest.findById(returnId);
+    assert.equal(returnRequest.status, "Refunded");
+    assert.equal(returnRequest.refundRequired, false);
+
+    const refunded = await Order.findById(order._id);
+    assert.equal(refunded.paymentStatus, "PartiallyRefunded");
+    assert.ok(refunded.refunds.id(returnRequest.refundId));
+
+    const stored = await Product.findById(product._id);
+    assert.equal(stored.variants[0].quantity, 2);
+    assert.equal(await StockMovement.countDocuments({ reason: "return" }), 1);
+  });
+
+  it("limits returns to the ordered quantity not already requested", async () => {
+    assert.equal((await requestReturn(3)).error?.statusCode, 400);
+
+    const first = await requestReturn(2);
+    assert.equal(first.statusCode, 201);
+    assert.equal((await requestReturn(1)).error?.statusCode, 400);
+
+    // A rejected request gives its quantity back
+    await handleReturn(rejectReturn, first.body.data._id);
+    assert.equal((await requestReturn(2)).statusCode, 201);
+  });
+
+  it("accepts only one of two parallel requests for the same items", async () => {
+    const results = await Promise.all([requestReturn(2), requestReturn(2)]);
+
+    const succeeded = results.filter((result) => result.statusCode === 201);
+    const failed = results.filter((result) => result.error);
+
+    assert.equal(succeeded.length, 1);
+    assert.equal(failed.length, 1);
+    assert.equal(failed[0].error.statusCode, 400);
+    assert.equal(await ReturnRequest.countDocuments(), 1);
+  });
+
+  it("flags a received return when the order has nothing to refund", async () => {
+    const { body } = await requestReturn(1);
+    await handleReturn(approveReturn, body.data._id);
+
+    const received = await handleReturn(receiveReturn, body.data._id);
+
+    assert.equal(received.statusCode, 200);
+    assert.equal(
+      received.body.message,
+      "Returned items received, refund pending"
+    );
+
+    const returnRequest = await ReturnRequest.findById(body.data._id);
+    assert.equal(returnRequest.status, "Received");
+    assert.equal(returnRequest.refundRequired, true);
+  });
+});
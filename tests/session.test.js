@@ -0,0 +1,88 @@
+import { after, before, beforeEach, describe, it } from "node:test";
+import assert from "node:assert/strict";
+import jwt from "jsonwebtoken";
+import User from "../src/models/user.model.js";
+import Session from "../src/models/session.model.js";
+import {
+  loginUser,
+  refreshAccessToken,
+} from "../src/controllers/user.controller.js";
+import {
+  clearDatabase,
+  createUser,
+  runController,
+  startDatabase,
+  stopDatabase,
+  TEST_PASSWORD,
+} from "./helpers.js";
+
+const models = [User, Session];
+
+// Log in and return the refresh token of the new session
+const login = async (email) => {
+  const { body } = await runController(loginUser, {
+    body: { email, password: TEST_PASSWORD },
+  });
+  return body.data.refreshToken;
+};
+
+const refresh = (refreshToken) =>
+  runController(refreshAccessToken, { cookies: { refreshToken } });
+
+const getSessionId = (refreshToken) => jwt.decode(refreshToken).sid;
+
+describe("refresh token sessions", () => {
+  let replSet;
+  let user;
+
+  before(async () => {
+    replSet = await startDatabase(models);
+  });
+
+  after(async () => {
+    await stopDatabase(replSet);
+  });
+
+  beforeEach(async () => {
+    await clearDatabase(models);
+    user = await createUser("buyer@example.com");
+  });
+
+  it("rotates the refresh token on every refresh", async () => {
+    const firstToken = await login(user.email);
+
+    const first = await refresh(firstToken);
+    assert.equal(first.statusCode, 200);
+    const secondToken = first.body.data.user.refreshToken;
+    assert.notEqual(secondToken, firstToken);
+    assert.equal(getSessionId(secondToken), getSessionId(firstToken));
+
+    const second = await refresh(secondToken);
+    assert.equal(second.statusCode, 200);
+  });
+
+  it("revokes the session when a rotated token is reused", async () => {
+    const stolenToken = await login(user.email);
+    const otherDeviceToken = await login(user.email);
+
+    const { body } = await refresh(stolenToken);
+    const currentToken = body.data.user.refreshToken;
+
+    const reuse = await refresh(stolenToken);
+    assert.equal(reuse.error?.statusCode, 401);
+    assert.match(reuse.error.message, /reuse detected/);
+
+    // The whole token family is revoked, including the newest token
+    const session = await Session.findById(getSessionId(stolenToken));
+    assert.equal(session.revokedReason, "reuse_detected");
+    assert.equal(await Session.isActive(session._id, user._id), false);
+    assert.equal((await refresh(currentToken)).error?.statusCode, 401);
+
+    // Sessions on other devices are left alone
+    assert.equal(
+      await Session.isActive(getSessionId(otherDeviceToken), user._id),
+      true
+    );
+    assert.equal((await refresh(otherDeviceToken)).statusCode, 200);
+  });
+});
@@ -0,0 +1,131 @@
+import { after, before, beforeEach, describe, it } from "node:test";
+import assert from "node:assert/strict";
+import User from "../src/models/user.model.js";
+import Session from "../src/models/session.model.js";
+import AuditLog from "../src/models/auditLog.model.js";
+import {
+  loginUser,
+  verifyTwoFactorLogin,
+} from "../src/controllers/user.controller.js";
+import {
+  enableTwoFactor,
+  setupTwoFactor,
+} from "../src/controllers/twoFactor.controller.js";
+import { generateCode, getTimeStep } from "../src/utils/totp.js";
+import twoFactorConfig from "../src/configs/twoFactor.config.js";
+import {
+  clearDatabase,
+  createUser,
+  runController,
+  startDatabase,
+  stopDatabase,
+  TEST_PASSWORD,
+} from "./helpers.js";
+
+const models = [User, Session, AuditLog];
+
+describe("two-factor authentication", () => {
+  let replSet;
+  let user;
+
+  // Set up 2FA and confirm it with the current code
+  const enroll = async () => {
+    const setup = await runController(setupTwoFactor, { user });
+    const { secret } = setup.body.data;
+    const code = generateCode(secret);
+
+    const enabled = await runController(enableTwoFactor, {
+      user,
+      body: { code },
+    });
+    return { secret, code, enabled };
+  };
+
+  // Pass the password step and return the 2FA challenge token
+  const startLogin = async () => {
+    const { body } = await runController(loginUser, {
+      body: { email: user.email, password: TEST_PASSWORD },
+    });
+    assert.equal(body.data.twoFactorRequired, true);
+    return body.data.challengeToken;
+  };
+
+  const finishLogin = (challengeToken, codes) =>
+    runController(verifyTwoFactorLogin, {
+      body: { challengeToken, ...codes },
+    });
+
+  before(async () => {
+    replSet = await startDatabase(models);
+  });
+
+  after(async () => {
+    await stopDatabase(replSet);
+  });
+
+  beforeEach(async () => {
+    await clearDatabase(models);
+    user = await createUser("buyer@example.com");
+  });
+
+  it("enables 2FA only with a valid code from the authenticator app", async () => {
+    const setup = await runController(setupTwoFactor, { user });
+    const { secret, otpauthUri } = setup.body.data;
+    assert.match(otpauthUri, new RegExp(`secret=${secret}`));
+
+    // A code from well outside the allowed clock drift
+    const wrong = await runController(enableTwoFactor, {
+      user,
+      body: { code: generateCode(secret, getTimeStep() + 10) },
+    });
+    assert.equal(wrong.error?.statusCode, 400);
+
+    const enabled = await runController(enableTwoFactor, {
+      user,
+      body: { code: generateCode(secret) },
+    });
+    assert.equal(enabled.statusCode, 200);
+    assert.equal(
+      enabled.body.data.recoveryCodes.length,
+      twoFactorConfig.recoveryCodeCount
+    );
+
+    const stored = await User.findById(user._id).select(
+      "+twoFactorSecret +twoFactorPendingSecret"
+    );
+    assert.equal(stored.twoFactorEnabled, true);
+    assert.equal(stored.twoFactorSecret, secret);
+    assert.equal(stored.twoFactorPendingSecret, undefined);
+  });
+
+  it("asks for a code after the password and accepts each code once", async () => {
+    const { secret, code: enrollmentCode } = await enroll();
+    const challengeToken = await startLogin();
+
+    // The code used to enroll cannot be replayed to log in
+    const replayed = await finishLogin(challengeToken, {
+      code: enrollmentCode,
+    });
+    assert.equal(replayed.error?.statusCode, 401);
+
+    const nextCode = generateCode(secret, getTimeStep() + 1);
+    const loggedIn = await finishLogin(challengeToken, { code: nextCode });
+    assert.equal(loggedIn.statusCode, 200);
+    assert.ok(loggedIn.body.data.accessToken);
+
+    const reused = await finishLogin(challengeToken, { code: nextCode });
+    assert.equal(reused.error?.statusCode, 401);
+  });
+
+  it("accepts each recovery code once", async () => {
+    const { enabled } = await enroll();
+    const [recoveryCode] = enabled.body.data.recoveryCodes;
+    const challengeToken = await startLogin();
+
+    const loggedIn = await finishLogin(challengeToken, { recoveryCode });
+    assert.equal(loggedIn.statusCode, 200);
+
+    const reused = await finishLogin(challengeToken, { recoveryCode });
+    assert.equal(reused.error?.statusCode, 401);
+  });
+});